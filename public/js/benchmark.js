@@ -0,0 +1,239 @@
+/**
+ * Velo Benchmark
+ * Sends the same payload over an in-page WebRTC loopback with the old threshold-based
+ * chunk sizing and with VeloCongestion, and compares throughput, timer wakeups, buffer
+ * build-up and the round trip a small message sees while the transfer runs.
+ */
+
+const VeloBenchmark = {
+    legacyBufferLimit: 4 * 1024 * 1024,
+    sendBufferLimit: 4 * 1024 * 1024,
+    pingInterval: 100,
+
+    init() {
+        this.runBtn = document.getElementById('runBenchmark');
+        this.sizeInput = document.getElementById('benchSize');
+        this.runsInput = document.getElementById('benchRuns');
+        this.status = document.getElementById('benchStatus');
+        this.results = document.getElementById('benchResults');
+
+        if (typeof RTCPeerConnection === 'undefined') {
+            this.status.textContent = 'This browser has no WebRTC support.';
+            this.runBtn.disabled = true;
+            return;
+        }
+        this.runBtn.addEventListener('click', () => this.runAll());
+    },
+
+    async runAll() {
+        const size = Math.max(1, Math.min(1024, Number(this.sizeInput.value) || 64)) * 1024 * 1024;
+        const runs = Math.max(1, Math.min(10, Number(this.runsInput.value) || 3));
+        const payload = this.makePayload(size);
+
+        this.runBtn.disabled = true;
+        this.results.innerHTML = '';
+        try {
+            // Alternate strategies so neither always gets the warmer connection
+            for (let run = 1; run <= runs; run++) {
+                for (const strategy of ['legacy', 'window']) {
+                    this.status.textContent = `Run ${run} of ${runs}: ${strategy === 'legacy' ? 'threshold' : 'congestion window'}…`;
+                    const result = await this.runOnce(strategy, payload);
+                    this.addResult(run, strategy, result);
+                }
+            }
+            this.status.textContent = 'Done.';
+        } catch (err) {
+            this.status.textContent = `Benchmark failed: ${err.message}`;
+        }
+        this.runBtn.disabled = false;
+    },
+
+    makePayload(size) {
+        // Random bytes in 64KB blocks, the most getRandomValues fills at once
+        const parts = [];
+        for (let offset = 0; offset < size; offset += 65536) {
+            parts.push(crypto.getRandomValues(new Uint8Array(Math.min(65536, size - offset))));
+        }
+        return new Blob(parts);
+    },
+
+    async connect() {
+        const a = new RTCPeerConnection();
+        const b = new RTCPeerConnection();
+        a.onicecandidate = (e) => e.candidate && b.addIceCandidate(e.candidate);
+        b.onicecandidate = (e) => e.candidate && a.addIceCandidate(e.candidate);
+
+        const data = a.createDataChannel('data');
+        const ping = a.createDataChannel('ping');
+        data.binaryType = 'arraybuffer';
+
+        const remote = new Promise((resolve) => {
+            const channels = {};
+            b.ondatachannel = (e) => {
+                e.channel.binaryType = 'arraybuffer';
+                channels[e.channel.label] = e.channel;
+                if (channels.data && channels.ping) resolve(channels);
+            };
+        });
+
+        await a.setLocalDescription(await a.createOffer());
+        await b.setRemoteDescription(a.localDescription);
+        await b.setLocalDescription(await b.createAnswer());
+        await a.setRemoteDescription(b.localDescription);
+
+        await Promise.all([data, ping].map(channel => new Promise((resolve, reject) => {
+            channel.onopen = resolve;
+            channel.onerror = () => reject(new Error('Loopback channel failed to open'));
+        })));
+
+        const { data: remoteData, ping: remotePing } = await remote;
+        return {
+            data, ping, remoteData, remotePing,
+            maxMessage: a.sctp?.maxMessageSize || 65536,
+            close: () => { a.close(); b.close(); }
+        };
+    },
+
+    async runOnce(strategy, payload) {
+        const link = await this.connect();
+        const stats = { wakeups: 0, peakBuffered: 0, rtts: [] };
+
+        // Receiver: counts bytes, answers marks with its intake rate, echoes pings
+        let received = 0;
+        let markTime = 0;
+        let markPos = 0;
+        const finished = new Promise((resolve) => {
+            link.remoteData.onmessage = (e) => {
+                if (typeof e.data !== 'string') {
+                    received += e.data.byteLength;
+                    if (received >= payload.size) resolve();
+                    return;
+                }
+                const msg = JSON.parse(e.data);
+                if (msg.type !== 'mark') return;
+                const now = performance.now();
+                const rate = markTime ? (received - markPos) * 1000 / Math.max(1, now - markTime) : 0;
+                markTime = now;
+                markPos = received;
+                link.remoteData.send(JSON.stringify({ type: 'mark-ack', offset: msg.offset, sentAt: msg.sentAt, rate }));
+            };
+        });
+        link.remotePing.onmessage = (e) => link.remotePing.send(e.data);
+
+        // A small message alongside the transfer shows how much queueing the strategy causes
+        link.ping.onmessage = (e) => stats.rtts.push(performance.now() - Number(e.data));
+        const pinger = setInterval(() => link.ping.send(String(performance.now())), this.pingInterval);
+
+        const start = performance.now();
+        const send = strategy === 'legacy' ? this.sendLegacy(link, payload, stats) : this.sendWindowed(link, payload, stats);
+        await Promise.all([send, finished]);
+        const duration = (performance.now() - start) / 1000;
+
+        clearInterval(pinger);
+        link.close();
+
+        const rtts = stats.rtts.sort((x, y) => x - y);
+        return {
+            duration,
+            throughput: payload.size / duration,
+            wakeups: stats.wakeups,
+            peakBuffered: stats.peakBuffered,
+            medianRtt: rtts[Math.floor(rtts.length / 2)] || 0,
+            maxRtt: rtts[rtts.length - 1] || 0
+        };
+    },
+
+    readChunk(blob, start, size) {
+        return blob.slice(start, start + size).arrayBuffer();
+    },
+
+    sendPieces(channel, buffer, maxMessage, stats) {
+        // The app's channel library splits large messages the same way
+        for (let offset = 0; offset < buffer.byteLength; offset += maxMessage) {
+            channel.send(buffer.slice(offset, offset + maxMessage));
+        }
+        stats.peakBuffered = Math.max(stats.peakBuffered, channel.bufferedAmount);
+    },
+
+    async sendLegacy(link, payload, stats) {
+        // The former loop: speed from read time, bucketed chunk sizes, 5ms polling over 4MB buffered
+        const { data, maxMessage } = link;
+        let chunkSize = 512 * 1024;
+        let measuredSpeed = 0;
+        let offset = 0;
+
+        while (offset < payload.size) {
+            while (data.bufferedAmount > this.legacyBufferLimit) {
+                await new Promise(r => setTimeout(r, 5));
+                stats.wakeups++;
+            }
+
+            const readStart = performance.now();
+            const chunk = await this.readChunk(payload, offset, chunkSize);
+            this.sendPieces(data, chunk, maxMessage, stats);
+            offset += chunk.byteLength;
+
+            const elapsed = (performance.now() - readStart) / 1000;
+            if (elapsed > 0) {
+                measuredSpeed = chunk.byteLength / elapsed;
+                if (offset % (5 * 1024 * 1024) < chunk.byteLength) {
+                    if (measuredSpeed > 50 * 1024 * 1024) chunkSize = 2 * 1024 * 1024;
+                    else if (measuredSpeed > 20 * 1024 * 1024) chunkSize = 1.5 * 1024 * 1024;
+                    else if (measuredSpeed > 10 * 1024 * 1024) chunkSize = 1024 * 1024;
+                    else if (measuredSpeed > 5 * 1024 * 1024) chunkSize = 768 * 1024;
+                    else chunkSize = 256 * 1024;
+                }
+            }
+        }
+    },
+
+    async sendWindowed(link, payload, stats) {
+        // The current loop: VeloCongestion's window, mark/ack round trips, bufferedamountlow
+        const { data, maxMessage } = link;
+        const congestion = new VeloCongestion({ minChunk: 64 * 1024, maxChunk: 2 * 1024 * 1024 });
+        let delivered = 0;
+        let offset = 0;
+        let wake = null;
+
+        data.addEventListener('message', (e) => {
+            const ack = JSON.parse(e.data);
+            congestion.onAck({ rtt: performance.now() - ack.sentAt, acked: Math.max(0, ack.offset - delivered), rate: ack.rate });
+            delivered = Math.max(delivered, ack.offset);
+            if (wake) wake();
+        });
+        data.bufferedAmountLowThreshold = this.sendBufferLimit / 2;
+        data.addEventListener('bufferedamountlow', () => wake && wake());
+
+        const blocked = () => offset - delivered >= congestion.window || data.bufferedAmount > this.sendBufferLimit;
+
+        while (offset < payload.size) {
+            while (blocked()) {
+                await new Promise(r => { wake = r; });
+                wake = null;
+                stats.wakeups++;
+            }
+
+            const chunk = await this.readChunk(payload, offset, congestion.chunkSize);
+            this.sendPieces(data, chunk, maxMessage, stats);
+            offset += chunk.byteLength;
+            data.send(JSON.stringify({ type: 'mark', offset, sentAt: performance.now() }));
+        }
+    },
+
+    addResult(run, strategy, r) {
+        const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${run}</td>
+            <td>${strategy === 'legacy' ? 'Threshold (old)' : 'Congestion window'}</td>
+            <td>${mb(r.throughput)} MB/s</td>
+            <td>${r.duration.toFixed(2)} s</td>
+            <td>${r.wakeups}</td>
+            <td>${mb(r.peakBuffered)} MB</td>
+            <td>${r.medianRtt.toFixed(0)} / ${r.maxRtt.toFixed(0)} ms</td>
+        `;
+        this.results.appendChild(row);
+    }
+};
+
+VeloBenchmark.init();
@@ -0,0 +1,13 @@
+/**
+ * Velo Config
+ * Deployment settings. server.js serves its own copy of this file, so a self-hosted
+ * server switches to its rooms without anything being edited here.
+ */
+
+const VeloConfig = {
+    signaling: 'peerjs', // 'peerjs' for the public PeerJS cloud, 'server' for server.js rooms
+    signalingUrl: null, // WebSocket URL of server.js; defaults to the host serving this page
+    iceServersUrl: null, // Endpoint returning { iceServers, expiresAt }; server.js rooms send their own instead
+    relay: true, // With server.js, relay through it when a direct connection won't open
+    relayTimeout: 10000 // How long a direct connection gets before falling back to the relay
+};
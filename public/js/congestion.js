@@ -0,0 +1,65 @@
+/**
+ * Velo Congestion
+ * AIMD send window for one receiver, driven by the RTT and intake rate the receiver
+ * reports back. The window grows while acknowledgements return at the link's base
+ * delay and halves once queueing shows up in the RTT, so a sender keeps a slow link
+ * busy without piling megabytes into its buffers.
+ */
+
+class VeloCongestion {
+    constructor({
+        initialWindow = 1024 * 1024,
+        minWindow = 256 * 1024,
+        maxWindow = 64 * 1024 * 1024,
+        minChunk = 64 * 1024,
+        maxChunk = 1024 * 1024,
+        queueTolerance = 25 // ms of queueing delay accepted on links whose base RTT is shorter
+    } = {}) {
+        this.window = initialWindow; // Bytes sent but not yet acknowledged
+        this.minWindow = minWindow;
+        this.maxWindow = maxWindow;
+        this.minChunk = minChunk;
+        this.maxChunk = maxChunk;
+        this.queueTolerance = queueTolerance;
+        this.slowStart = true;
+        this.minRtt = Infinity; // ms, the link's base delay
+        this.srtt = 0; // ms, smoothed
+        this.rate = 0; // Bytes/s the receiver reports taking in
+        this.lastDecrease = 0;
+    }
+
+    get chunkSize() {
+        // A handful of chunks per window keeps the pipe full without oversized messages
+        const size = Math.min(this.maxChunk, Math.max(this.minChunk, this.window / 8));
+        return Math.max(16384, Math.floor(size / 16384) * 16384);
+    }
+
+    get bdp() {
+        // What the link holds in flight at its measured rate and base delay
+        return Number.isFinite(this.minRtt) ? this.rate * this.minRtt / 1000 : 0;
+    }
+
+    onAck({ rtt, acked, rate }) {
+        const now = Date.now();
+        if (Number.isFinite(rtt) && rtt >= 0) {
+            this.minRtt = Math.min(this.minRtt, rtt);
+            this.srtt = this.srtt ? this.srtt * 0.875 + rtt * 0.125 : rtt;
+        }
+        if (rate > 0) this.rate = this.rate ? this.rate * 0.75 + rate * 0.25 : rate;
+
+        // Queueing delay well past the base RTT means the window outgrew the link; back off once per round trip
+        const queueing = this.srtt - this.minRtt;
+        if (queueing > Math.max(this.minRtt, this.queueTolerance)) {
+            if (now - this.lastDecrease > this.srtt) {
+                this.window = Math.max(this.minWindow, this.window / 2, this.bdp);
+                this.slowStart = false;
+                this.lastDecrease = now;
+            }
+            return;
+        }
+
+        // Otherwise grow: doubling per round trip at first, then about one chunk per round trip
+        const increase = this.slowStart ? acked : this.chunkSize * acked / this.window;
+        this.window = Math.min(this.maxWindow, this.window + increase);
+    }
+}
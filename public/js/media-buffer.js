@@ -0,0 +1,122 @@
+/**
+ * Velo Media Buffer
+ * Byte ranges of a file that is still arriving, held so a media element can read
+ * them through the service worker. Data comes in order from the transfer and out of
+ * order from range requests; past the memory limit, the chunks furthest from where
+ * playback is reading are dropped and fetched again if needed.
+ */
+
+class VeloMediaBuffer {
+    constructor({ size, limit = 128 * 1024 * 1024, blockSize = 1024 * 1024 }) {
+        this.size = size;
+        this.limit = limit;
+        this.blockSize = blockSize; // Unit of range requests to the sender
+        this.chunks = []; // { start, bytes }, sorted and non-overlapping
+        this.bytes = 0;
+        this.readPos = 0; // Where playback last read; eviction keeps what's near it
+        this.waiters = new Set();
+    }
+
+    // Index of the first chunk that ends after `pos`
+    findChunk(pos) {
+        let lo = 0;
+        let hi = this.chunks.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            const chunk = this.chunks[mid];
+            if (chunk.start + chunk.bytes.length <= pos) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    write(start, bytes) {
+        // Only the parts not already held are stored
+        const end = Math.min(this.size, start + bytes.length);
+        let pos = Math.max(0, start);
+        let i = this.findChunk(pos);
+        while (pos < end) {
+            const next = this.chunks[i];
+            if (next && next.start <= pos) {
+                pos = next.start + next.bytes.length;
+                i++;
+                continue;
+            }
+            const gapEnd = next ? Math.min(end, next.start) : end;
+            this.chunks.splice(i, 0, { start: pos, bytes: bytes.slice(pos - start, gapEnd - start) });
+            this.bytes += gapEnd - pos;
+            pos = gapEnd;
+            i++;
+        }
+
+        this.evict();
+        this.waiters.forEach(wake => wake());
+    }
+
+    // End of the contiguous data starting at `pos`
+    covered(pos) {
+        let i = this.findChunk(pos);
+        while (i < this.chunks.length && this.chunks[i].start <= pos) {
+            pos = this.chunks[i].start + this.chunks[i].bytes.length;
+            i++;
+        }
+        return pos;
+    }
+
+    read(start, end) {
+        // Whatever is held from `start` on, up to `end`; null when `start` itself is missing
+        const stop = Math.min(end, this.covered(start));
+        if (stop <= start) return null;
+        this.readPos = start;
+
+        const out = new Uint8Array(stop - start);
+        for (let i = this.findChunk(start); i < this.chunks.length && this.chunks[i].start < stop; i++) {
+            const { start: chunkStart, bytes } = this.chunks[i];
+            const from = Math.max(start, chunkStart);
+            const to = Math.min(stop, chunkStart + bytes.length);
+            out.set(bytes.subarray(from - chunkStart, to - chunkStart), from - start);
+        }
+        return out;
+    }
+
+    missingBlocks(start, end) {
+        const blocks = [];
+        const last = Math.ceil(Math.min(end, this.size) / this.blockSize);
+        for (let index = Math.floor(start / this.blockSize); index < last; index++) {
+            const blockStart = index * this.blockSize;
+            const blockEnd = Math.min(this.size, blockStart + this.blockSize);
+            if (this.covered(blockStart) < blockEnd) blocks.push(index);
+        }
+        return blocks;
+    }
+
+    waitFor(pos, timeout) {
+        // Settles once `pos` is held, on timeout, or when the buffer is cleared
+        return new Promise((resolve) => {
+            const done = (force) => {
+                if (!force && this.covered(pos) <= pos) return;
+                clearTimeout(timer);
+                this.waiters.delete(done);
+                resolve();
+            };
+            const timer = setTimeout(() => done(true), timeout);
+            this.waiters.add(done);
+        });
+    }
+
+    evict() {
+        while (this.bytes > this.limit && this.chunks.length > 1) {
+            // Drop whichever end of the buffer lies further from the playhead
+            const first = this.chunks[0];
+            const last = this.chunks[this.chunks.length - 1];
+            const chunk = this.readPos - first.start > last.start - this.readPos ? this.chunks.shift() : this.chunks.pop();
+            this.bytes -= chunk.bytes.length;
+        }
+    }
+
+    clear() {
+        this.chunks = [];
+        this.bytes = 0;
+        this.waiters.forEach(wake => wake(true));
+    }
+}
@@ -0,0 +1,500 @@
+/**
+ * Velo Signaling
+ * Rooms on our own server.js as an alternative to the PeerJS cloud. VeloRoomPeer and
+ * VeloRoomConnection expose the parts of PeerJS's Peer and DataConnection the app uses,
+ * so everything above the signaling layer works the same with either backend. When a
+ * direct data channel won't open, a connection falls back to relaying through the server.
+ */
+
+class VeloEmitter {
+    constructor() {
+        this.handlers = {};
+    }
+
+    on(event, handler) {
+        (this.handlers[event] ||= []).push(handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.handlers[event] || []).forEach(handler => handler(...args));
+    }
+}
+
+class VeloRoomPeer extends VeloEmitter {
+    static defaultIceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+    /**
+     * Creates a room, or joins `roomCode`, and emits 'open' with our user ID once inside.
+     * Emits 'connection' for incoming connections, 'user-joined' / 'user-left' as the room
+     * changes, 'ice-servers' ({ iceServers, expiresAt }) when the room hands out ICE servers,
+     * 'error' ({ type }) and 'disconnected' like PeerJS.
+     */
+    constructor({ url, username, roomCode = null, iceServers = null, relay = true, relayTimeout = 10000 }) {
+        super();
+        this.id = null;
+        this.roomCode = null;
+        this.hostId = null; // The room's creator; joiners connect to it
+        this.users = new Map(); // userId -> username
+        this.connections = new Map(); // `${peerId}:${connectionId}` -> VeloRoomConnection
+        this.username = username;
+        this.joinCode = roomCode;
+        this.iceServers = iceServers || VeloRoomPeer.defaultIceServers;
+        this.relay = relay; // Whether connections may fall back to the server relay
+        this.relayTimeout = relayTimeout; // How long a direct connection gets before relaying
+        this.destroyed = false;
+
+        this.ws = new WebSocket(url);
+        this.ws.binaryType = 'arraybuffer';
+        this.ws.onmessage = (event) => {
+            if (typeof event.data !== 'string') {
+                this.receiveRelayFrame(new Uint8Array(event.data));
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.error('Invalid signaling message:', err);
+                return;
+            }
+            this.handleMessage(message);
+        };
+        this.ws.onerror = () => {
+            if (!this.id) this.emit('error', { type: 'server-error' });
+        };
+        this.ws.onclose = () => {
+            if (!this.destroyed) this.emit('disconnected');
+        };
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'connected':
+                this.id = message.userId;
+                this.send(this.joinCode
+                    ? { type: 'join-room', roomCode: this.joinCode, username: this.username }
+                    : { type: 'create-room', username: this.username });
+                break;
+
+            case 'room-created':
+            case 'room-joined':
+                this.roomCode = message.roomCode;
+                this.hostId = message.hostId;
+                this.setUsers(message.users);
+                this.setIceServers(message);
+                this.emit('open', this.id);
+                break;
+
+            case 'ice-servers':
+                this.setIceServers(message);
+                break;
+
+            case 'user-joined':
+                this.setUsers(message.users);
+                this.emit('user-joined', message.user);
+                break;
+
+            case 'user-left':
+                this.setUsers(message.users);
+                // Don't wait for WebRTC to notice; the room already knows they're gone
+                this.connections.forEach(conn => {
+                    if (conn.peer === message.userId) conn.close();
+                });
+                this.emit('user-left', message.userId);
+                break;
+
+            case 'offer': {
+                if (!message.connectionId) return;
+                const conn = new VeloRoomConnection(this, message.senderId, {
+                    connectionId: message.connectionId,
+                    metadata: message.metadata
+                });
+                this.emit('connection', conn);
+                conn.handleOffer(message.sdp);
+                break;
+            }
+
+            case 'answer':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.handleAnswer(message.sdp);
+                break;
+
+            case 'ice-candidate':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.handleCandidate(message.candidate);
+                break;
+
+            case 'relay-open':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.acceptRelay();
+                break;
+
+            case 'relay-accept':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.handleRelayAccept();
+                break;
+
+            case 'relay-ack':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.handleRelayAck(message.bytes);
+                break;
+
+            case 'relay-close':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.close();
+                break;
+
+            case 'relay-error':
+                this.connections.get(`${message.senderId}:${message.connectionId}`)?.fail(new Error(message.message));
+                break;
+
+            case 'error':
+                console.error('Signaling server:', message.message);
+                // Before we're in a room the only failure is a code that doesn't exist
+                this.emit('error', { type: this.id && this.roomCode ? 'server-error' : 'peer-unavailable' });
+                if (!this.roomCode) this.destroy();
+                break;
+        }
+    }
+
+    setUsers(users = []) {
+        this.users = new Map(users.map(({ id, username }) => [id, username]));
+    }
+
+    setIceServers({ iceServers, expiresAt }) {
+        // TURN credentials only come from the room, never from an open endpoint
+        if (!Array.isArray(iceServers)) return;
+        this.iceServers = iceServers;
+        this.emit('ice-servers', { iceServers, expiresAt });
+    }
+
+    refreshIceServers() {
+        this.send({ type: 'ice-servers' });
+    }
+
+    send(message) {
+        if (this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(message));
+    }
+
+    /**
+     * Relay frames are binary WebSocket messages: the length-prefixed peer ID (the target on
+     * the way up, the sender on the way down), the length-prefixed connection ID, then the payload.
+     */
+    sendRelayFrame(peerId, connectionId, payload) {
+        const encoder = new TextEncoder();
+        const peer = encoder.encode(peerId);
+        const id = encoder.encode(connectionId);
+        const frame = new Uint8Array(2 + peer.length + id.length + payload.byteLength);
+        frame[0] = peer.length;
+        frame.set(peer, 1);
+        frame[1 + peer.length] = id.length;
+        frame.set(id, 2 + peer.length);
+        frame.set(payload, 2 + peer.length + id.length);
+        if (this.ws.readyState === WebSocket.OPEN) this.ws.send(frame);
+    }
+
+    receiveRelayFrame(frame) {
+        const decoder = new TextDecoder();
+        const peerEnd = 1 + frame[0];
+        const idEnd = peerEnd + 1 + frame[peerEnd];
+        if (idEnd > frame.byteLength) return;
+
+        const peerId = decoder.decode(frame.subarray(1, peerEnd));
+        const connectionId = decoder.decode(frame.subarray(peerEnd + 1, idEnd));
+        this.connections.get(`${peerId}:${connectionId}`)?.receiveRelay(frame.subarray(idEnd));
+    }
+
+    connect(peerId, { metadata } = {}) {
+        const known = this.users.has(peerId) && peerId !== this.id;
+        const conn = new VeloRoomConnection(this, peerId, {
+            connectionId: Math.random().toString(36).slice(2, 12),
+            metadata,
+            initiator: known
+        });
+        if (!known) {
+            setTimeout(() => {
+                this.emit('error', { type: 'peer-unavailable' });
+                conn.close();
+            }, 0);
+        }
+        return conn;
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.connections.forEach(conn => conn.close());
+        this.send({ type: 'leave-room' });
+        this.ws.close();
+    }
+}
+
+class VeloRoomConnection extends VeloEmitter {
+    static maxFrameSize = 64 * 1024; // Below every browser's SCTP message limit
+    static relayAckInterval = 256 * 1024; // Receiver confirms relayed bytes this often
+
+    constructor(room, peerId, { connectionId, metadata = null, initiator = false }) {
+        super();
+        this.room = room;
+        this.peer = peerId;
+        this.connectionId = connectionId;
+        this.metadata = metadata;
+        this.open = false;
+        this.closed = false;
+        this.dataChannel = null;
+        this.pendingCandidates = [];
+        this.incoming = []; // Frames of a message still being received
+        this.incomingBytes = 0;
+        this.initiator = initiator;
+        this.relayed = false;
+        this.relayRequested = false;
+        this.relaySent = 0;
+        this.relayAcked = 0; // Sent bytes the peer has confirmed, bounds what sits in the server
+        this.relayReceived = 0;
+        this.relayReceivedAcked = 0;
+        this.relayTimer = null;
+
+        room.connections.set(`${peerId}:${connectionId}`, this);
+
+        this.pc = new RTCPeerConnection({ iceServers: room.iceServers });
+        this.pc.onicecandidate = ({ candidate }) => {
+            if (candidate) this.signal({ type: 'ice-candidate', candidate });
+        };
+        this.pc.onconnectionstatechange = () => {
+            if (!['failed', 'closed'].includes(this.pc.connectionState)) return;
+            // The side that connected decides when to give up on a direct path
+            if (!this.open && this.initiator && room.relay) {
+                this.startRelay();
+            } else if (this.open || !room.relay) {
+                this.close();
+            }
+        };
+
+        if (initiator) {
+            this.setupChannel(this.pc.createDataChannel('velo', { ordered: true }));
+            this.negotiate();
+            if (room.relay) this.relayTimer = setTimeout(() => this.startRelay(), room.relayTimeout);
+        } else {
+            this.pc.ondatachannel = ({ channel }) => this.setupChannel(channel);
+        }
+    }
+
+    signal(message) {
+        this.room.send({ ...message, targetId: this.peer, connectionId: this.connectionId });
+    }
+
+    async negotiate() {
+        try {
+            await this.pc.setLocalDescription(await this.pc.createOffer());
+            this.signal({ type: 'offer', sdp: this.pc.localDescription, metadata: this.metadata });
+        } catch (err) {
+            this.fail(err);
+        }
+    }
+
+    async handleOffer(sdp) {
+        try {
+            await this.pc.setRemoteDescription(sdp);
+            await this.addPendingCandidates();
+            await this.pc.setLocalDescription(await this.pc.createAnswer());
+            this.signal({ type: 'answer', sdp: this.pc.localDescription });
+        } catch (err) {
+            this.fail(err);
+        }
+    }
+
+    async handleAnswer(sdp) {
+        try {
+            await this.pc.setRemoteDescription(sdp);
+            await this.addPendingCandidates();
+        } catch (err) {
+            this.fail(err);
+        }
+    }
+
+    async handleCandidate(candidate) {
+        // Candidates can outrun the offer or answer they belong to
+        if (!this.pc.remoteDescription) {
+            this.pendingCandidates.push(candidate);
+            return;
+        }
+        try {
+            await this.pc.addIceCandidate(candidate);
+        } catch (err) {
+            console.error('Could not add ICE candidate:', err);
+        }
+    }
+
+    async addPendingCandidates() {
+        const candidates = this.pendingCandidates;
+        this.pendingCandidates = [];
+        for (const candidate of candidates) await this.handleCandidate(candidate);
+    }
+
+    setupChannel(channel) {
+        this.dataChannel = channel;
+        channel.binaryType = 'arraybuffer';
+        channel.onopen = () => {
+            clearTimeout(this.relayTimer);
+            if (this.relayed) return;
+            this.markOpen();
+        };
+        channel.onclose = () => {
+            if (!this.relayed) this.close();
+        };
+        channel.onerror = (event) => this.emit('error', event.error || event);
+        channel.onmessage = ({ data }) => this.receive(data);
+    }
+
+    markOpen() {
+        if (this.open || this.closed) return;
+        this.open = true;
+        this.emit('open');
+    }
+
+    // ==================== SERVER RELAY ====================
+
+    startRelay() {
+        if (this.open || this.closed || this.relayRequested) return;
+        clearTimeout(this.relayTimer);
+        this.relayRequested = true;
+        this.signal({ type: 'relay-open' });
+    }
+
+    acceptRelay() {
+        if (this.closed || !this.room.relay) return;
+        this.useRelay();
+        this.signal({ type: 'relay-accept' });
+        this.markOpen();
+    }
+
+    handleRelayAccept() {
+        if (!this.relayRequested || this.closed) return;
+        this.useRelay();
+        this.markOpen();
+    }
+
+    handleRelayAck(bytes) {
+        if (Number.isFinite(bytes)) this.relayAcked = Math.max(this.relayAcked, bytes);
+    }
+
+    useRelay() {
+        if (this.relayed) return;
+        this.relayed = true;
+        clearTimeout(this.relayTimer);
+        this.pc.onconnectionstatechange = null;
+        this.dataChannel?.close();
+        this.pc.close();
+
+        // Stands in for the RTCDataChannel, so backpressure also counts bytes the peer hasn't confirmed
+        const conn = this;
+        this.dataChannel = {
+            get bufferedAmount() {
+                return conn.room.ws.bufferedAmount + conn.relaySent - conn.relayAcked;
+            }
+        };
+    }
+
+    receiveRelay(payload) {
+        this.relayReceived += payload.byteLength;
+        if (this.relayReceived - this.relayReceivedAcked >= VeloRoomConnection.relayAckInterval) {
+            this.relayReceivedAcked = this.relayReceived;
+            this.signal({ type: 'relay-ack', bytes: this.relayReceived });
+        }
+
+        this.receive(payload);
+    }
+
+    transmit(frame) {
+        if (this.relayed) {
+            this.relaySent += frame.byteLength;
+            this.room.sendRelayFrame(this.peer, this.connectionId, frame);
+        } else {
+            this.dataChannel.send(frame);
+        }
+    }
+
+    /**
+     * Control messages travel as JSON text and binary data as raw bytes. Either is split into
+     * frames whose first byte says whether more follow: 1 / 0 for binary, 3 / 2 for text.
+     * Short text on a direct channel still goes out as a plain string.
+     */
+    send(data) {
+        if (!this.open) return;
+
+        if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+            const text = JSON.stringify(data);
+            if (!this.relayed && text.length * 3 < VeloRoomConnection.maxFrameSize) {
+                this.dataChannel.send(text);
+                return;
+            }
+            this.sendFrames(new TextEncoder().encode(text), 3, 2);
+            return;
+        }
+
+        const bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        this.sendFrames(bytes, 1, 0);
+    }
+
+    sendFrames(bytes, more, last) {
+        const frameSize = VeloRoomConnection.maxFrameSize - 1;
+        let offset = 0;
+        do {
+            const part = bytes.subarray(offset, offset + frameSize);
+            offset += part.byteLength;
+            const frame = new Uint8Array(part.byteLength + 1);
+            frame[0] = offset < bytes.byteLength ? more : last;
+            frame.set(part, 1);
+            this.transmit(frame);
+        } while (offset < bytes.byteLength);
+    }
+
+    receive(data) {
+        if (typeof data === 'string') {
+            try {
+                this.emit('data', JSON.parse(data));
+            } catch (err) {
+                console.error('Invalid message from peer:', err);
+            }
+            return;
+        }
+
+        // A message's frames are sent back to back, so text and binary never interleave
+        const frame = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.incoming.push(frame.subarray(1));
+        this.incomingBytes += frame.byteLength - 1;
+        if (frame[0] === 1 || frame[0] === 3) return;
+
+        const message = new Uint8Array(this.incomingBytes);
+        let offset = 0;
+        for (const part of this.incoming) {
+            message.set(part, offset);
+            offset += part.byteLength;
+        }
+        this.incoming = [];
+        this.incomingBytes = 0;
+        if (frame[0] === 2) {
+            this.receive(new TextDecoder().decode(message));
+        } else {
+            this.emit('data', message.buffer);
+        }
+    }
+
+    fail(err) {
+        console.error('WebRTC negotiation failed:', err);
+        this.emit('error', err);
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.open = false;
+        clearTimeout(this.relayTimer);
+        this.room.connections.delete(`${this.peer}:${this.connectionId}`);
+        if (this.relayed) {
+            this.signal({ type: 'relay-close' });
+        } else {
+            this.dataChannel?.close();
+            this.pc.close();
+        }
+        this.emit('close');
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Velo Snippets
+ * Turns shared text into HTML for display: a small Markdown subset and token-level
+ * syntax highlighting for common languages. Everything is escaped before any markup
+ * is added, so text from a peer can never inject elements or attributes.
+ */
+
+const VeloSnippets = {
+    languages: {
+        javascript: {
+            aliases: ['js', 'jsx', 'mjs', 'ts', 'tsx', 'typescript'],
+            keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements',
+            lineComment: '//', blockComment: ['/*', '*/'], quotes: '\'"`'
+        },
+        python: {
+            aliases: ['py'],
+            keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self',
+            lineComment: '#', quotes: '\'"'
+        },
+        json: {
+            aliases: [],
+            keywords: 'true false null',
+            quotes: '"'
+        },
+        html: {
+            aliases: ['xml', 'svg', 'vue'],
+            keywords: '',
+            blockComment: ['<!--', '-->'], quotes: '\'"', tags: true
+        },
+        css: {
+            aliases: ['scss', 'less'],
+            keywords: 'important media import keyframes from to root hover focus active before after',
+            blockComment: ['/*', '*/'], quotes: '\'"'
+        },
+        bash: {
+            aliases: ['sh', 'shell', 'zsh'],
+            keywords: 'if then else elif fi for while until do done case esac function in return export local echo exit set unset source sudo cd',
+            lineComment: '#', quotes: '\'"'
+        },
+        sql: {
+            aliases: [],
+            keywords: 'select from where insert into values update set delete create table drop alter index join left right inner outer on group by order having limit offset as and or not null is in like distinct union primary key foreign references default',
+            lineComment: '--', blockComment: ['/*', '*/'], quotes: '\'"', caseless: true
+        },
+        go: {
+            aliases: ['golang'],
+            keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var nil true false',
+            lineComment: '//', blockComment: ['/*', '*/'], quotes: '\'"`'
+        },
+        rust: {
+            aliases: ['rs'],
+            keywords: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while Some None Ok Err',
+            lineComment: '//', blockComment: ['/*', '*/'], quotes: '"'
+        },
+        c: {
+            aliases: ['cpp', 'c++', 'h', 'hpp', 'java', 'cs', 'csharp', 'kotlin', 'kt', 'swift'],
+            keywords: 'auto break case catch char class const continue default do double else enum extends extern false final float for fun func if implements import int interface let long namespace new null nullptr package private protected public return short signed sizeof static struct switch template this throw throws true try typedef union unsigned using val var virtual void volatile while',
+            lineComment: '//', blockComment: ['/*', '*/'], quotes: '\'"'
+        }
+    },
+
+    patterns: new Map(),
+
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    resolveLanguage(name) {
+        const key = String(name || '').toLowerCase();
+        if (this.languages[key]) return key;
+        return Object.keys(this.languages).find(lang => this.languages[lang].aliases.includes(key)) || null;
+    },
+
+    detectLanguage(text) {
+        // Cheap guesses from the first few lines; "auto" falls back to plain text when unsure
+        const head = text.slice(0, 2000);
+        if (/^\s*[{[]/.test(head)) {
+            try { JSON.parse(text); return 'json'; } catch (err) { /* not JSON */ }
+        }
+        if (/^#!.*\b(ba|z)?sh\b/.test(head)) return 'bash';
+        if (/^\s*<(!doctype|html|\?xml|[a-z]+[\s>])/i.test(head)) return 'html';
+        // Fences and links are Markdown even when the code inside them looks like a language
+        if (/^\s*```/m.test(head) || /\[[^\]]+\]\(https?:/.test(head)) return 'markdown';
+        if (/^#{1,6}\s/m.test(head) && !/[;{:]\s*$/m.test(head)) return 'markdown';
+        if (/^\s*(def|class|import|from)\s[\w.]+.*:?\s*$/m.test(head) && /:\s*$/m.test(head)) return 'python';
+        if (/^\s*(package\s+\w+|func\s+\w+\()/m.test(head)) return 'go';
+        if (/^\s*(fn\s+\w+|use\s+[\w:]+;|let\s+mut\s)/m.test(head)) return 'rust';
+        if (/^\s*(select|insert|update|create\s+table)\b/im.test(head)) return 'sql';
+        if (/^\s*(const|let|var|function|import|export)\b|=>/m.test(head)) return 'javascript';
+        if (/^\s*#include\s*[<"]|public\s+(static\s+)?(class|void)\b/m.test(head)) return 'c';
+        if (/^\s*[.#]?[\w-]+\s*\{[^}]*:[^}]*;/m.test(head)) return 'css';
+        if (/^\s*[-*]\s/m.test(head)) return 'markdown';
+        return null;
+    },
+
+    getPattern(language) {
+        if (this.patterns.has(language)) return this.patterns.get(language);
+
+        const spec = this.languages[language];
+        const quote = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        const comments = [];
+        if (spec.lineComment) comments.push(`${quote(spec.lineComment)}[^\\n]*`);
+        if (spec.blockComment) comments.push(`${quote(spec.blockComment[0])}[\\s\\S]*?(?:${quote(spec.blockComment[1])}|$)`);
+        const strings = spec.quotes.split('').map(q => q === '`'
+            ? '`(?:\\\\[\\s\\S]|[^`\\\\])*`'
+            : `${q}(?:\\\\.|[^${q}\\\\\\n])*${q}`);
+
+        const parts = [
+            comments.length ? `(${comments.join('|')})` : '($^)',
+            `(${strings.join('|')})`,
+            '(\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b)',
+            spec.keywords ? `(\\b(?:${spec.keywords.split(' ').join('|')})\\b)` : '($^)',
+            spec.tags ? '(<\\/?[\\w:-]+|\\/?>)' : '($^)'
+        ];
+        const pattern = new RegExp(parts.join('|'), spec.caseless ? 'gi' : 'g');
+        this.patterns.set(language, pattern);
+        return pattern;
+    },
+
+    highlight(code, language) {
+        const lang = this.resolveLanguage(language);
+        if (!lang) return this.escape(code);
+
+        const pattern = this.getPattern(lang);
+        const classes = ['tok-comment', 'tok-string', 'tok-number', 'tok-keyword', 'tok-tag'];
+        let html = '';
+        let last = 0;
+        pattern.lastIndex = 0;
+        for (let match = pattern.exec(code); match; match = pattern.exec(code)) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const group = match.slice(1).findIndex(value => value !== undefined);
+            html += this.escape(code.slice(last, match.index));
+            html += `<span class="${classes[group]}">${this.escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + this.escape(code.slice(last));
+    },
+
+    inline(text) {
+        // Code spans first, so nothing inside them is read as emphasis or links
+        const spans = [];
+        let html = this.escape(text).replace(/`([^`]+)`/g, (_, code) => {
+            spans.push(`<code>${code}</code>`);
+            return `\u0000${spans.length - 1}\u0000`;
+        });
+        html = html
+            .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+            .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*([^*\s][^*]*)\*|\b_([^_\s][^_]*)_\b/g, (_, a, b) => `<em>${a || b}</em>`)
+            .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => spans[index]);
+    },
+
+    markdown(text) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null; // { tag, items }
+        let quote = [];
+
+        const flush = () => {
+            if (paragraph.length) blocks.push(`<p>${this.inline(paragraph.join(' '))}</p>`);
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${this.inline(item)}</li>`).join('')}</${list.tag}>`);
+            if (quote.length) blocks.push(`<blockquote>${this.markdown(quote.join('\n'))}</blockquote>`);
+            paragraph = [];
+            list = null;
+            quote = [];
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if ((match = line.match(/^\s*```\s*([\w+#-]*)/))) {
+                flush();
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+                const language = this.resolveLanguage(match[1]);
+                blocks.push(`<pre><code>${this.highlight(code.join('\n'), language)}</code></pre>`);
+            } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+                flush();
+                blocks.push(`<h${match[1].length}>${this.inline(match[2])}</h${match[1].length}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flush();
+                blocks.push('<hr>');
+            } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+                if (paragraph.length || list) flush();
+                quote.push(match[1]);
+            } else if ((match = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+                const tag = match[1] ? 'ul' : 'ol';
+                if (paragraph.length || quote.length || (list && list.tag !== tag)) flush();
+                list = list || { tag, items: [] };
+                list.items.push(match[3]);
+            } else if (!line.trim()) {
+                flush();
+            } else if (list && /^\s{2,}/.test(line)) {
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                if (list || quote.length) flush();
+                paragraph.push(line.trim());
+            }
+        }
+        flush();
+        return blocks.join('');
+    },
+
+    render(text, format) {
+        // Returns { html, language } with the language actually used, for labelling
+        const language = format === 'auto' ? this.detectLanguage(text) : format;
+        if (language === 'markdown') return { html: this.markdown(text), language, markdown: true };
+        const resolved = this.resolveLanguage(language);
+        return { html: this.highlight(text, resolved), language: resolved, markdown: false };
+    }
+};
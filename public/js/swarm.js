@@ -0,0 +1,127 @@
+/**
+ * Velo Swarm
+ * Piece bookkeeping for swarm transfers: which pieces each peer holds, which are
+ * in flight, and which to ask for next. Rarest pieces go first, and other
+ * receivers are asked before the seeder so its uplink carries as little as possible.
+ */
+
+class VeloSwarm {
+    constructor({ pieceCount, pieceSize, size, seeder, rank = 0, ranks = 1 }) {
+        this.pieceCount = pieceCount;
+        this.pieceSize = pieceSize;
+        this.size = size;
+        this.seeder = seeder;
+        this.have = new Uint8Array(pieceCount);
+        this.haveCount = 0;
+        this.peers = new Map(); // peerId -> Uint8Array, 1 for each piece it holds
+        this.inFlight = new Map(); // index -> { peerId, at }
+        this.banned = new Set(); // Peers that sent a piece failing its digest
+
+        // Each receiver starts at its own share of the file, so early pieces from the seeder don't overlap
+        this.startPiece = Math.floor(rank * pieceCount / Math.max(1, ranks));
+
+        // The seeder holds everything from the start
+        this.addPeer(seeder, new Uint8Array(pieceCount).fill(1));
+    }
+
+    get complete() {
+        return this.haveCount === this.pieceCount;
+    }
+
+    get bytesHeld() {
+        let bytes = 0;
+        for (let i = 0; i < this.pieceCount; i++) {
+            if (this.have[i]) bytes += this.pieceLength(i);
+        }
+        return bytes;
+    }
+
+    pieceStart(index) {
+        return index * this.pieceSize;
+    }
+
+    pieceLength(index) {
+        return Math.min(this.pieceSize, this.size - this.pieceStart(index));
+    }
+
+    addPeer(peerId, pieces = null) {
+        if (!this.peers.has(peerId)) this.peers.set(peerId, pieces || new Uint8Array(this.pieceCount));
+    }
+
+    removePeer(peerId) {
+        this.peers.delete(peerId);
+        this.inFlight.forEach((request, index) => {
+            if (request.peerId === peerId) this.inFlight.delete(index);
+        });
+    }
+
+    notePiece(peerId, index) {
+        const pieces = this.peers.get(peerId);
+        if (pieces && Number.isInteger(index) && index >= 0 && index < this.pieceCount) pieces[index] = 1;
+    }
+
+    markHave(index) {
+        this.inFlight.delete(index);
+        if (this.have[index]) return;
+        this.have[index] = 1;
+        this.haveCount++;
+    }
+
+    reject(peerId, index) {
+        // A bad piece means a bad peer; its other answers can't be trusted either
+        this.banned.add(peerId);
+        this.removePeer(peerId);
+        this.inFlight.delete(index);
+    }
+
+    isRequested(index, peerId) {
+        return this.inFlight.get(index)?.peerId === peerId;
+    }
+
+    isAvailable() {
+        // Can every missing piece still be fetched from someone?
+        for (let i = 0; i < this.pieceCount; i++) {
+            if (this.have[i]) continue;
+            if (!Array.from(this.peers.values()).some(pieces => pieces[i])) return false;
+        }
+        return true;
+    }
+
+    nextRequests({ reachable, limit, perPeer, timeout }) {
+        const now = Date.now();
+
+        // Requests that never came back go to the pool again
+        this.inFlight.forEach((request, index) => {
+            if (now - request.at > timeout || !reachable.has(request.peerId)) this.inFlight.delete(index);
+        });
+
+        const load = new Map();
+        this.inFlight.forEach(({ peerId }) => load.set(peerId, (load.get(peerId) || 0) + 1));
+
+        const candidates = [];
+        for (let i = 0; i < this.pieceCount; i++) {
+            if (this.have[i] || this.inFlight.has(i)) continue;
+            const holders = Array.from(this.peers.entries())
+                .filter(([peerId, pieces]) => pieces[i] && reachable.has(peerId) && !this.banned.has(peerId))
+                .map(([peerId]) => peerId);
+            if (holders.length > 0) candidates.push({ index: i, holders, order: (i - this.startPiece + this.pieceCount) % this.pieceCount });
+        }
+        candidates.sort((a, b) => a.holders.length - b.holders.length || a.order - b.order);
+
+        const requests = [];
+        for (const { index, holders } of candidates) {
+            if (this.inFlight.size >= limit) break;
+
+            // Fellow receivers first, least busy first; the seeder only when nobody else has it
+            const peerId = holders
+                .filter(id => (load.get(id) || 0) < perPeer)
+                .sort((a, b) => (a === this.seeder) - (b === this.seeder) || (load.get(a) || 0) - (load.get(b) || 0))[0];
+            if (!peerId) continue;
+
+            load.set(peerId, (load.get(peerId) || 0) + 1);
+            this.inFlight.set(index, { peerId, at: now });
+            requests.push({ index, peerId });
+        }
+        return requests;
+    }
+}
@@ -10,12 +10,17 @@ class VeloApp {
         this.connections = new Map(); // peerId -> { conn, username }
         this.myUsername = '';
         this.myPeerId = null;
+        this.shareCode = null; // What others enter to join us: our peer ID, or the room code on server.js
         this.isHost = false;
+        this.signalingConfig = typeof VeloConfig !== 'undefined' ? VeloConfig : {};
+        this.iceServers = null; // From VeloConfig.iceServersUrl or the server room; null keeps the backend's defaults
+        this.iceExpiresAt = null; // When the fetched TURN credentials stop working
+        this.iceRefreshTimer = null;
 
         // Transfer tracking
         this.transfers = new Map();
-        this.activeTransfers = new Map(); // id -> { size, transferred, startTime, lastUpdate, lastBytes }
-        this.transferId = 0;
+        this.activeTransfers = new Map(); // id -> { size, transferred, startTime, lastUpdate, lastBytes, peers? }
+        this.transferId = Math.floor(Math.random() * 0x40000000); // Random start keeps ids from different senders apart
 
         // Global stats
         this.totalBytesTransferred = 0;
@@ -28,9 +33,14 @@ class VeloApp {
         // ============ NEW FEATURES =============
 
         // Queue Management
-        this.queuedFiles = []; // Array of { id, file, status, priority }
+        this.queuedFiles = []; // Array of { id, file, status, priority, targets, handle }
+        this.savedQueue = []; // Items persisted by an earlier session, waiting for the user to resume or discard them
+        this.savedQueueLoaded = false; // Nothing is written back until the saved queue has been read
         this.isPaused = false;
         this.queueId = 0;
+        this.draggedQueueId = null; // Queue item being dragged in the queue list
+        this.activeSends = 0;
+        this.maxConcurrentSends = Number(localStorage.getItem('velo_concurrency')) || 3; // Files in flight at once
 
         // Multi-Peer Broadcasting
         this.selectedPeers = new Set(); // Selected peer IDs for targeted send
@@ -40,20 +50,134 @@ class VeloApp {
         this.peerSpeedResults = new Map(); // peerId -> { latency, uploadSpeed, downloadSpeed }
         this.speedTestInProgress = false;
 
-        // Adaptive Chunk Sizing for Speed Improvements
-        this.currentChunkSize = 512 * 1024; // Start at 512KB
-        this.minChunkSize = 256 * 1024; // 256KB minimum
+        // Congestion Control (VeloCongestion sizes each receiver's window and chunks)
+        this.minChunkSize = 64 * 1024; // 64KB minimum
         this.maxChunkSize = 2 * 1024 * 1024; // 2MB maximum
-        this.measuredSpeed = 0; // Current measured speed in bytes/sec
+        this.sendBufferLimit = 4 * 1024 * 1024; // Channel buffer ceiling; the window normally keeps well under it
+        this.measuredSpeed = 0; // Intake rate receivers report, in bytes/sec
+
+        // Compression (CompressionStream codecs both sides support, per chunk)
+        this.compressionFormats = this.getCompressionFormats(); // Our preference order, advertised in the handshake
+        this.compressionSampleSize = 64 * 1024;
+        this.compressionMinRatio = 0.9; // A sample must shrink at least this much to compress the file
+        this.compressionMinSize = 4096;
+
+        // Resumable Transfers
+        this.dbPromise = null;
+        this.pendingResumes = new Map(); // `${peerId}:${transferId}` -> resolve(offset)
+        this.resumeTimeout = 10000; // How long to wait for a receiver to report its offset
+        this.resumeFlushSize = 4 * 1024 * 1024; // Persist received bytes every 4MB
+        this.partialMaxAge = 7 * 24 * 60 * 60 * 1000; // Drop partial downloads after a week
+        this.maxUnackedBytes = 64 * 1024 * 1024; // Receiver memory bound: sender stays this far ahead of acks
+
+        // Chat
+        this.chatMessages = []; // { id, from, fromName, to, direct, text, sentAt, replyTo, receipts | read }
+        this.chatUnread = 0;
+        this.chatReplyTo = null; // { name } of the received file a message answers
+        this.chatMaxLength = 4000;
+        this.saveChat = localStorage.getItem('velo_chat_save') === 'true'; // Session only unless opted in
+
+        // Clipboard Sync
+        this.clipboardSync = localStorage.getItem('velo_clipboard_sync') === 'true';
+        this.clipboardHistory = []; // { id, kind, text | blob, from, fromName, at }, newest first
+        this.clipboardHistoryLimit = 20;
+        this.clipboardImageLimit = 4 * 1024 * 1024;
+        this.clipboardPollInterval = 1500;
+        this.clipboardTimer = null;
+        this.lastClipboard = undefined; // Signature of what's on the clipboard; undefined takes the next read as a baseline
+        this.clipboardReading = false;
+        this.incomingClipboard = new Map(); // `${peerId}:${id}` -> image whose bytes are still arriving
+
+        // Transfer History (kept in IndexedDB)
+        const savedHistoryLimit = Number(localStorage.getItem('velo_history_limit') ?? NaN);
+        this.historyLimit = Number.isInteger(savedHistoryLimit) && savedHistoryLimit >= 0 ? savedHistoryLimit : 500; // 0 keeps everything
+
+        // Receive Sinks (where incoming bytes are written)
+        this.saveDirectory = null; // FileSystemDirectoryHandle chosen by the user
+        this.suspendedSinks = new Map(); // transfer key -> { sink, received } for in-session resume
+        this.openDirectorySinks = new Set(); // Writables to commit on page hide
+        this.stagingCleanupDelay = 10 * 60 * 1000; // Keep staged data until the download has read it
+
+        // Receiver Consent
+        this.consentTimeout = 60000; // How long an offer waits for the receiver to decide
+        this.pendingConsents = new Map(); // `${peerId}:${transferId}` -> resolve('accept' | 'decline' | 'timeout' | null)
+        this.acceptedOffers = new Set(); // `${peerId}:${transferId}` the user agreed to receive
+        this.openOffers = new Map(); // prompt key -> { peerId, settle(accepted) }
+        this.trustedPeers = new Set(); // Peers whose files are accepted without asking, this session only
+
+        // Media Previews
+        this.thumbnailSize = 160; // Longest edge in px
+        this.thumbnailMaxLength = 64 * 1024; // Data URL characters; bigger previews aren't sent
+        this.thumbnailSourceLimit = 100 * 1024 * 1024; // Images and PDFs are read whole to draw them
+        this.thumbnailTimeout = 5000;
+        this.thumbnails = new WeakMap(); // File -> data URL or null, so re-offers don't redraw
+        this.offerThumbnails = new Map(); // `${peerId}:${transferId}` -> data URL from the offer
+        this.gallery = []; // { id, name, url } of received images, oldest first
+        this.galleryLimit = 50;
+        this.pdfJs = null; // Promise for the lazily loaded PDF renderer
+        this.mediaStreams = new Map(); // transferId -> media being played while it arrives
+        this.mediaRangeSize = 1024 * 1024; // Unit of byte ranges asked of the sender on seeks
+        this.mediaBufferLimit = 128 * 1024 * 1024;
+        this.mediaLookahead = 8 * 1024 * 1024; // Reads this close ahead of the stream just wait for it
+        this.mediaPrefetch = 4 * 1024 * 1024; // Requested past a seek so playback doesn't stall on each range
+        this.mediaRequestTimeout = 5000; // A range unanswered this long is asked for again
+        this.mediaReadTimeout = 30000;
+
+        // Integrity Verification
+        this.hashBlockSize = 4 * 1024 * 1024; // Granularity of per-block SHA-256 digests
+        this.fileManifests = new Map(); // transfer key -> Promise<{ blockSize, blocks, digest }>
+        this.sentFiles = new Map(); // transfer id -> { file, key, peers, timer }, so its receivers can re-request blocks
+        this.sentFileTimeout = 10 * 60 * 1000; // How long a sent file stays available for repairs once the send is over
+        this.corruptTransfers = new Map(); // id -> { peerId, name, size, blob, manifest, badBlocks, patches }
+
+        // Folder Transfer
+        this.folderGroups = new Map(); // folderId -> group shared by every file of a dropped folder, both directions
+
+        // Zip Bundles
+        this.bundleFiles = localStorage.getItem('velo_bundle_files') === 'true'; // Send multi-file drops as one zip
+
+        // Room Mesh
+        this.hostPeerId = null; // The peer we joined through; it introduces the rest of the room
+        this.meshExpected = new Set(); // Peers the host let in, so a password session's joiners accept them
+
+        // Swarm Mode
+        this.swarmMode = localStorage.getItem('velo_swarm') === 'true'; // Broadcasts go out as pieces receivers trade
+        this.swarms = new Map(); // id -> swarm this peer is seeding or fetching
+        this.swarmRequestLimit = 8; // Pieces a receiver has in flight
+        this.swarmPerPeer = 3; // ...of which any one peer serves at most this many
+        this.swarmRequestTimeout = 15000; // Ask someone else after this long
 
         // Share Link
-        this.sharePassword = null;
+        this.sharePassword = null; // Session password: the host checks it, a joiner proves it. Never sent or stored.
+
+        // Session Password
+        this.pendingAuth = new Map(); // peerId -> { conn, nonce, timer } for joiners not yet admitted
+        this.authTimeout = 30000; // How long a joiner has to answer the challenge
+        this.authIterations = 150000; // PBKDF2 rounds, slows down guessing from a captured exchange
+        this.authMinIterations = 100000; // Fewest a joiner accepts; cheaper proofs would be easy to crack offline
+        this.hostAdmitted = false; // Joiner side: the host has let us in, so no further challenge is answered
+        this.authSalt = null; // Random per hosted session
+        this.authKey = null; // Promise<CryptoKey> derived from the password and salt
+        this.authFailures = []; // Timestamps of recent wrong answers
+        this.authFailureCount = 0;
+        this.authLockouts = 0;
+        this.authLockedUntil = 0;
+
+        // End-to-End Encryption
+        this.e2eSessions = new WeakMap(); // conn -> key exchange state and AES-GCM keys
+        this.e2eTimeout = 20000; // How long to wait for the peer's keys before giving up on a connection
+        this.allowPlaintextPeers = localStorage.getItem('velo_allow_plaintext') === 'true'; // Opt-out; peers that can't encrypt are refused
 
         // ==================== TEXT SHARING ====================
         // Only active in-memory (no backend storage): receiver must connect while sharer stays on this page.
-        this.activeTextShare = null; // { token, text }
+        this.textShares = new Map(); // token -> { token, title, text, format, expiresAt, maxViews, views, deliveredToPeers, timer }
         this.textShareTokenFromUrl = null; // parsed from ?t=... on the receiver
-        this.maxTextShareChars = 20000;
+        this.maxTextShareChars = 20000; // Per message; longer snippets travel in parts
+        this.maxSnippetChars = 1000000;
+        this.maxHighlightChars = 200000; // Past this, received snippets show as plain text
+        this.incomingSnippets = new Map(); // `${peerId}:${token}` -> { parts, received, timer }
+        this.snippetPartTimeout = 60000; // A multi-part snippet is dropped if no part arrives for this long
+        this.receivedTextQueue = []; // Snippets waiting for the open one to be closed
 
         this.initElements();
         this.bindEvents();
@@ -66,11 +190,13 @@ class VeloApp {
 
         // Host
         this.hostNameInput = document.getElementById('hostNameInput');
+        this.hostPasswordInput = document.getElementById('hostPasswordInput');
         this.hostBtn = document.getElementById('hostBtn');
 
         // Join
         this.joinNameInput = document.getElementById('joinNameInput');
         this.peerIdInput = document.getElementById('peerIdInput');
+        this.joinPasswordInput = document.getElementById('joinPasswordInput');
         this.joinBtn = document.getElementById('joinBtn');
 
         // Room
@@ -88,6 +214,8 @@ class VeloApp {
         // Transfer
         this.dropZone = document.getElementById('dropZone');
         this.fileInput = document.getElementById('fileInput');
+        this.folderInput = document.getElementById('folderInput');
+        this.folderPickBtn = document.getElementById('folderPickBtn');
         this.transferQueue = document.getElementById('transferQueue');
 
         // Toast
@@ -100,26 +228,32 @@ class VeloApp {
         this.hostNameInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.startHosting();
         });
+        this.hostPasswordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.startHosting();
+        });
 
         // Join
         this.joinBtn.addEventListener('click', () => this.joinPeer());
         this.peerIdInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.joinPeer();
         });
+        this.joinPasswordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinPeer();
+        });
         this.peerIdInput.addEventListener('input', (e) => {
             e.target.value = e.target.value.toUpperCase();
         });
 
         // Room actions
         this.copyPeerIdBtn.addEventListener('click', () => {
-            navigator.clipboard.writeText(this.myPeerId);
+            navigator.clipboard.writeText(this.shareCode);
             this.showToast('Peer ID copied!', 'success');
         });
 
         this.disconnectBtn.addEventListener('click', () => this.disconnect());
 
         // File transfer
-        this.dropZone.addEventListener('click', () => this.fileInput.click());
+        this.dropZone.addEventListener('click', () => this.pickFiles());
         this.fileInput.addEventListener('change', (e) => {
             this.handleFiles(e.target.files);
             e.target.value = '';
@@ -138,7 +272,17 @@ class VeloApp {
         this.dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             this.dropZone.classList.remove('drag-over');
-            this.handleFiles(e.dataTransfer.files);
+            this.handleDrop(e.dataTransfer);
+        });
+
+        // Folders
+        this.folderPickBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't open the file picker underneath
+            this.pickFolder();
+        });
+        this.folderInput.addEventListener('change', (e) => {
+            this.folderFromFileList(e.target.files).forEach(folder => this.queueFolder(folder));
+            e.target.value = '';
         });
     }
 
@@ -163,6 +307,7 @@ class VeloApp {
         this.myUsername = username;
         this.saveProfile();
         this.isHost = true;
+        this.setSessionPassword(this.hostPasswordInput?.value || '');
         this.initPeer();
     }
 
@@ -182,28 +327,29 @@ class VeloApp {
         this.myUsername = username;
         this.saveProfile();
         this.isHost = false;
+        this.setSessionPassword(this.joinPasswordInput?.value || '');
         this.initPeer(targetPeerId);
     }
 
-    initPeer(targetPeerId = null) {
-        const myId = this.generatePeerId();
-
-        this.peer = new Peer(myId, {
-            debug: 1
-        });
+    async initPeer(targetPeerId = null) {
+        await this.loadIceServers();
+        this.peer = this.createSignaling(targetPeerId);
 
         this.peer.on('open', (id) => {
             this.myPeerId = id;
-            this.myPeerIdDisplay.textContent = id;
+            this.shareCode = this.peer.roomCode ? `VELO-${this.peer.roomCode}` : id;
+            this.myPeerIdDisplay.textContent = this.shareCode;
             this.showRoomScreen();
             this.updateStatus('ready');
-            this.showToast(`Your ID: ${id}`, 'success');
+            this.showToast(`Your ID: ${this.shareCode}`, 'success');
             this.sessionStartTime = Date.now();
             this.startSpeedTracking();
 
-            // If joining, connect to target
+            // If joining, connect to target; in a server room that's whoever created it
             if (targetPeerId) {
-                this.connectToPeer(targetPeerId);
+                this.hostPeerId = this.peer.hostId || targetPeerId;
+                this.hostAdmitted = false;
+                this.connectToPeer(this.hostPeerId);
             }
         });
 
@@ -212,9 +358,11 @@ class VeloApp {
         });
 
         this.peer.on('error', (err) => {
-            console.error('PeerJS Error:', err);
+            console.error('Signaling error:', err);
             if (err.type === 'peer-unavailable') {
                 this.showToast('Peer not found. Check the ID.', 'error');
+            } else if (err.type === 'server-error') {
+                this.showToast('Could not reach the signaling server', 'error');
             } else {
                 this.showToast(`Connection error: ${err.type}`, 'error');
             }
@@ -223,6 +371,93 @@ class VeloApp {
         this.peer.on('disconnected', () => {
             this.updateStatus('disconnected');
         });
+
+        // Server rooms announce members before WebRTC connects, and drop them before it notices
+        this.peer.on('user-joined', () => {
+            this.updatePeerList();
+        });
+
+        // Their connections are already closed (and cleaned up) by the time this fires
+        this.peer.on('user-left', () => {
+            this.updatePeerList();
+        });
+
+        // Server rooms hand their members ICE servers, TURN credentials included
+        this.peer.on('ice-servers', ({ iceServers, expiresAt }) => {
+            this.iceServers = iceServers;
+            this.iceExpiresAt = Number(expiresAt) || null;
+            this.scheduleIceRefresh();
+        });
+    }
+
+    createSignaling(targetPeerId = null) {
+        // Self-hosted deployments set VeloConfig.signaling to 'server' to use server.js rooms
+        if (this.signalingConfig.signaling === 'server') {
+            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            return new VeloRoomPeer({
+                url: this.signalingConfig.signalingUrl || `${protocol}//${window.location.host}`,
+                username: this.myUsername,
+                roomCode: targetPeerId ? targetPeerId.replace(/^VELO-/, '') : null,
+                iceServers: this.iceServers,
+                relay: this.signalingConfig.relay !== false,
+                relayTimeout: this.signalingConfig.relayTimeout
+            });
+        }
+
+        return new Peer(this.generatePeerId(), {
+            debug: 1,
+            ...(this.iceServers ? { config: { iceServers: this.iceServers } } : {})
+        });
+    }
+
+    async loadIceServers() {
+        // Deployments with their own STUN/TURN publish them at VeloConfig.iceServersUrl
+        const url = this.signalingConfig.iceServersUrl;
+        if (!url) return;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 5000);
+        try {
+            const response = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { iceServers, expiresAt } = await response.json();
+            if (!Array.isArray(iceServers)) throw new Error('Response has no iceServers');
+
+            this.iceServers = iceServers;
+            this.iceExpiresAt = Number(expiresAt) || null;
+            this.applyIceServers();
+            this.scheduleIceRefresh();
+        } catch (err) {
+            console.error('Could not load ICE servers:', err);
+            if (!this.iceServers) this.showToast('Could not load ICE servers; using defaults', 'info');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    applyIceServers() {
+        // Both backends read these each time they create an RTCPeerConnection
+        if (!this.peer || !this.iceServers) return;
+        if (this.peer.options) {
+            this.peer.options.config = { ...this.peer.options.config, iceServers: this.iceServers };
+        } else {
+            this.peer.iceServers = this.iceServers;
+        }
+    }
+
+    scheduleIceRefresh() {
+        // Fetch fresh TURN credentials well before the current ones expire
+        clearTimeout(this.iceRefreshTimer);
+        if (!this.iceExpiresAt) return;
+        const delay = Math.max((this.iceExpiresAt - Date.now()) * 0.8, 30000);
+        this.iceRefreshTimer = setTimeout(() => {
+            if (this.peer?.refreshIceServers) this.peer.refreshIceServers();
+            else this.loadIceServers();
+        }, delay);
+    }
+
+    getActiveIceServers() {
+        return this.peer?.options?.config?.iceServers || this.peer?.iceServers || this.iceServers || [];
     }
 
     connectToPeer(peerId) {
@@ -239,65 +474,89 @@ class VeloApp {
     }
 
     handleIncomingConnection(conn) {
-        this.showToast(`${conn.metadata?.username || 'Someone'} connected!`, 'success');
-        this.playSound('connect');
-        this.setupConnection(conn);
+        this.setupConnection(conn, true);
     }
 
-    setupConnection(conn) {
-        conn.on('open', () => {
-            const username = conn.metadata?.username || 'Peer';
-            this.connections.set(conn.peer, { conn, username, receivingId: null });
-            this.updatePeerList();
-            this.updateStatus('connected');
+    introducePeer(peerId) {
+        // Full mesh: the newcomer dials everyone already here, and they're told to expect it
+        const others = Array.from(this.connections.keys()).filter(id => id !== peerId);
+        if (others.length === 0) return;
 
-            // Send our username
-            conn.send({
-                type: 'handshake',
-                username: this.myUsername
-            });
+        others.forEach((id) => {
+            const { conn } = this.connections.get(id);
+            if (conn.open) conn.send({ type: 'mesh-expect', peerId });
+        });
+        this.connections.get(peerId)?.conn.send({ type: 'mesh-peers', peers: others });
+    }
 
-            // If this connection was initiated from a text-share link, deliver the active text.
-            const receiverToken = conn.metadata?.textShareToken || null;
-            if (this.activeTextShare) {
-                const { token: activeToken, text, deliveredToPeers } = this.activeTextShare;
-                const delivered = deliveredToPeers || new Set();
-
-                // If the receiver is using a tokenized link, only deliver when token matches.
-                if (receiverToken && receiverToken !== activeToken) {
-                    conn.send({
-                        type: 'text-share-miss',
-                        token: receiverToken
-                    });
-                } else {
-                    // Deliver once per peer per active share.
-                    if (!delivered.has(conn.peer)) {
-                        conn.send({
-                            type: 'text-share',
-                            token: activeToken,
-                            text
-                        });
-                        delivered.add(conn.peer);
-                        this.activeTextShare.deliveredToPeers = delivered;
-                    }
-                }
-            }
+    joinMesh(peerId, data) {
+        // Only the peer we joined through gets to tell us whom to dial
+        if (peerId !== this.hostPeerId || !Array.isArray(data.peers)) return;
 
-            // Process queue
-            this.processTransferQueue();
+        data.peers.slice(0, 64).forEach((id) => {
+            if (typeof id !== 'string' || id === this.myPeerId || this.connections.has(id)) return;
+            this.connectToPeer(id);
+        });
+    }
+
+    setupConnection(conn, incoming = false) {
+        this.secureConnection(conn);
+
+        conn.on('open', () => {
+            // Password sessions admit a joiner only once it proves it knows the password
+            if (incoming && this.isHost && this.sharePassword) {
+                this.challengePeer(conn);
+                return;
+            }
+            // A joiner's mesh connections in a password session come only from peers the host let in
+            if (incoming && !this.isHost && this.sharePassword && !this.meshExpected.has(conn.peer)) {
+                conn.close();
+                return;
+            }
+            this.admitConnection(conn, incoming);
         });
 
         conn.on('data', (data) => {
-            this.handleData(conn.peer, data);
+            const pending = this.pendingAuth.get(conn.peer);
+            if (pending?.conn === conn) {
+                // The joiner's handshake carries its key commitment; keep it for when it's admitted
+                if (data?.type === 'handshake') {
+                    pending.handshake = data;
+                    return;
+                }
+                this.verifyAuthResponse(conn, data);
+                return;
+            }
+            // Rejected joiners are dropped until their connection closes
+            if (this.connections.get(conn.peer)?.conn !== conn) return;
+            this.receiveSecure(conn, data);
         });
 
         conn.on('close', () => {
+            const session = this.e2eSessions.get(conn);
+            if (session) {
+                clearTimeout(session.timer);
+                session.failed = true; // Releases sends still waiting on the key exchange
+                session.settle(false);
+            }
+            const pending = this.pendingAuth.get(conn.peer);
+            if (pending?.conn === conn) {
+                clearTimeout(pending.timer);
+                this.pendingAuth.delete(conn.peer);
+                return;
+            }
+            if (this.connections.get(conn.peer)?.conn !== conn) return;
+
             const peerInfo = this.connections.get(conn.peer);
             this.connections.delete(conn.peer);
             // Allow re-delivery if the same peer reconnects later.
-            if (this.activeTextShare?.deliveredToPeers) {
-                this.activeTextShare.deliveredToPeers.delete(conn.peer);
-            }
+            this.textShares.forEach(share => share.deliveredToPeers.delete(conn.peer));
+            this.incomingSnippets.forEach((pending, key) => {
+                if (!key.startsWith(`${conn.peer}:`)) return;
+                clearTimeout(pending.timer);
+                this.incomingSnippets.delete(key);
+            });
+            this.interruptTransfersFrom(conn.peer);
             this.updatePeerList();
             this.updateStatus(this.connections.size > 0 ? 'connected' : 'ready');
             this.showToast(`${peerInfo?.username || 'Peer'} disconnected`, 'info');
@@ -308,6 +567,50 @@ class VeloApp {
         });
     }
 
+    admitConnection(conn, incoming = false) {
+        if (incoming) {
+            this.showToast(`${conn.metadata?.username || 'Someone'} connected!`, 'success');
+            this.playSound('connect');
+        }
+        if (conn.relayed) {
+            this.showToast('No direct connection possible; relaying through the server', 'info');
+        }
+
+        const username = conn.metadata?.username || 'Peer';
+        this.connections.set(conn.peer, { conn, username });
+        this.updatePeerList();
+        this.updateStatus('connected');
+        this.offerSavedQueue();
+
+        // Send our username
+        conn.send({
+            type: 'handshake',
+            username: this.myUsername,
+            compression: this.compressionFormats
+        });
+        if (incoming && this.isHost) this.introducePeer(conn.peer);
+
+        // If this connection was initiated from a text-share link, deliver that snippet only.
+        const receiverToken = conn.metadata?.textShareToken || null;
+        if (receiverToken) {
+            const share = this.textShares.get(receiverToken);
+            if (!share || !this.deliverTextShare(conn, share)) {
+                conn.send({
+                    type: 'text-share-miss',
+                    token: receiverToken
+                });
+            }
+        } else {
+            // Everyone else gets the open snippets; view-limited ones need their link
+            this.textShares.forEach((share) => {
+                if (!share.maxViews) this.deliverTextShare(conn, share);
+            });
+        }
+
+        // Process queue
+        this.processTransferQueue();
+    }
+
     handleData(peerId, data) {
         // Handle Raw Binary Data (File Chunks or Speed Test Data)
         if (data instanceof ArrayBuffer || data instanceof Uint8Array || data instanceof Blob) {
@@ -316,51 +619,156 @@ class VeloApp {
                 this.handleSpeedTestDataReceived(peerId, data);
                 return;
             }
-            this.receiveFileChunkRaw(peerId, data);
+            // Every frame names its file, so chunks of several files can interleave
+            const frame = this.parseFrame(data);
+            if (frame?.kind === 0 || frame?.kind === 4) this.receiveFileFrame(peerId, frame);
+            if (frame?.kind === 1) this.receiveBlockRepair(peerId, frame.id, frame.index, frame.body);
+            if (frame?.kind === 2) this.receiveSwarmPiece(peerId, frame.id, frame.index, frame.body);
+            if (frame?.kind === 3) this.receiveMediaRange(peerId, frame.id, frame.index, frame.body);
+            if (frame?.kind === 5) this.receiveClipboardPiece(peerId, frame.id, frame.index, frame.body);
             return;
         }
 
         switch (data.type) {
             case 'handshake':
                 const peerInfo = this.connections.get(peerId);
+                // The host only greets us once it has let us in
+                if (peerId === this.hostPeerId) this.hostAdmitted = true;
                 if (peerInfo) {
                     peerInfo.username = data.username;
+                    peerInfo.compression = Array.isArray(data.compression) ? data.compression.filter(f => typeof f === 'string') : [];
                     this.updatePeerList();
                 }
                 break;
 
+            case 'mesh-peers':
+                this.joinMesh(peerId, data);
+                break;
+
+            case 'mesh-expect':
+                if (peerId === this.hostPeerId && typeof data.peerId === 'string') this.meshExpected.add(data.peerId);
+                break;
+
+            case 'swarm-start':
+                this.receiveSwarmStart(peerId, data);
+                break;
+
+            case 'swarm-request':
+                this.handleSwarmRequest(peerId, data);
+                break;
+
+            case 'swarm-have':
+                this.handleSwarmHave(peerId, data);
+                break;
+
+            case 'swarm-done':
+                this.handleSwarmDone(peerId, data);
+                break;
+
+            case 'swarm-end':
+                this.handleSwarmEnd(peerId, data);
+                break;
+
+            case 'folder-start':
+                this.receiveFolderStart(peerId, data);
+                break;
+
+            case 'folder-end':
+                this.receiveFolderEnd(peerId, data);
+                break;
+
+            case 'auth-challenge':
+                this.answerAuthChallenge(peerId, data);
+                break;
+
+            case 'auth-ok':
+                if (peerId !== this.hostPeerId || this.hostAdmitted) break;
+                this.hostAdmitted = true;
+                this.showToast('Password accepted', 'success');
+                break;
+
+            case 'auth-failed':
+                this.handleAuthFailed(peerId, data);
+                break;
+
+            case 'file-offer':
+                this.receiveFileOffer(peerId, data);
+                break;
+
+            case 'file-accept':
+                this.handleConsent(peerId, data, 'accept');
+                break;
+
+            case 'file-decline':
+                this.handleConsent(peerId, data, 'decline');
+                break;
+
             case 'file-start':
                 this.receiveFileStart(peerId, data);
                 break;
 
+            case 'file-offset':
+                this.receiveFileOffset(peerId, data);
+                break;
+
             case 'file-end':
                 this.receiveFileEnd(peerId, data);
                 break;
 
-            case 'text-share':
-                if (this.textShareTokenFromUrl && data.token && data.token !== this.textShareTokenFromUrl) {
-                    this.showToast('Text share token mismatch.', 'error');
-                    break;
-                }
+            case 'file-resume':
+                this.handleResumeOffset(peerId, data);
+                break;
 
-                // Defensive guard: handle unexpected payloads.
-                const receivedText = typeof data.text === 'string' ? data.text : '';
-                if (receivedText.length > this.maxTextShareChars) {
-                    this.showToast('Received text is too large to display.', 'error');
-                    break;
-                }
+            case 'file-ack':
+                this.handleFileAck(peerId, data);
+                break;
 
-                if (receivedText.trim().length === 0) {
-                    this.showToast('Received empty text.', 'info');
-                }
+            case 'file-mark':
+                this.handleFileMark(peerId, data);
+                break;
 
-                // Only show "link delivered" copy when the receiver came from a tokenized URL.
-                this.showReceivedTextModal(receivedText, this.textShareTokenFromUrl ? data.token : null);
+            case 'file-mark-ack':
+                this.handleFileMarkAck(peerId, data);
+                break;
 
-                // Clear token after first delivery attempt to avoid repeated modals.
-                if (this.textShareTokenFromUrl && data.token === this.textShareTokenFromUrl) {
-                    this.textShareTokenFromUrl = null;
-                }
+            case 'file-abort':
+                this.handleFileAbort(peerId, data);
+                break;
+
+            case 'file-pause':
+                this.handleFilePause(peerId, data);
+                break;
+
+            case 'file-cancel':
+                this.handleFileCancel(peerId, data);
+                break;
+
+            case 'file-block-request':
+                this.handleBlockRequest(peerId, data);
+                break;
+
+            case 'file-verified':
+                this.releaseSentFile(data.id, peerId);
+                break;
+
+            case 'file-range-request':
+                this.handleRangeRequest(peerId, data);
+                break;
+
+            case 'text-share':
+                this.receiveTextShare(peerId, data);
+                break;
+
+            case 'chat':
+                this.receiveChat(peerId, data);
+                break;
+
+            case 'clipboard':
+                this.receiveClipboard(peerId, data);
+                break;
+
+            case 'chat-receipt':
+                this.handleChatReceipt(peerId, data);
                 break;
 
             case 'text-share-miss':
@@ -391,8 +799,14 @@ class VeloApp {
 
     disconnect() {
         this.stopSpeedTracking();
+        clearTimeout(this.iceRefreshTimer);
         this.connections.forEach(({ conn }) => conn.close());
         this.connections.clear();
+        this.pendingAuth.forEach(({ conn, timer }) => {
+            clearTimeout(timer);
+            conn.close();
+        });
+        this.pendingAuth.clear();
 
         if (this.peer) {
             this.peer.destroy();
@@ -402,120 +816,631 @@ class VeloApp {
         this.showLandingScreen();
     }
 
-    // ==================== SPEED TRACKING ====================
+    // ==================== SESSION PASSWORD ====================
 
-    startSpeedTracking() {
-        this.speedInterval = setInterval(() => {
-            this.updateGlobalStats();
-        }, 500);
-    }
+    setSessionPassword(password) {
+        // Kept in memory for this session only; the inputs are cleared so it isn't left on screen
+        this.sharePassword = password || null;
+        if (this.hostPasswordInput) this.hostPasswordInput.value = '';
+        if (this.joinPasswordInput) this.joinPasswordInput.value = '';
 
-    stopSpeedTracking() {
-        if (this.speedInterval) {
-            clearInterval(this.speedInterval);
-            this.speedInterval = null;
+        if (this.sharePassword && !window.crypto?.subtle) {
+            this.sharePassword = null;
+            this.showToast('Password sessions need HTTPS; continuing without a password', 'error');
+        }
+
+        if (this.isHost && this.sharePassword) {
+            this.authSalt = this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+            this.authKey = this.deriveAuthKey(this.sharePassword, this.authSalt, this.authIterations);
+        } else {
+            this.authSalt = null;
+            this.authKey = null;
         }
+        this.updateAuthChip();
     }
 
-    updateGlobalStats() {
-        // Calculate current speed from active transfers
-        let totalSpeed = 0;
+    async deriveAuthKey(password, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.hexToBytes(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'HMAC', hash: 'SHA-256', length: 256 },
+            false,
+            ['sign', 'verify']
+        );
+    }
+
+    getAuthMessage(nonce, hostId, joinerId) {
+        // Bound to both peers, so a proof can't be replayed to another session or by another joiner
+        return new TextEncoder().encode(`velo-auth:${nonce}:${hostId}:${joinerId}`);
+    }
+
+    challengePeer(conn) {
         const now = Date.now();
+        this.updateAuthChip();
+        if (now < this.authLockedUntil || this.pendingAuth.size >= 5) {
+            const retryAfter = Math.ceil(Math.max(this.authLockedUntil - now, 5000) / 1000);
+            conn.send({ type: 'auth-failed', reason: 'locked', retryAfter });
+            setTimeout(() => conn.close(), 500);
+            return;
+        }
 
-        this.activeTransfers.forEach((transfer, id) => {
-            const elapsed = (now - transfer.lastUpdate) / 1000;
-            if (elapsed > 0 && elapsed < 2) {
-                const bytesPerSec = (transfer.transferred - transfer.lastBytes) / elapsed;
-                totalSpeed += bytesPerSec;
-                transfer.lastBytes = transfer.transferred;
-                transfer.lastUpdate = now;
+        const nonce = this.bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+        const timer = setTimeout(() => {
+            this.pendingAuth.delete(conn.peer);
+            conn.close();
+        }, this.authTimeout);
+        this.pendingAuth.set(conn.peer, { conn, nonce, timer });
 
-                // Update individual transfer speed and ETA
-                this.updateTransferStats(id, transfer, bytesPerSec);
-            }
-        });
+        conn.send({ type: 'auth-challenge', nonce, salt: this.authSalt, iterations: this.authIterations });
+    }
 
-        // Update peak
-        if (totalSpeed > this.peakSpeed) {
-            this.peakSpeed = totalSpeed;
-        }
+    async verifyAuthResponse(conn, data) {
+        const pending = this.pendingAuth.get(conn.peer);
+        if (!pending || data?.type !== 'auth-response' || pending.answered) return;
+        pending.answered = true; // One guess per challenge
 
-        // Update UI
-        if (this.liveSpeedEl) {
-            this.liveSpeedEl.textContent = this.formatSpeed(totalSpeed);
+        let valid = false;
+        try {
+            const proof = this.hexToBytes(String(data.proof || ''));
+            const message = this.getAuthMessage(pending.nonce, this.myPeerId, conn.peer);
+            valid = proof.length === 32 && await crypto.subtle.verify('HMAC', await this.authKey, proof, message);
+        } catch (err) {
+            console.error('Could not check password proof:', err);
         }
-        if (this.peakSpeedEl) {
-            this.peakSpeedEl.textContent = this.formatSpeed(this.peakSpeed);
+
+        clearTimeout(pending.timer);
+        if (this.pendingAuth.get(conn.peer) !== pending) return; // Left while we were checking
+        this.pendingAuth.delete(conn.peer);
+
+        if (valid) {
+            conn.send({ type: 'auth-ok' });
+            this.admitConnection(conn, true);
+            if (pending.handshake) this.receiveSecure(conn, pending.handshake);
+            return;
         }
-        if (this.totalTransferredEl) {
-            this.totalTransferredEl.textContent = this.formatBytes(this.totalBytesTransferred);
+
+        this.recordAuthFailure(conn);
+        // Answer slowly so guesses can't be fired back to back
+        setTimeout(() => {
+            if (!conn.open) return;
+            conn.send({ type: 'auth-failed', reason: 'wrong-password' });
+            setTimeout(() => conn.close(), 500);
+        }, 1000);
+    }
+
+    recordAuthFailure(conn) {
+        const now = Date.now();
+        this.authFailureCount++;
+        this.authFailures = this.authFailures.filter(time => now - time < 60000);
+        this.authFailures.push(now);
+
+        // Five misses within a minute locks out everyone, for longer each time it trips
+        if (this.authFailures.length >= 5) {
+            this.authLockouts++;
+            this.authLockedUntil = now + Math.min(30000 * 2 ** (this.authLockouts - 1), 10 * 60 * 1000);
+            this.authFailures = [];
+            this.showToast(`Too many wrong passwords. Joining is paused for ${this.formatTime((this.authLockedUntil - now) / 1000)}.`, 'error');
+        } else {
+            // Nothing the joiner sent is shown until it has proven the password
+            this.showToast('Wrong password from someone trying to join', 'error');
         }
+        this.playSound('error');
+        this.updateAuthChip();
     }
 
-    updateTransferStats(id, transfer, speed) {
-        const speedEl = document.getElementById(`speed-${id}`);
-        const etaEl = document.getElementById(`eta-${id}`);
+    async answerAuthChallenge(peerId, data) {
+        // Only the host we are joining through asks, and only before it has let us in
+        if (peerId !== this.hostPeerId || this.hostAdmitted) return;
+        const conn = this.connections.get(peerId)?.conn;
+        if (!conn) return;
 
-        if (speedEl) {
-            speedEl.textContent = this.formatSpeed(speed);
+        if (!this.sharePassword) {
+            this.handleAuthFailed(peerId, { reason: 'password-required' });
+            return;
         }
 
-        if (etaEl && speed > 0) {
-            const remaining = transfer.size - transfer.transferred;
-            const seconds = remaining / speed;
-            etaEl.textContent = this.formatTime(seconds);
+        // The host picks the cost; too cheap a proof could be cracked offline, too dear would hang the tab
+        const iterations = Number(data.iterations);
+        if (!Number.isInteger(iterations) || iterations < this.authMinIterations || iterations > 2000000) return;
+
+        try {
+            const key = await this.deriveAuthKey(this.sharePassword, String(data.salt || ''), iterations);
+            const message = this.getAuthMessage(String(data.nonce || ''), peerId, this.myPeerId);
+            const proof = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+            if (conn.open) conn.send({ type: 'auth-response', proof: this.bytesToHex(proof) });
+        } catch (err) {
+            console.error('Could not answer password challenge:', err);
         }
     }
 
-    // ==================== UI ====================
+    handleAuthFailed(peerId, data) {
+        // Only the host can turn us away, and only while we are joining
+        if (peerId !== this.hostPeerId || this.hostAdmitted) return;
 
-    showRoomScreen() {
-        this.landingScreen.style.display = 'none';
-        this.roomScreen.style.display = 'flex';
+        const messages = {
+            'password-required': 'This session is password protected. Enter the password to join.',
+            'wrong-password': 'Wrong password.',
+            locked: `Too many attempts. Try again in ${this.formatTime(Number(data.retryAfter) || 30)}.`
+        };
+        this.disconnect();
+        this.showToast(messages[data.reason] || 'Could not join the session.', 'error');
+        this.joinPasswordInput?.focus();
     }
 
-    showLandingScreen() {
-        this.roomScreen.style.display = 'none';
-        this.landingScreen.style.display = 'flex';
-    }
+    updateAuthChip() {
+        const chip = document.getElementById('authChip');
+        if (!chip) return;
 
-    updateStatus(status) {
-        if (!this.connectionStatus) return;
-        switch (status) {
-            case 'connected':
-                this.connectionStatus.textContent = `${this.connections.size} Peer(s)`;
-                this.connectionStatus.style.color = 'var(--accent)';
-                break;
-            case 'ready':
-                this.connectionStatus.textContent = 'Ready';
-                this.connectionStatus.style.color = 'var(--text-muted)';
-                break;
-            case 'disconnected':
-                this.connectionStatus.textContent = 'Disconnected';
-                this.connectionStatus.style.color = 'var(--danger)';
-                break;
+        const protectedSession = this.isHost && !!this.sharePassword;
+        chip.style.display = protectedSession ? '' : 'none';
+        if (!protectedSession) return;
+
+        if (Date.now() < this.authLockedUntil) {
+            chip.textContent = '🔒 Locked';
+            chip.style.color = 'var(--danger)';
+        } else if (this.authFailureCount > 0) {
+            chip.textContent = `🔒 ${this.authFailureCount} failed`;
+            chip.style.color = 'var(--danger)';
+        } else {
+            chip.textContent = '🔒 Password';
+            chip.style.color = '';
         }
+        chip.title = this.authFailureCount > 0
+            ? `${this.authFailureCount} wrong password attempt${this.authFailureCount === 1 ? '' : 's'} this session`
+            : 'Joiners must enter the session password';
     }
 
-    updatePeerList() {
-        this.peerList.innerHTML = '';
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
 
-        // Add "Add Peer" button first
-        const addBtn = document.createElement('div');
-        addBtn.className = 'peer-pill';
-        addBtn.style.cursor = 'pointer';
-        addBtn.innerHTML = `
-            <div class="peer-pill-avatar" style="background: var(--bg-surface); border: 1px dashed var(--text-muted); color: var(--text-muted);">+</div>
-            <span>Add</span>
-        `;
-        addBtn.onclick = () => {
-            const id = prompt('Enter Peer ID to connect:');
-            if (id) this.connectToPeer(id.toUpperCase());
-        };
-        this.peerList.appendChild(addBtn);
+    hexToBytes(hex) {
+        if (!/^(?:[0-9a-f]{2})*$/i.test(hex)) throw new Error('Invalid hex string');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return bytes;
+    }
 
-        this.connections.forEach(({ username }, peerId) => {
+    // ==================== END-TO-END ENCRYPTION ====================
+
+    secureConnection(conn) {
+        // Every send goes through the session, so new message types can't skip encryption
+        const session = {
+            rawSend: conn.send.bind(conn),
+            keyPair: window.crypto?.subtle
+                ? crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']).catch(() => null)
+                : Promise.resolve(null),
+            publicKey: null,
+            handshakeSent: false,
+            peerCommit: undefined, // Hash of the peer's key from its handshake; null if it can't encrypt
+            keyShared: false,
+            sendKey: null,
+            receiveKey: null,
+            sendCounter: 0,
+            receiveCounter: 0,
+            queuedBytes: 0, // Outgoing data not yet handed to the channel
+            drainWaiters: new Set(), // Senders waiting for queuedBytes to fall
+            encrypted: null, // true or false once settled
+            failed: false,
+            sas: null,
+            outbound: Promise.resolve(),
+            inbound: Promise.resolve(),
+            timer: null
+        };
+        session.ready = new Promise(resolve => { session.settle = resolve; });
+        this.e2eSessions.set(conn, session);
+        conn.send = (data) => this.sendSecure(conn, session, data);
+    }
+
+    sendSecure(conn, session, data) {
+        // The password exchange runs before the handshake and must not queue behind it
+        if (typeof data?.type === 'string' && data.type.startsWith('auth-')) {
+            session.rawSend(data);
+            return;
+        }
+
+        // The handshake starts the key exchange, so it can't wait in line behind traffic that waits for the keys
+        if (data?.type === 'handshake') {
+            this.sendHandshake(conn, session, data).catch(err => console.error('Could not send handshake:', err));
+            return;
+        }
+
+        const size = data instanceof Blob ? data.size : (ArrayBuffer.isView(data) || data instanceof ArrayBuffer ? data.byteLength : 0);
+        session.queuedBytes += size;
+        session.outbound = session.outbound.then(async () => {
+            // Everything else holds until the session settles; plaintext only if the user allowed it for this peer
+            await session.ready;
+            if (!conn.open || session.failed || (!session.sendKey && session.encrypted !== false)) return;
+            const payload = session.sendKey ? await this.encryptMessage(session, data) : data;
+            if (conn.open) session.rawSend(payload);
+        }).catch(err => console.error('Could not send to peer:', err))
+            .finally(() => {
+                session.queuedBytes -= size;
+                if (size > 0) session.drainWaiters.forEach(check => check());
+            });
+    }
+
+    getBufferedAmount(conn) {
+        // Bytes still waiting to be encrypted count towards backpressure like the channel's own buffer
+        return (conn.dataChannel?.bufferedAmount || 0) + (this.e2eSessions.get(conn)?.queuedBytes || 0);
+    }
+
+    async sendHandshake(conn, session, data) {
+        // Commit to our key first; it's only revealed once the peer has committed to theirs,
+        // so a man in the middle can't search for keys that give both sides the same code
+        const keyPair = await session.keyPair;
+        if (keyPair) {
+            session.publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+            data = { ...data, keyCommit: await this.digestBytes(session.publicKey) };
+        }
+        if (!conn.open) return;
+
+        session.rawSend(data);
+        session.handshakeSent = true;
+        session.timer = setTimeout(() => this.failSecure(conn, session, 'timeout'), this.e2eTimeout);
+
+        if (keyPair) {
+            this.shareKey(session);
+        } else {
+            this.settleSecure(conn, session, false);
+        }
+    }
+
+    shareKey(session) {
+        if (!session.handshakeSent || !session.peerCommit || !session.publicKey || session.keyShared) return;
+        session.keyShared = true;
+        session.rawSend({ type: 'key-share', publicKey: this.bytesToHex(session.publicKey) });
+    }
+
+    receiveSecure(conn, data) {
+        const session = this.e2eSessions.get(conn);
+        session.inbound = session.inbound.then(async () => {
+            const message = await this.openSecure(conn, session, data);
+            if (message !== undefined && this.connections.get(conn.peer)?.conn === conn) {
+                this.handleData(conn.peer, message);
+            }
+        }).catch(err => {
+            console.error('Encrypted channel failed:', err);
+            this.failSecure(conn, session, 'integrity');
+        });
+    }
+
+    async openSecure(conn, session, data) {
+        if (session.encrypted === false) return data;
+
+        if (session.receiveKey) {
+            // Once keys are agreed, anything that isn't a valid ciphertext is dropped
+            if (data instanceof Blob) data = await data.arrayBuffer();
+            if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) return undefined;
+            return this.decryptMessage(session, data);
+        }
+
+        switch (data?.type) {
+            case 'handshake':
+                if (session.peerCommit === undefined) {
+                    session.peerCommit = /^[0-9a-f]{64}$/.test(data.keyCommit) ? data.keyCommit : null;
+                    if (session.peerCommit) {
+                        this.shareKey(session);
+                    } else {
+                        this.settleSecure(conn, session, false);
+                    }
+                }
+                return data;
+
+            case 'key-share':
+                await this.deriveSessionKeys(conn, session, String(data.publicKey || ''));
+                return undefined;
+
+            case 'auth-challenge':
+            case 'auth-ok':
+            case 'auth-failed':
+                return data;
+        }
+        return undefined; // Nothing else is trusted before the keys are agreed
+    }
+
+    async deriveSessionKeys(conn, session, publicKeyHex) {
+        if (session.receiveKey || !session.peerCommit || !session.publicKey) return;
+
+        const peerKey = this.hexToBytes(publicKeyHex);
+        if (await this.digestBytes(peerKey) !== session.peerCommit) {
+            throw new Error('Peer key does not match its commitment');
+        }
+
+        const { privateKey } = await session.keyPair;
+        const peerPublic = await crypto.subtle.importKey('raw', peerKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+        const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerPublic }, privateKey, 256);
+        const master = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+
+        // Both sides order the keys by peer ID, so they hash the same salt
+        const mineFirst = this.myPeerId < conn.peer;
+        const ordered = mineFirst ? [session.publicKey, peerKey] : [peerKey, session.publicKey];
+        const salt = this.hexToBytes(await this.digestBytes(new Uint8Array([...ordered[0], ...ordered[1]])));
+        const params = (label) => ({ name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(label) });
+
+        // One key per direction, so the two message counters never share an IV
+        session.sendKey = await crypto.subtle.deriveKey(
+            params(`velo-e2e:${this.myPeerId}>${conn.peer}`), master, { name: 'AES-GCM', length: 256 }, false, ['encrypt']
+        );
+        session.receiveKey = await crypto.subtle.deriveKey(
+            params(`velo-e2e:${conn.peer}>${this.myPeerId}`), master, { name: 'AES-GCM', length: 256 }, false, ['decrypt']
+        );
+        session.sas = this.formatSas(new Uint8Array(await crypto.subtle.deriveBits(params('velo-sas'), master, 24)));
+        this.settleSecure(conn, session, true);
+    }
+
+    settleSecure(conn, session, encrypted) {
+        if (session.encrypted !== null || session.failed) return;
+        const username = this.connections.get(conn.peer)?.username || conn.metadata?.username || 'this peer';
+
+        if (!encrypted && !this.allowPlaintextPeers) {
+            // Sends queued behind the handshake see `failed` and are dropped, so nothing leaves in plaintext
+            session.failed = true;
+            clearTimeout(session.timer);
+            session.settle(false);
+            this.showToast(`Disconnected ${username}: no end-to-end encryption (allow it in Connection Settings)`, 'error');
+            conn.close();
+            return;
+        }
+
+        session.encrypted = encrypted;
+        clearTimeout(session.timer);
+        session.settle(encrypted);
+        this.updatePeerList();
+
+        if (!encrypted) {
+            this.showToast(`No end-to-end encryption with ${username}; only WebRTC's own encryption applies`, 'error');
+        }
+    }
+
+    toggleAllowPlaintextPeers() {
+        this.allowPlaintextPeers = !this.allowPlaintextPeers;
+        localStorage.setItem('velo_allow_plaintext', String(this.allowPlaintextPeers));
+        this.showToast(this.allowPlaintextPeers
+            ? 'Peers without end-to-end encryption are allowed with a warning'
+            : 'Peers without end-to-end encryption will be disconnected', 'info');
+    }
+
+    failSecure(conn, session, reason) {
+        if (session.failed || session.encrypted === false) return;
+        session.failed = true;
+        clearTimeout(session.timer);
+        session.settle(false);
+
+        const username = this.connections.get(conn.peer)?.username || conn.metadata?.username || 'peer';
+        this.showToast(reason === 'timeout'
+            ? `Could not set up encryption with ${username}`
+            : `Disconnected ${username}: data failed its encryption check`, 'error');
+        conn.close();
+    }
+
+    async encryptMessage(session, data) {
+        // A leading kind byte tells control messages (JSON) from raw file data
+        let kind = 1;
+        let body;
+        if (data instanceof ArrayBuffer) {
+            body = new Uint8Array(data);
+        } else if (ArrayBuffer.isView(data)) {
+            body = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        } else if (data instanceof Blob) {
+            body = new Uint8Array(await data.arrayBuffer());
+        } else {
+            kind = 0;
+            body = new TextEncoder().encode(JSON.stringify(data));
+        }
+
+        const plain = new Uint8Array(body.byteLength + 1);
+        plain[0] = kind;
+        plain.set(body, 1);
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: this.getMessageIv(session.sendCounter++) }, session.sendKey, plain);
+    }
+
+    async decryptMessage(session, data) {
+        // The channel is ordered, so the expected counter also rejects replayed or dropped messages
+        const iv = this.getMessageIv(session.receiveCounter++);
+        const plain = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, session.receiveKey, data));
+        if (plain[0] === 1) return plain.subarray(1);
+        return JSON.parse(new TextDecoder().decode(plain.subarray(1)));
+    }
+
+    getMessageIv(counter) {
+        const iv = new DataView(new ArrayBuffer(12));
+        iv.setUint32(4, Math.floor(counter / 0x100000000));
+        iv.setUint32(8, counter >>> 0);
+        return iv.buffer;
+    }
+
+    formatSas(bytes) {
+        // 24 bits as four emoji; both screens show the same ones unless someone sits in between
+        const emoji = ('🐶 🐱 🦊 🐻 🐼 🐨 🐯 🦁 🐮 🐷 🐸 🐵 🐔 🐧 🐦 🦆 🦉 🐴 🦄 🐝 🐛 🦋 🐌 🐢 🐍 🐙 🦀 🐠 🐬 🐳 🦈 🐘 ' +
+            '🦒 🦓 🐪 🌵 🌲 🌻 🌹 🍄 🌙 ⭐ 🔥 🌈 🍎 🍌 🍇 🍓 🍒 🍍 🥕 🌽 🍕 🍔 🍩 🍪 🎈 🎁 🎸 🚀 🚲 ⚓ 🔑 🔔').split(' ');
+        const value = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+        return [18, 12, 6, 0].map(shift => emoji[(value >> shift) & 63]).join(' ');
+    }
+
+    // ==================== SPEED TRACKING ====================
+
+    startSpeedTracking() {
+        this.speedInterval = setInterval(() => {
+            this.updateGlobalStats();
+        }, 500);
+    }
+
+    stopSpeedTracking() {
+        if (this.speedInterval) {
+            clearInterval(this.speedInterval);
+            this.speedInterval = null;
+        }
+    }
+
+    updateGlobalStats() {
+        // Calculate current speed from active transfers
+        let totalSpeed = 0;
+        const now = Date.now();
+        const activeFolders = new Set();
+
+        this.activeTransfers.forEach((transfer, id) => {
+            if (transfer.folderId) activeFolders.add(transfer.folderId);
+            const elapsed = (now - transfer.lastUpdate) / 1000;
+            const pauseNote = this.getPauseNote(transfer);
+            if (pauseNote) {
+                // A paused card says so instead of showing a stalled speed
+                this.setTransferStatus(id, pauseNote, '#f59e0b');
+                transfer.lastBytes = transfer.transferred;
+                transfer.lastWire = transfer.wireBytes;
+                transfer.lastUpdate = now;
+            } else if (elapsed > 0 && elapsed < 2) {
+                const bytesPerSec = (transfer.transferred - transfer.lastBytes) / elapsed;
+                const wirePerSec = (transfer.wireBytes - transfer.lastWire) / elapsed;
+                totalSpeed += bytesPerSec;
+                transfer.lastBytes = transfer.transferred;
+                transfer.lastWire = transfer.wireBytes;
+                transfer.lastUpdate = now;
+
+                // Update individual transfer speed and ETA
+                this.updateTransferStats(id, transfer, bytesPerSec, wirePerSec);
+            }
+
+            // Broadcast rows: each peer runs at its own pace
+            if (transfer.peers?.size > 1) {
+                transfer.peers.forEach((pipeline) => {
+                    const peerElapsed = (now - pipeline.lastUpdate) / 1000;
+                    if (pipeline.done || peerElapsed <= 0) return;
+                    if (pipeline.pausedThere) {
+                        this.setTransferStatus(pipeline.rowId, `Paused by ${pipeline.name}`, '#f59e0b');
+                        pipeline.lastBytes = pipeline.transferred;
+                        pipeline.lastWire = pipeline.wireBytes;
+                        pipeline.lastUpdate = now;
+                        return;
+                    }
+                    const peerSpeed = (pipeline.transferred - pipeline.lastBytes) / peerElapsed;
+                    const peerWireSpeed = (pipeline.wireBytes - pipeline.lastWire) / peerElapsed;
+                    pipeline.lastBytes = pipeline.transferred;
+                    pipeline.lastWire = pipeline.wireBytes;
+                    pipeline.lastUpdate = now;
+                    this.updateTransferStats(pipeline.rowId, {
+                        size: transfer.size,
+                        transferred: pipeline.transferred,
+                        compressed: !!pipeline.compression,
+                        dataBytes: pipeline.dataBytes,
+                        wireBytes: pipeline.wireBytes
+                    }, peerSpeed, peerWireSpeed);
+                });
+            }
+        });
+
+        activeFolders.forEach((folderId) => {
+            const group = this.folderGroups.get(folderId);
+            if (group) this.updateFolderUI(group);
+        });
+
+        // Update peak
+        if (totalSpeed > this.peakSpeed) {
+            this.peakSpeed = totalSpeed;
+        }
+
+        // Update UI
+        if (this.liveSpeedEl) {
+            this.liveSpeedEl.textContent = this.formatSpeed(totalSpeed);
+        }
+        if (this.peakSpeedEl) {
+            this.peakSpeedEl.textContent = this.formatSpeed(this.peakSpeed);
+        }
+        if (this.totalTransferredEl) {
+            this.totalTransferredEl.textContent = this.formatBytes(this.totalBytesTransferred);
+        }
+    }
+
+    updateTransferStats(id, transfer, speed, wireSpeed = speed) {
+        const speedEl = document.getElementById(`speed-${id}`);
+        const etaEl = document.getElementById(`eta-${id}`);
+
+        if (speedEl && transfer.compressed) {
+            // File bytes first, then what the network carried for them
+            speedEl.textContent = `${this.formatSpeed(speed)} · ${this.formatSpeed(wireSpeed)} on the wire`;
+            speedEl.title = `${this.formatBytes(transfer.dataBytes)} of file data, ${this.formatBytes(transfer.wireBytes)} on the wire`;
+        } else if (speedEl) {
+            speedEl.textContent = this.formatSpeed(speed);
+        }
+
+        if (etaEl && speed > 0) {
+            const remaining = transfer.size - transfer.transferred;
+            const seconds = remaining / speed;
+            etaEl.textContent = this.formatTime(seconds);
+        }
+    }
+
+    // ==================== UI ====================
+
+    showRoomScreen() {
+        this.landingScreen.style.display = 'none';
+        this.roomScreen.style.display = 'flex';
+    }
+
+    showLandingScreen() {
+        this.roomScreen.style.display = 'none';
+        this.landingScreen.style.display = 'flex';
+    }
+
+    updateStatus(status) {
+        if (!this.connectionStatus) return;
+        switch (status) {
+            case 'connected':
+                this.connectionStatus.textContent = `${this.connections.size} Peer(s)`;
+                this.connectionStatus.style.color = 'var(--accent)';
+                break;
+            case 'ready':
+                this.connectionStatus.textContent = 'Ready';
+                this.connectionStatus.style.color = 'var(--text-muted)';
+                break;
+            case 'disconnected':
+                this.connectionStatus.textContent = 'Disconnected';
+                this.connectionStatus.style.color = 'var(--danger)';
+                break;
+        }
+    }
+
+    updatePeerList() {
+        this.peerList.innerHTML = '';
+
+        // Add "Add Peer" button first
+        const addBtn = document.createElement('div');
+        addBtn.className = 'peer-pill';
+        addBtn.style.cursor = 'pointer';
+        addBtn.innerHTML = `
+            <div class="peer-pill-avatar" style="background: var(--bg-surface); border: 1px dashed var(--text-muted); color: var(--text-muted);">+</div>
+            <span>Add</span>
+        `;
+        addBtn.onclick = () => {
+            const id = prompt('Enter Peer ID to connect:');
+            if (id) this.connectToPeer(id.toUpperCase());
+        };
+        this.peerList.appendChild(addBtn);
+
+        this.connections.forEach(({ username, conn }, peerId) => {
+            const session = this.e2eSessions.get(conn);
+            const securityLine = session?.encrypted ? `
+                <div class="peer-sas" style="font-size: 0.75rem; margin-top: 0.2rem; letter-spacing: 0.1em;"
+                     title="Security code. If the other screen shows the same emoji, nobody is intercepting this connection.">
+                    🔐 ${session.sas}
+                </div>
+            ` : session?.encrypted === false ? `
+                <div style="font-size: 0.65rem; margin-top: 0.2rem; color: var(--danger);"
+                     title="This peer can't use end-to-end encryption; only WebRTC's own encryption applies.">
+                    ⚠️ Not end-to-end encrypted
+                </div>
+            ` : `
+                <div style="font-size: 0.65rem; margin-top: 0.2rem; opacity: 0.6;">Securing...</div>
+            `;
             const isSelected = this.selectedPeers.has(peerId) || this.broadcastMode === 'all';
+            const relayBadge = conn.relayed ? `
+                <span style="font-size: 0.65rem; background: rgba(251, 191, 36, 0.15); color: #f59e0b;
+                             padding: 0.15rem 0.4rem; border-radius: 4px; margin-left: 0.5rem;"
+                      title="Direct connection failed, so data goes through the Velo server">
+                    Relayed
+                </span>
+            ` : '';
             const speedResult = this.peerSpeedResults.get(peerId);
             const speedBadge = speedResult ? `
                 <span style="font-size: 0.65rem; background: var(--accent-glow); color: var(--accent); 
@@ -534,9 +1459,10 @@ class VeloApp {
                 <div class="peer-pill-avatar">${username.charAt(0).toUpperCase()}</div>
                 <div style="flex: 1;">
                     <div style="font-weight: 600; line-height: 1; display: flex; align-items: center;">
-                        ${username}${speedBadge}
+                        ${username}${relayBadge}${speedBadge}
                     </div>
                     <div style="font-size: 0.7rem; opacity: 0.7;">${peerId}</div>
+                    ${securityLine}
                 </div>
                 <button class="speed-test-btn" data-peer-id="${peerId}" 
                         style="background: var(--bg-main); border: none; padding: 0.3rem 0.5rem; 
@@ -563,6 +1489,24 @@ class VeloApp {
             this.peerList.appendChild(pill);
         });
 
+        // Room members we aren't connected to yet (still joining or authenticating)
+        this.peer?.users?.forEach((username, userId) => {
+            if (userId === this.myPeerId || this.connections.has(userId)) return;
+            const pill = document.createElement('div');
+            pill.className = 'peer-pill';
+            pill.style.opacity = '0.6';
+            pill.innerHTML = `
+                <div class="peer-pill-avatar"></div>
+                <div style="flex: 1;">
+                    <div class="pending-peer-name" style="font-weight: 600; line-height: 1;"></div>
+                    <div style="font-size: 0.65rem; margin-top: 0.2rem;">Joining...</div>
+                </div>
+            `;
+            pill.querySelector('.peer-pill-avatar').textContent = (username || '?').charAt(0).toUpperCase();
+            pill.querySelector('.pending-peer-name').textContent = username || userId;
+            this.peerList.appendChild(pill);
+        });
+
         // Add broadcast mode toggle if there are multiple peers
         if (this.connections.size > 1) {
             const toggleDiv = document.createElement('div');
@@ -578,6 +1522,10 @@ class VeloApp {
             };
             this.peerList.appendChild(toggleDiv);
         }
+
+        // Target pickers in the queue list and chat offer whoever is connected now
+        this.renderQueueList();
+        this.renderChatTargets();
     }
 
     showToast(message, type = 'info') {
@@ -602,8 +1550,10 @@ class VeloApp {
         `;
         toast.innerHTML = `
             <span style="color: ${colors[type]}; font-weight: bold;">${icons[type]}</span>
-            <span>${message}</span>
+            <span class="toast-message"></span>
         `;
+        // Messages often carry peer names and file names, so they never go in as markup
+        toast.querySelector('.toast-message').textContent = message;
 
         this.toastContainer.appendChild(toast);
 
@@ -617,28 +1567,75 @@ class VeloApp {
 
     // ==================== FILE TRANSFER ====================
 
-    handleFiles(files) {
+    async pickFiles() {
+        // File handles can be read again after a reload, so a saved queue survives it
+        if (!window.showOpenFilePicker) {
+            this.fileInput.click();
+            return;
+        }
+
+        try {
+            const handles = await window.showOpenFilePicker({ multiple: true });
+            const files = await Promise.all(handles.map(handle => handle.getFile()));
+            this.handleFiles(files, handles);
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('File picker failed, using the file input:', err);
+            this.fileInput.click();
+        }
+    }
+
+    handleFiles(files, handles = []) {
         if (this.connections.size === 0) {
             this.showToast('No peers connected!', 'error');
             return;
         }
 
-        Array.from(files).forEach(file => {
+        const list = Array.from(files);
+        if (this.bundleFiles && list.length > 1) {
+            this.queueBundle(list);
+            return;
+        }
+
+        list.forEach((file, i) => {
             // Queue the file to be sent
-            this.queueFileForSending(file);
+            this.queueFileForSending(file, 0, null, null, { handle: handles[i] || null });
         });
     }
 
+    handleDrop(dataTransfer) {
+        if (this.connections.size === 0) {
+            this.showToast('No peers connected!', 'error');
+            return;
+        }
+
+        // Entries must be taken while the drop event is live; reading them can happen later
+        const files = Array.from(dataTransfer.files);
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.getAsFileSystemHandle?.() || item.webkitGetAsEntry?.() || null);
+
+        if (entries.length !== files.length || entries.every(entry => !entry)) {
+            this.handleFiles(files);
+            return;
+        }
+        this.queueDroppedEntries(entries, files);
+    }
+
     // ==================== QUEUE MANAGEMENT ====================
 
     // Internal queue to enforce one-at-a-time sending (crucial for raw streams)
-    queueFileForSending(file, priority = 0) {
+    queueFileForSending(file, priority = 0, folder = null, path = null, { handle = null, targets = this.getQueueTargets(), addedAt = Date.now(), status = 'pending' } = {}) {
         const queueItem = {
             id: ++this.queueId,
             file: file,
-            status: 'pending', // pending, sending, paused, cancelled, complete
+            status, // zipping, pending, sending, paused, cancelled, complete
             priority: priority,
-            addedAt: Date.now()
+            addedAt,
+            folder, // Folder group this file belongs to, if any
+            path, // Relative path inside that folder, root name first
+            targets, // [{ peerId, username }] picked when queued, or null for whoever is selected at send time
+            handle // FileSystemFileHandle the file can be re-read from after a reload
         };
 
         this.queuedFiles.push(queueItem);
@@ -649,14 +1646,35 @@ class VeloApp {
     }
 
     processTransferQueue() {
-        if (this.isSending || this.isPaused || this.queuedFiles.length === 0) return;
+        if (this.isPaused || this.queuedFiles.length === 0) return;
+        if (this.connections.size === 0) return; // Interrupted items wait for a peer to reconnect
 
-        const pendingItem = this.queuedFiles.find(item => item.status === 'pending');
-        if (!pendingItem) return;
+        // Several files go out at once, so a small one doesn't wait behind a huge one
+        while (this.activeSends < this.maxConcurrentSends) {
+            // Items meant for a peer that isn't here don't hold up the rest
+            const pendingItem = this.queuedFiles.find(item => item.status === 'pending' &&
+                (!item.targets || this.resolveQueueTargets(item.targets).length > 0));
+            if (!pendingItem) return;
 
-        pendingItem.status = 'sending';
-        this.updateQueueUI();
-        this.sendFile(pendingItem.file, pendingItem.id);
+            pendingItem.status = 'sending';
+            this.updateQueueUI();
+            this.sendFile(pendingItem.file, pendingItem.id);
+            if (pendingItem.status === 'pending') return; // No peer to send to yet
+        }
+    }
+
+    setConcurrency(count) {
+        this.maxConcurrentSends = count;
+        localStorage.setItem('velo_concurrency', String(count));
+        this.updateConcurrencyButton();
+        this.processTransferQueue();
+    }
+
+    updateConcurrencyButton() {
+        const btn = document.getElementById('concurrencyBtn');
+        if (!btn) return;
+        btn.textContent = `${this.maxConcurrentSends}×`;
+        btn.title = `Sending ${this.maxConcurrentSends} file${this.maxConcurrentSends === 1 ? '' : 's'} at once (click to change)`;
     }
 
     pauseQueue() {
@@ -675,6 +1693,8 @@ class VeloApp {
     cancelTransfer(queueId) {
         const item = this.queuedFiles.find(i => i.id === queueId);
         if (item) {
+            // A file mid-send is settled by sendFile when it notices the cancel
+            if (item.status === 'pending' && item.folder) this.settleFolderFile(item.folder, item.path, item.file.size, false);
             item.status = 'cancelled';
             this.showToast(`Cancelled: ${item.file.name}`, 'info');
             this.updateQueueUI();
@@ -682,6 +1702,9 @@ class VeloApp {
     }
 
     clearQueue() {
+        this.queuedFiles.forEach((item) => {
+            if (item.status === 'pending' && item.folder) this.settleFolderFile(item.folder, item.path, item.file.size, false);
+        });
         this.queuedFiles = this.queuedFiles.filter(item => item.status === 'sending');
         this.showToast('Queue cleared', 'info');
         this.updateQueueUI();
@@ -690,7 +1713,51 @@ class VeloApp {
     reorderQueue(fromIndex, toIndex) {
         const [item] = this.queuedFiles.splice(fromIndex, 1);
         this.queuedFiles.splice(toIndex, 0, item);
+
+        // Take on the neighbours' priority so the next sort keeps the spot it was dropped in
+        const neighbour = this.queuedFiles[toIndex + 1] || this.queuedFiles[toIndex - 1];
+        if (neighbour) item.priority = neighbour.priority;
+        this.updateQueueUI();
+    }
+
+    toggleSendNext(queueId) {
+        const item = this.queuedFiles.find(i => i.id === queueId);
+        if (!item || item.status !== 'pending') return;
+
+        // Priority items go ahead of the rest; the sort is stable, so their own order holds
+        item.priority = item.priority > 0 ? 0 : 1;
+        if (item.priority > 0) {
+            this.queuedFiles.splice(this.queuedFiles.indexOf(item), 1);
+            this.queuedFiles.unshift(item);
+        }
+        this.queuedFiles.sort((a, b) => b.priority - a.priority);
+        this.updateQueueUI();
+    }
+
+    setQueueItemTarget(queueId, peerId) {
+        const item = this.queuedFiles.find(i => i.id === queueId);
+        if (!item || item.status === 'sending') return;
+        const peer = this.connections.get(peerId);
+        item.targets = peer ? [{ peerId, username: peer.username }] : null;
+        this.updateQueueUI();
+        this.processTransferQueue();
+    }
+
+    removeQueueItem(queueId) {
+        const index = this.queuedFiles.findIndex(i => i.id === queueId);
+        if (index === -1 || this.queuedFiles[index].status === 'sending') return;
+
+        const [item] = this.queuedFiles.splice(index, 1);
+        if (item.status === 'pending' && item.folder) this.settleFolderFile(item.folder, item.path, item.file.size, false);
+        this.updateQueueUI();
+    }
+
+    retryQueueItem(queueId) {
+        const item = this.queuedFiles.find(i => i.id === queueId);
+        if (!item || !['failed', 'declined'].includes(item.status)) return;
+        item.status = 'pending';
         this.updateQueueUI();
+        this.processTransferQueue();
     }
 
     getQueueStats() {
@@ -701,334 +1768,3549 @@ class VeloApp {
         return { pending, sending, complete, total: this.queuedFiles.length, totalSize };
     }
 
-    updateQueueUI() {
-        const queueStatsEl = document.getElementById('queueStats');
-        if (queueStatsEl) {
-            const stats = this.getQueueStats();
-            queueStatsEl.innerHTML = `
-                <span>${stats.pending} pending</span>
-                <span>${stats.sending} sending</span>
-                <span>${this.formatBytes(stats.totalSize)} total</span>
-            `;
+    getQueueTargets() {
+        if (this.broadcastMode === 'all' || this.selectedPeers.size === 0) return null;
+        return Array.from(this.selectedPeers).map(peerId => ({ peerId, username: this.connections.get(peerId)?.username || null }));
+    }
+
+    resolveQueueTargets(targets) {
+        // Only the exact peers; someone new under the same name has to be confirmed first
+        return targets.map(target => this.connections.get(target.peerId)).filter(Boolean);
+    }
+
+    getReconnectedTargets(item) {
+        // Peer IDs change across reloads, but a matching username may just as well be someone else
+        if (!item.targets) return [];
+        const taken = new Set(item.targets.map(target => target.peerId));
+        return item.targets.flatMap((target) => {
+            if (this.connections.has(target.peerId) || !target.username) return [];
+            const match = Array.from(this.connections.entries())
+                .find(([peerId, { username }]) => username === target.username && !taken.has(peerId));
+            if (!match) return [];
+            taken.add(match[0]);
+            return [{ target, peerId: match[0] }];
+        });
+    }
+
+    confirmQueueTargets(queueId) {
+        const item = this.queuedFiles.find(i => i.id === queueId);
+        if (!item || item.status === 'sending') return;
+        this.getReconnectedTargets(item).forEach(({ target, peerId }) => {
+            target.peerId = peerId;
+        });
+        this.updateQueueUI();
+        this.processTransferQueue();
+    }
+
+    updateQueueUI() {
+        this.persistQueue();
+        this.renderQueueList();
+        const queueStatsEl = document.getElementById('queueStats');
+        if (queueStatsEl) {
+            const stats = this.getQueueStats();
+            queueStatsEl.innerHTML = `
+                <span>${stats.pending} pending</span>
+                <span>${stats.sending} sending</span>
+                <span>${this.formatBytes(stats.totalSize)} total</span>
+            `;
+        }
+    }
+
+    renderQueueList() {
+        const list = document.getElementById('queueList');
+        if (!list || this.draggedQueueId !== null) return; // Redrawn once the drag ends
+
+        // Done and cancelled files live on as transfer cards, and folder files in their folder's card;
+        // retryable ones stay until retried or removed
+        const shown = this.queuedFiles.filter(item => ['zipping', 'sending', 'pending', 'failed', 'declined'].includes(item.status) && !item.folder);
+        list.style.display = shown.length > 0 ? 'flex' : 'none';
+        list.innerHTML = '';
+
+        const labels = {
+            zipping: ['Zipping', 'var(--primary)'],
+            sending: ['Sending', 'var(--primary)'],
+            pending: [this.isPaused ? 'Paused' : 'Waiting', 'var(--text-muted)'],
+            failed: ['Failed', 'var(--danger)'],
+            declined: ['Declined', 'var(--danger)']
+        };
+
+        // Long queues show the first hundred; the rest follow as these go out
+        shown.slice(0, 100).forEach((item) => {
+            const reconnected = item.status === 'sending' ? [] : this.getReconnectedTargets(item);
+            const [label, color] = reconnected.length > 0 ? ['Confirm recipient', 'var(--accent)'] : labels[item.status];
+            const progress = item.status === 'zipping' ? ` ${Math.round((item.zipped || 0) * 100)}%` : '';
+            const row = document.createElement('div');
+            row.className = 'queue-row';
+            row.dataset.queueId = item.id;
+            row.draggable = item.status === 'pending';
+            row.innerHTML = `
+                <span style="color: var(--text-muted); width: 0.75rem;">${item.status === 'pending' ? '⋮⋮' : ''}</span>
+                <div style="flex: 1; min-width: 0;">
+                    <div class="queue-name" style="font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                    <div style="color: var(--text-muted); font-size: 0.7rem;">
+                        ${this.formatBytes(item.file.size)} · <span style="color: ${color};">${label}${progress}</span>${item.priority > 0 ? ' · ⏫ Next' : ''}
+                    </div>
+                </div>
+                <select class="queue-target" title="Send to"></select>
+                <span class="queue-actions" style="display: flex; gap: 0.25rem;"></span>
+            `;
+            row.querySelector('.queue-name').textContent = item.file.name;
+
+            // Target picker: the default follows the peer selection at send time
+            const select = row.querySelector('.queue-target');
+            select.add(new Option(this.broadcastMode === 'all' ? 'Everyone' : 'Selected peers', ''));
+            this.connections.forEach(({ username }, peerId) => select.add(new Option(username, peerId)));
+            const target = item.targets?.length === 1 ? item.targets[0] : null;
+            if (target && !this.connections.has(target.peerId)) {
+                select.add(new Option(`${target.username || 'Peer'} (offline)`, target.peerId));
+            }
+            select.value = target ? target.peerId : '';
+            if (item.targets && item.targets.length > 1) {
+                select.add(new Option(`${item.targets.length} peers`, '*'));
+                select.value = '*';
+            }
+            select.disabled = item.status === 'sending';
+            select.onchange = () => this.setQueueItemTarget(item.id, select.value);
+
+            const actions = row.querySelector('.queue-actions');
+            const addAction = (text, title, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.onclick = onClick;
+                actions.appendChild(button);
+            };
+            if (item.status === 'pending') {
+                addAction(item.priority > 0 ? '⏬' : '⏫', item.priority > 0 ? 'Back in line' : 'Send next', () => this.toggleSendNext(item.id));
+            }
+            if (item.status === 'failed' || item.status === 'declined') {
+                addAction('↻', 'Retry', () => this.retryQueueItem(item.id));
+            }
+            if (reconnected.length > 0) {
+                const names = reconnected.map(({ peerId }) => this.connections.get(peerId).username).join(', ');
+                addAction('✓', `Send to the ${names} connected now; same name, new connection`, () => this.confirmQueueTargets(item.id));
+            }
+            if (item.status !== 'sending') {
+                addAction('✕', 'Remove from queue', () => this.removeQueueItem(item.id));
+            }
+
+            row.addEventListener('dragstart', (e) => {
+                this.draggedQueueId = item.id;
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            row.addEventListener('dragend', () => {
+                this.draggedQueueId = null;
+                this.renderQueueList();
+            });
+            row.addEventListener('dragover', (e) => {
+                if (this.draggedQueueId === null || item.status !== 'pending') return;
+                e.preventDefault();
+                row.classList.add('drag-over');
+            });
+            row.addEventListener('dragleave', () => row.classList.remove('drag-over'));
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                row.classList.remove('drag-over');
+                const from = this.queuedFiles.findIndex(i => i.id === this.draggedQueueId);
+                const to = this.queuedFiles.findIndex(i => i.id === item.id);
+                this.draggedQueueId = null;
+                if (from !== -1 && to !== -1 && from !== to) {
+                    this.reorderQueue(from, to);
+                } else {
+                    this.renderQueueList();
+                }
+            });
+            list.appendChild(row);
+        });
+
+        if (shown.length > 100) {
+            const more = document.createElement('div');
+            more.style.cssText = 'color: var(--text-muted); font-size: 0.75rem; text-align: center;';
+            more.textContent = `and ${shown.length - 100} more`;
+            list.appendChild(more);
+        }
+    }
+
+    // ==================== QUEUE PERSISTENCE ====================
+
+    persistQueue() {
+        if (!this.savedQueueLoaded) return;
+
+        // Folder files belong to a folder transfer that can't be rebuilt after a reload, so they're left out
+        const items = [
+            ...this.savedQueue,
+            ...this.queuedFiles
+                .filter(item => !item.folder && ['pending', 'sending', 'paused'].includes(item.status))
+                .map(item => ({
+                    name: item.file.name,
+                    size: item.file.size,
+                    type: item.file.type,
+                    lastModified: item.file.lastModified,
+                    priority: item.priority,
+                    status: item.status,
+                    addedAt: item.addedAt,
+                    targets: item.targets,
+                    handle: item.handle
+                }))
+        ];
+
+        this.runDbTransaction('queue', 'readwrite', (tx) => {
+            const store = tx.objectStore('queue');
+            store.clear();
+            items.forEach((item, order) => store.put({ ...item, order }));
+        }).catch(err => console.error('Failed to save queue:', err));
+    }
+
+    async loadSavedQueue() {
+        const items = await this.runDbTransaction('queue', 'readonly', (tx) =>
+            tx.objectStore('queue').getAll()
+        ).catch(() => null) || [];
+        this.savedQueue = items.sort((a, b) => a.order - b.order).map(({ order, ...item }) => item);
+        this.savedQueueLoaded = true;
+        if (this.queuedFiles.length > 0) this.persistQueue();
+        if (this.savedQueue.length > 0 && this.connections.size > 0) this.offerSavedQueue();
+    }
+
+    offerSavedQueue() {
+        if (this.savedQueue.length === 0 || document.getElementById('resumeQueueModal')) return;
+
+        const items = this.savedQueue;
+        const missing = items.filter(item => !item.handle).length;
+        const total = items.reduce((sum, item) => sum + item.size, 0);
+
+        const modal = document.createElement('div');
+        modal.id = 'resumeQueueModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.8);
+            backdrop-filter: blur(8px); display: flex; align-items: center;
+            justify-content: center; z-index: 200;
+        `;
+        modal.innerHTML = `
+            <div style="background: var(--bg-surface); border-radius: 24px; padding: 2rem;
+                        max-width: 460px; width: 90%; max-height: 85vh; overflow-y: auto; border: 1px solid var(--border-light);">
+                <h2 style="margin-bottom: 0.5rem;">Resume your queue?</h2>
+                <p class="resume-summary" style="color: var(--text-secondary); margin-bottom: 1rem;"></p>
+                <div class="resume-list" style="display: flex; flex-direction: column; gap: 0.4rem; margin-bottom: 1rem;"></div>
+                <p class="resume-missing" style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 1rem;"></p>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button id="discardQueueBtn" class="btn-ghost" style="flex: 1;">Discard</button>
+                    <button id="resumeQueueBtn" class="btn-primary" style="flex: 1;">Resume</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.resume-summary').textContent =
+            `${items.length} file${items.length === 1 ? '' : 's'} (${this.formatBytes(total)}) were still queued when Velo last closed.`;
+        const list = modal.querySelector('.resume-list');
+        items.slice(0, 5).forEach((item) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between; gap: 0.75rem; background: var(--bg-main); padding: 0.5rem 0.9rem; border-radius: 10px; font-size: 0.85rem;';
+            row.innerHTML = '<span class="resume-name" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span><span class="resume-size" style="color: var(--text-muted); white-space: nowrap;"></span>';
+            row.querySelector('.resume-name').textContent = `${item.handle ? '' : '⚠️ '}${item.name}`;
+            row.querySelector('.resume-size').textContent = this.formatBytes(item.size);
+            list.appendChild(row);
+        });
+        if (items.length > 5) {
+            const more = document.createElement('div');
+            more.style.cssText = 'color: var(--text-muted); font-size: 0.8rem;';
+            more.textContent = `and ${items.length - 5} more`;
+            list.appendChild(more);
+        }
+        modal.querySelector('.resume-missing').textContent = missing > 0
+            ? `${missing} of them (⚠️) came from a file input and can't be reopened by the browser; add those again by hand.`
+            : 'Your browser may ask once for permission to read these files again.';
+
+        document.body.appendChild(modal);
+        modal.querySelector('#resumeQueueBtn').onclick = () => {
+            modal.remove();
+            this.resumeSavedQueue();
+        };
+        modal.querySelector('#discardQueueBtn').onclick = () => {
+            modal.remove();
+            this.savedQueue = [];
+            this.persistQueue();
+        };
+        // Closing without choosing keeps the items for the next connection
+        modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+    }
+
+    async resumeSavedQueue() {
+        const items = this.savedQueue;
+        this.savedQueue = [];
+        const skipped = [];
+        let asked = false;
+
+        // Called from the Resume click, but only the first request gets that gesture: ask once, and files
+        // the answer didn't cover (no "allow on every visit") are listed to add again
+        for (const item of items) {
+            try {
+                if (!item.handle) throw new Error('No file handle');
+                let permission = await item.handle.queryPermission({ mode: 'read' });
+                if (permission !== 'granted' && !asked) {
+                    asked = true;
+                    permission = await item.handle.requestPermission({ mode: 'read' });
+                }
+                if (permission !== 'granted') throw new Error('Permission denied');
+                const file = await item.handle.getFile();
+                this.queueFileForSending(file, item.priority, null, null, { handle: item.handle, targets: item.targets, addedAt: item.addedAt });
+            } catch (err) {
+                console.error(`Could not reopen ${item.name}:`, err);
+                skipped.push(item.name);
+            }
+        }
+
+        this.persistQueue();
+        const resumed = items.length - skipped.length;
+        if (resumed > 0) this.showToast(`Resumed ${resumed} queued file${resumed === 1 ? '' : 's'}`, 'success');
+        if (skipped.length > 0) this.showToast(`Add again: ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? ` and ${skipped.length - 3} more` : ''}`, 'info');
+    }
+
+    // ==================== FOLDER TRANSFER ====================
+
+    async queueDroppedEntries(entries, files) {
+        const looseFiles = [];
+        const looseHandles = [];
+        for (let i = 0; i < entries.length; i++) {
+            const entry = await Promise.resolve(entries[i]).catch(() => null);
+            if (entry && (entry.kind === 'directory' || entry.isDirectory)) {
+                try {
+                    this.queueFolder(await this.readFolder(entry));
+                } catch (err) {
+                    console.error('Could not read dropped folder:', err);
+                    this.showToast(`Could not read folder: ${entry.name}`, 'error');
+                }
+            } else {
+                looseFiles.push(files[i]);
+                looseHandles.push(entry?.kind === 'file' ? entry : null);
+            }
+        }
+        if (looseFiles.length > 0) this.handleFiles(looseFiles, looseHandles);
+    }
+
+    async pickFolder() {
+        if (this.connections.size === 0) {
+            this.showToast('No peers connected!', 'error');
+            return;
+        }
+
+        // Directory handles also see empty subfolders; the input fallback only lists files
+        if (!window.showDirectoryPicker) {
+            this.folderInput.click();
+            return;
+        }
+
+        try {
+            const handle = await window.showDirectoryPicker({ mode: 'read' });
+            this.queueFolder(await this.readFolder(handle));
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Could not read folder:', err);
+            this.showToast('Could not read that folder', 'error');
+        }
+    }
+
+    async readFolder(root) {
+        // Works on FileSystemDirectoryHandle and the older FileSystemDirectoryEntry alike
+        const folder = { name: root.name, files: [], dirs: [] };
+
+        const walk = async (dir, path) => {
+            folder.dirs.push(path);
+            for (const child of await this.listFolderEntries(dir)) {
+                const childPath = `${path}/${child.name}`;
+                if (child.kind === 'directory' || child.isDirectory) {
+                    await walk(child, childPath);
+                } else {
+                    folder.files.push({ file: await this.readFolderFile(child), path: childPath });
+                }
+            }
+        };
+
+        await walk(root, root.name);
+        return folder;
+    }
+
+    async listFolderEntries(dir) {
+        const children = [];
+        if (dir.values) {
+            for await (const handle of dir.values()) children.push(handle);
+            return children;
+        }
+
+        // Entries come in batches until an empty one
+        const reader = dir.createReader();
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) return children;
+            children.push(...batch);
+        }
+    }
+
+    readFolderFile(entry) {
+        return entry.getFile ? entry.getFile() : new Promise((resolve, reject) => entry.file(resolve, reject));
+    }
+
+    folderFromFileList(fileList) {
+        // <input webkitdirectory> flattens the tree into files carrying a webkitRelativePath
+        const folders = new Map();
+        Array.from(fileList).forEach((file) => {
+            const path = file.webkitRelativePath || file.name;
+            const segments = path.split('/');
+            if (!folders.has(segments[0])) folders.set(segments[0], { name: segments[0], files: [], dirs: new Set() });
+
+            const folder = folders.get(segments[0]);
+            folder.files.push({ file, path });
+            for (let i = 1; i < segments.length; i++) folder.dirs.add(segments.slice(0, i).join('/'));
+        });
+        return Array.from(folders.values()).map(folder => ({ ...folder, dirs: Array.from(folder.dirs) }));
+    }
+
+    queueFolder({ name, files, dirs }) {
+        if (this.connections.size === 0) {
+            this.showToast('No peers connected!', 'error');
+            return;
+        }
+
+        const group = this.createFolderGroup({
+            id: this.generateId(), // Stays the same when a peer reconnects mid-folder
+            name,
+            dirs,
+            files: files.map(({ file, path }) => ({ path, size: file.size }))
+        }, 'send');
+        group.announcedTo = new Set();
+
+        if (files.length === 0) {
+            // Only empty directories: the tree itself is the whole transfer
+            this.announceFolder(group, this.getTargetConnections());
+            this.finishSendingFolder(group);
+            return;
+        }
+
+        files.forEach(({ file, path }) => this.queueFileForSending(file, 0, group, path));
+        this.showToast(`Queued folder: ${name} (${files.length} files)`, 'info');
+    }
+
+    createFolderGroup({ id, name, dirs, files }, direction) {
+        const group = {
+            id,
+            name,
+            direction,
+            dirs, // Every directory path, empty ones included
+            files, // [{ path, size }]
+            size: files.reduce((sum, file) => sum + file.size, 0),
+            doneFiles: 0,
+            doneBytes: 0,
+            failedFiles: [],
+            dirTotals: new Map() // dir path -> { files, size, doneFiles, doneSize } over the whole subtree
+        };
+
+        const totalsFor = (dir) => {
+            if (!group.dirTotals.has(dir)) group.dirTotals.set(dir, { files: 0, size: 0, doneFiles: 0, doneSize: 0 });
+            return group.dirTotals.get(dir);
+        };
+        dirs.forEach(totalsFor);
+        files.forEach(({ path, size }) => {
+            this.getParentDirs(path).forEach((dir) => {
+                const totals = totalsFor(dir);
+                totals.files++;
+                totals.size += size;
+            });
+        });
+
+        this.folderGroups.set(id, group);
+        this.addFolderToUI(group);
+        return group;
+    }
+
+    getParentDirs(path) {
+        const segments = path.split('/');
+        return segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join('/'));
+    }
+
+    announceFolder(group, targetConnections) {
+        // Once per peer, before its first file; a peer that reconnects mid-folder already knows it
+        targetConnections.forEach(({ conn }) => {
+            if (!conn.open || group.announcedTo.has(conn.peer)) return;
+            group.announcedTo.add(conn.peer);
+            conn.send({ type: 'folder-start', id: group.id, name: group.name, dirs: group.dirs, files: group.files });
+        });
+    }
+
+    settleFolderFile(group, path, size, ok) {
+        if (ok) {
+            group.doneFiles++;
+            group.doneBytes += size;
+            this.getParentDirs(path).forEach((dir) => {
+                const totals = group.dirTotals.get(dir);
+                if (!totals) return;
+                totals.doneFiles++;
+                totals.doneSize += size;
+            });
+        } else {
+            group.failedFiles.push(path);
+        }
+        this.updateFolderUI(group);
+
+        if (group.direction === 'send' && group.doneFiles + group.failedFiles.length === group.files.length) {
+            this.finishSendingFolder(group);
+        }
+    }
+
+    finishSendingFolder(group) {
+        this.connections.forEach(({ conn }, peerId) => {
+            if (conn.open && group.announcedTo.has(peerId)) {
+                conn.send({ type: 'folder-end', id: group.id, skipped: group.failedFiles });
+            }
+        });
+
+        this.folderGroups.delete(group.id);
+        if (group.files.length > 0 && group.doneFiles === 0) {
+            this.setTransferStatus(`folder-${group.id}`, 'Not sent', 'var(--danger)');
+            this.showToast(`Folder not sent: ${group.name}`, 'error');
+            return;
+        }
+        this.completeFolderUI(group, group.failedFiles.length, 'skipped');
+        this.showToast(`Sent folder: ${group.name}`, 'success');
+    }
+
+    isFolderId(id) {
+        // Folder ids end up in element ids, so only plain tokens are taken from a peer
+        return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+    }
+
+    getPeerFolder(peerId, id) {
+        // A peer only reaches folders it announced itself, never another peer's or one we're sending
+        const group = id ? this.folderGroups.get(id) : null;
+        return group?.direction === 'receive' && group.peerId === peerId ? group : null;
+    }
+
+    receiveFolderStart(peerId, data) {
+        if (!this.isFolderId(data.id)) return;
+        if (this.folderGroups.has(data.id)) return; // Re-announced after a reconnect
+
+        const name = this.sanitizePathSegment(data.name) || 'Folder';
+        const dirs = new Set([name]);
+        (Array.isArray(data.dirs) ? data.dirs : []).forEach(dir => dirs.add(this.sanitizeFolderPath(name, dir)));
+        const files = (Array.isArray(data.files) ? data.files : []).map(file => ({
+            path: this.sanitizeFolderPath(name, file.path),
+            size: Number(file.size) || 0
+        }));
+
+        const group = this.createFolderGroup({ id: data.id, name, dirs: Array.from(dirs), files }, 'receive');
+        group.peerId = peerId;
+        group.pending = new Set(); // Transfer ids still streaming or verifying
+        group.members = []; // Received files waiting to be zipped
+        group.skipped = [];
+        group.ended = false;
+
+        // One answer covers every file in the folder
+        group.consent = this.trustedPeers.has(peerId)
+            ? Promise.resolve(true)
+            : new Promise(resolve => this.showOfferPrompt(peerId, `folder-${group.id}`, {
+                name: `${name}/`,
+                detail: `${files.length} files · ${this.formatBytes(group.size)}`,
+                icon: this.getFolderIcon()
+            }, resolve));
+
+        // Files of the folder wait on this before opening their sinks; nothing touches the disk before consent
+        group.ready = group.consent.then((accepted) => {
+            if (!accepted) {
+                group.declined = true;
+                document.getElementById(`transfer-folder-${group.id}`)?.remove();
+                return;
+            }
+            return this.prepareFolderDestination(group);
+        }).catch((err) => {
+            console.error('Could not create the folder, it will be zipped instead:', err);
+            group.root = null;
+        });
+    }
+
+    receiveFolderEnd(peerId, data) {
+        const group = this.getPeerFolder(peerId, data.id);
+        if (!group) return;
+        if (group.declined) {
+            this.folderGroups.delete(group.id);
+            return;
+        }
+
+        group.ended = true;
+        group.skipped = Array.isArray(data.skipped) ? data.skipped : [];
+        this.maybeFinishReceivingFolder(group);
+    }
+
+    sanitizeFolderPath(rootName, path) {
+        // Paths come from the peer: no parent hops or absolute paths, always under the folder root
+        const segments = String(path || '').split(/[\\/]/)
+            .map(segment => this.sanitizePathSegment(segment))
+            .filter(Boolean);
+        if (segments[0] !== rootName) segments.unshift(rootName);
+        return segments.join('/');
+    }
+
+    sanitizePathSegment(segment) {
+        const clean = String(segment || '').replace(/[\x00-\x1f<>:"/\\|?*]/g, '_').trim();
+        return clean === '.' || clean === '..' ? '' : clean;
+    }
+
+    async prepareFolderDestination(group) {
+        // Without a save folder the files are staged and zipped once the folder is complete
+        if (!this.saveDirectory || !await this.hasDirectoryPermission(this.saveDirectory)) return;
+
+        // After a reload mid-folder, keep writing into the directory that was started
+        const started = await this.loadSetting(`folder:${group.id}`).catch(() => null);
+        group.root = started && await this.hasDirectoryPermission(started)
+            ? started
+            : await this.createUniqueDirectory(this.saveDirectory, group.name);
+        group.dirHandles = new Map([[group.name, group.root]]);
+        await this.saveSetting(`folder:${group.id}`, group.root).catch(() => {});
+
+        for (const dir of group.dirs) await this.getFolderDirectory(group, dir);
+    }
+
+    async getFolderDirectory(group, dirPath) {
+        if (group.dirHandles.has(dirPath)) return group.dirHandles.get(dirPath);
+
+        const cut = dirPath.lastIndexOf('/');
+        const parent = await this.getFolderDirectory(group, dirPath.slice(0, cut));
+        const handle = await parent.getDirectoryHandle(dirPath.slice(cut + 1), { create: true });
+        group.dirHandles.set(dirPath, handle);
+        return handle;
+    }
+
+    async createUniqueDirectory(directory, name) {
+        for (let n = 0; ; n++) {
+            const candidate = n === 0 ? name : `${name} (${n})`;
+            try {
+                await directory.getDirectoryHandle(candidate);
+            } catch (err) {
+                if (err.name === 'NotFoundError') return directory.getDirectoryHandle(candidate, { create: true });
+                if (err.name !== 'TypeMismatchError') throw err; // A file already has that name
+            }
+        }
+    }
+
+    async writeFolderFile(group, path, blob) {
+        const cut = path.lastIndexOf('/');
+        const directory = await this.getFolderDirectory(group, path.slice(0, cut));
+        const fileHandle = await this.createUniqueFile(directory, path.slice(cut + 1));
+        await blob.stream().pipeTo(await fileHandle.createWritable());
+    }
+
+    settleReceivedFolderFile(id, transfer, ok) {
+        const group = transfer.folderId ? this.folderGroups.get(transfer.folderId) : null;
+        if (!group) return;
+
+        if (!group.pending.delete(id)) {
+            // Only a file that failed verification and was repaired later settles twice
+            if (!ok || !group.failedFiles.includes(transfer.path)) return;
+            group.failedFiles = group.failedFiles.filter(path => path !== transfer.path);
+        }
+
+        this.settleFolderFile(group, transfer.path, transfer.size, ok);
+        this.maybeFinishReceivingFolder(group);
+    }
+
+    maybeFinishReceivingFolder(group) {
+        if (!group.ended || group.pending.size > 0 || group.finishing) return;
+        group.finishing = true;
+        this.finishReceivingFolder(group);
+    }
+
+    async finishReceivingFolder(group) {
+        await group.ready;
+        this.folderGroups.delete(group.id);
+        const missing = group.files.length - group.doneFiles - group.skipped.length;
+
+        if (group.root) {
+            this.forgetSetting(`folder:${group.id}`).catch(() => {});
+            this.completeFolderUI(group, missing, 'missing');
+            this.showToast(`Saved folder to ${this.saveDirectory?.name || 'folder'}: ${group.root.name}`, 'success');
+            return;
+        }
+
+        // Zip whatever arrived, empty directories included
+        const id = `folder-${group.id}`;
+        const total = group.members.reduce((sum, member) => sum + member.blob.size, 0);
+        let hashed = 0;
+        let lastUpdate = 0;
+        this.setTransferStatus(id, 'Zipping...');
+
+        try {
+            const entries = [
+                ...group.dirs.map(path => ({ path, directory: true })),
+                ...group.members
+            ];
+            const zip = await VeloZip.build(entries, (bytes) => {
+                hashed += bytes;
+                if (Date.now() - lastUpdate > 200) {
+                    lastUpdate = Date.now();
+                    this.setTransferStatus(id, `Zipping ${Math.round(hashed / Math.max(total, 1) * 100)}%`);
+                }
+            });
+            this.downloadBlob(zip, `${group.name}.zip`);
+            this.completeFolderUI(group, missing, 'missing');
+            this.showToast(`Received folder: ${group.name}`, 'success');
+        } catch (err) {
+            console.error('Failed to zip received folder:', err);
+            this.setTransferStatus(id, 'Zip failed', 'var(--danger)');
+            this.showToast(`Could not zip ${group.name}: ${err.message || err}`, 'error');
+        }
+
+        group.members.forEach(member => member.sink.release());
+        group.members = [];
+    }
+
+    // ==================== ZIP BUNDLES ====================
+
+    async queueBundle(files) {
+        const name = `velo-${files.length}-files.zip`;
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        const lastModified = files.reduce((latest, file) => Math.max(latest, file.lastModified || 0), 0);
+        this.showToast(`Bundling ${files.length} files into ${name}...`, 'info');
+
+        // In line straight away so the CRC pass over big files shows progress; it can't go out until the zip exists
+        const queueId = this.queueFileForSending({ name, size: total, type: 'application/zip', lastModified }, 0, null, null, { status: 'zipping' });
+        const item = this.queuedFiles.find(i => i.id === queueId);
+        let hashed = 0;
+        let lastUpdate = 0;
+
+        try {
+            // The archive references the files instead of copying them; only the CRC pass reads ahead
+            const zip = await VeloZip.build(this.getBundleEntries(files), (bytes) => {
+                hashed += bytes;
+                if (Date.now() - lastUpdate > 200) {
+                    lastUpdate = Date.now();
+                    item.zipped = hashed / Math.max(total, 1);
+                    this.renderQueueList();
+                }
+            });
+            if (!this.queuedFiles.includes(item) || item.status !== 'zipping') return; // Removed or cancelled while zipping
+            item.file = new File([zip], name, { type: 'application/zip', lastModified });
+            item.status = 'pending';
+            this.updateQueueUI();
+            this.processTransferQueue();
+        } catch (err) {
+            console.error('Failed to bundle files, sending them one by one:', err);
+            this.showToast('Could not build the zip, sending files individually', 'error');
+            this.queuedFiles = this.queuedFiles.filter(i => i !== item);
+            files.forEach(file => this.queueFileForSending(file, 0, null, null, { targets: item.targets }));
+        }
+    }
+
+    getBundleEntries(files) {
+        // Same-named files would overwrite each other when unzipped: "a.txt" becomes "a (1).txt"
+        const used = new Set();
+        return files.map((file) => {
+            const dot = file.name.lastIndexOf('.');
+            const base = dot > 0 ? file.name.slice(0, dot) : file.name;
+            const ext = dot > 0 ? file.name.slice(dot) : '';
+            let path = file.name;
+            for (let n = 1; used.has(path); n++) path = `${base} (${n})${ext}`;
+            used.add(path);
+            return { path, blob: file, lastModified: file.lastModified };
+        });
+    }
+
+    toggleBundleFiles() {
+        this.bundleFiles = !this.bundleFiles;
+        localStorage.setItem('velo_bundle_files', String(this.bundleFiles));
+        this.updateBundleButton();
+        this.showToast(this.bundleFiles ? 'Multiple files will be sent as one zip' : 'Files will be sent individually', 'info');
+    }
+
+    updateBundleButton() {
+        const btn = document.getElementById('bundleBtn');
+        if (!btn) return;
+        btn.style.color = this.bundleFiles ? 'var(--accent)' : 'var(--text-primary)';
+        btn.title = this.bundleFiles
+            ? 'Sending multiple files as one zip (click to send individually)'
+            : 'Send multiple files as one zip';
+    }
+
+    // ==================== MULTI-PEER BROADCASTING ====================
+
+    selectPeer(peerId) {
+        this.selectedPeers.add(peerId);
+        this.updatePeerList();
+    }
+
+    deselectPeer(peerId) {
+        this.selectedPeers.delete(peerId);
+        this.updatePeerList();
+    }
+
+    togglePeerSelection(peerId) {
+        if (this.selectedPeers.has(peerId)) {
+            this.deselectPeer(peerId);
+        } else {
+            this.selectPeer(peerId);
+        }
+    }
+
+    selectAllPeers() {
+        this.connections.forEach((_, peerId) => this.selectedPeers.add(peerId));
+        this.broadcastMode = 'all';
+        this.updatePeerList();
+    }
+
+    deselectAllPeers() {
+        this.selectedPeers.clear();
+        this.updatePeerList();
+    }
+
+    setBroadcastMode(mode) {
+        this.broadcastMode = mode; // 'all' or 'selected'
+        if (mode === 'all') {
+            this.selectAllPeers();
+        }
+    }
+
+    getTargetConnections() {
+        if (this.broadcastMode === 'all' || this.selectedPeers.size === 0) {
+            return Array.from(this.connections.values());
+        }
+        return Array.from(this.connections.entries())
+            .filter(([peerId]) => this.selectedPeers.has(peerId))
+            .map(([, value]) => value);
+    }
+
+    // ==================== FILE TRANSFER (OPTIMIZED) ====================
+
+    async sendFile(file, queueId = null) {
+        this.activeSends++;
+        const id = ++this.transferId;
+        const now = Date.now();
+        const queuedItem = queueId ? this.queuedFiles.find(i => i.id === queueId) : null;
+        const folder = queuedItem?.folder || null;
+        const path = queuedItem?.path || null;
+        const key = this.getTransferKey(file, path);
+
+        // Get target connections based on broadcast mode, or the peers picked when the file was queued
+        let targetConnections = queuedItem?.targets ? this.resolveQueueTargets(queuedItem.targets) : this.getTargetConnections();
+
+        if (targetConnections.length === 0) {
+            this.showToast('No peers selected!', 'error');
+            this.activeSends--;
+            if (queueId) {
+                const item = this.queuedFiles.find(i => i.id === queueId);
+                if (item) item.status = 'pending';
+            }
+            return;
+        }
+
+        this.addTransferToUI(id, folder ? path.slice(folder.name.length + 1) : file.name, file.size, 'send', folder?.id);
+        if (folder) this.announceFolder(folder, targetConnections);
+
+        // Nothing is read or streamed until a receiver agrees to take the file
+        this.setTransferStatus(id, 'Waiting for receiver...');
+
+        // A preview shows the receiver what's coming; folders are accepted as a whole, so theirs skip it
+        const thumbnail = folder ? null : await this.createThumbnail(file);
+        this.setTransferThumbnail(id, thumbnail);
+        targetConnections.forEach(({ conn }) => {
+            conn.send({
+                type: 'file-offer',
+                id,
+                name: file.name,
+                size: file.size,
+                mimeType: file.type,
+                folderId: folder?.id,
+                path,
+                thumbnail: thumbnail || undefined
+            });
+        });
+
+        const answers = await Promise.all(
+            targetConnections.map(({ conn }) => this.waitForConsent(conn.peer, id))
+        );
+        const refusals = targetConnections
+            .map(({ conn, username }, i) => ({ name: username || conn.peer, answer: answers[i] }))
+            .filter(({ answer }) => answer === 'decline' || answer === 'timeout');
+        targetConnections = targetConnections.filter(({ conn }, i) => answers[i] === 'accept' && conn.open);
+
+        if (targetConnections.length === 0) {
+            // Nobody to send to: refused outright, or everyone left while deciding
+            if (refusals.length > 0) {
+                this.declineSend(id, queueId, refusals);
+            } else {
+                this.interruptSend(id, queueId);
+            }
+            return;
+        }
+        if (refusals.length > 0) this.noteRefusals(queuedItem, file, refusals);
+
+        if (this.swarmMode && targetConnections.length > 1 && !folder && file.size > 0) {
+            this.seedSwarm(id, file, key, targetConnections, { queueId, startTime: now });
+            return;
+        }
+
+        // Only worth the CPU for data that shrinks, and only for receivers that can inflate it
+        const compressible = targetConnections.some(({ conn }) => this.pickCompression(conn.peer)) && await this.isCompressible(file);
+
+        // Hash in the background while streaming; the digests travel with 'file-end'
+        this.rememberSentFile(id, file, key, targetConnections.map(({ conn }) => conn.peer));
+        const manifestPromise = this.getFileManifest(file, key);
+        const headDigest = await this.digestHead(file);
+        this.setTransferStatus(id, '--');
+
+        // Every receiver gets its own pipeline, so a slow phone no longer holds back the rest
+        const broadcast = targetConnections.length > 1;
+        const peers = new Map(targetConnections.map(({ conn, username }, i) => [conn.peer, {
+            conn,
+            rowId: broadcast ? `${id}-peer-${i}` : id,
+            name: username || conn.peer,
+            transferred: 0,
+            acked: null, // Bytes the receiver has written; stays null for clients that never ack
+            aborted: false,
+            done: false,
+            delivered: 0, // Bytes the receiver has confirmed taking in
+            congestion: new VeloCongestion({ minChunk: this.minChunkSize, maxChunk: this.maxChunkSize }),
+            compression: compressible ? this.pickCompression(conn.peer) : null,
+            dataBytes: 0, // Bytes of the file sent this time, next to what they took on the wire
+            wireBytes: 0,
+            lastWire: 0,
+            wake: null, // Resumes the pipeline once an ack opens its window
+            pausedThere: false, // This receiver paused its copy
+            stopped: false, // This receiver cancelled its copy
+            lastUpdate: now,
+            lastBytes: 0,
+            lastUiProgress: 0,
+            lastUiUpdate: 0
+        }]));
+
+        // Track this transfer; `transferred` is the average across peers
+        this.activeTransfers.set(id, {
+            size: file.size,
+            transferred: 0,
+            startTime: now,
+            lastUpdate: now,
+            lastBytes: 0,
+            lastUiProgress: 0,
+            lastUiUpdate: 0,
+            queueId: queueId,
+            folderId: folder?.id,
+            pausedHere: false, // Paused from this card; receivers pause their own pipeline
+            cancelled: false,
+            compressed: [...peers.values()].some(pipeline => pipeline.compression),
+            dataBytes: 0,
+            wireBytes: 0,
+            lastWire: 0,
+            peers
+        });
+        if (broadcast) this.addPeerRowsToUI(id, peers);
+        this.addTransferControls(id);
+
+        const outcomes = await Promise.all(Array.from(peers.values()).map((pipeline) =>
+            this.runSendPipeline(id, file, pipeline, { key, headDigest, folder, path, queueId, manifestPromise, startTime: now })
+        ));
+        this.settleSend(id, file, outcomes, { folder, path, queueId, startTime: now });
+    }
+
+    async runSendPipeline(id, file, pipeline, { key, headDigest, folder, path, queueId, manifestPromise, startTime }) {
+        const { conn, rowId } = pipeline;
+
+        // 1. Send Control Header. The key lets a receiver recognise a file it
+        // already holds part of, even across a page reload; the head digest proves it's the same content.
+        conn.send({
+            type: 'file-start',
+            id,
+            key,
+            headDigest: headDigest || undefined,
+            name: file.name,
+            size: file.size,
+            lastModified: file.lastModified,
+            blockSize: this.hashBlockSize,
+            folderId: folder?.id,
+            path, // Where the file goes inside the folder
+            compression: pipeline.compression || undefined
+        });
+
+        // The receiver reports how many bytes it already holds; stream from there
+        const reply = await this.waitForResumeOffset(conn.peer, id);
+        if (!conn.open) return this.endSendPipeline(id, pipeline, 'interrupted');
+
+        pipeline.transferred = Math.min(file.size, reply ?? 0);
+        pipeline.lastBytes = pipeline.transferred;
+        pipeline.delivered = pipeline.transferred;
+        pipeline.acked = reply; // Peers that answered also ack what they've written
+        conn.send({ type: 'file-offset', id, offset: pipeline.transferred });
+
+        if (pipeline.transferred > 0) {
+            this.updateTransferUI(rowId, pipeline.transferred / file.size);
+            this.setTransferStatus(rowId, `Resuming at ${this.formatBytes(pipeline.transferred)}`);
+            this.noteSendProgress(id, pipeline, true);
+        }
+
+        const reader = new FileReader();
+        const header = this.frameHeader(0, id);
+        const { congestion } = pipeline;
+
+        return new Promise((resolve) => {
+            const end = (outcome) => resolve(this.endSendPipeline(id, pipeline, outcome));
+
+            const sendNextChunk = () => {
+                // Check if cancelled, from the queue, this card or the receiver's
+                const transfer = this.activeTransfers.get(id);
+                const queueItem = queueId ? this.queuedFiles.find(i => i.id === queueId) : null;
+                if ((queueItem && queueItem.status === 'cancelled') || transfer?.cancelled) return end('cancelled');
+                if (pipeline.stopped) return end('stopped');
+
+                // Paused by either side: wait for the resume to wake us
+                if (transfer?.pausedHere || pipeline.pausedThere) {
+                    this.parkSendPipeline(pipeline, sendNextChunk);
+                    return;
+                }
+
+                // The receiver could not save the file, or went away; the latter resumes on reconnect
+                if (pipeline.aborted) return end('failed');
+                if (!conn.open) return end('interrupted');
+
+                if (pipeline.transferred >= file.size) {
+                    this.updateTransferUI(rowId, 1);
+                    this.setTransferStatus(rowId, 'Hashing...');
+                    manifestPromise.then((manifest) => {
+                        if (!conn.open) return end('interrupted');
+
+                        // 3. Send Control Footer
+                        conn.send({ type: 'file-end', id, manifest });
+                        if (rowId !== id) {
+                            this.completeTransferUI(rowId, file.size, startTime, false);
+                            if (pipeline.compression) this.showWireSaving(rowId, pipeline);
+                        }
+                        end('complete');
+                    });
+                    return;
+                }
+
+                // Don't outrun this receiver's disk by more than the window
+                if (pipeline.acked !== null && pipeline.transferred - pipeline.acked > this.maxUnackedBytes) {
+                    this.parkSendPipeline(pipeline, sendNextChunk);
+                    return;
+                }
+
+                // Nor the network: the congestion window bounds what's unconfirmed
+                if (pipeline.transferred - pipeline.delivered >= congestion.window) {
+                    this.parkSendPipeline(pipeline, sendNextChunk);
+                    return;
+                }
+
+                // Backpressure is per connection; other peers keep going meanwhile
+                if (this.getBufferedAmount(conn) > this.sendBufferLimit) {
+                    this.whenSendable(conn, this.sendBufferLimit).then(sendNextChunk);
+                    return;
+                }
+
+                const slice = file.slice(pipeline.transferred, pipeline.transferred + congestion.chunkSize);
+                if (pipeline.compression) {
+                    this.compressChunk(id, slice, pipeline.compression).then(sendChunk, (err) => {
+                        // A codec that fails here fails for the rest too; carry on uncompressed
+                        console.error('Compression failed, sending uncompressed:', err);
+                        pipeline.compression = null;
+                        sendNextChunk();
+                    });
+                    return;
+                }
+                reader.readAsArrayBuffer(new Blob([header, slice]));
+            };
+
+            reader.onload = (e) => sendChunk({ frame: e.target.result, bytes: e.target.result.byteLength - header.byteLength });
+
+            const sendChunk = ({ frame, bytes, wire = bytes }) => {
+                if (!conn.open) return sendNextChunk();
+
+                // 2. Send Raw Chunk, framed with the file id, then a mark the receiver echoes
+                // so the window follows network time rather than disk reads. Offsets and the
+                // window count file bytes, whatever the frame shrank them to.
+                conn.send(frame);
+                pipeline.transferred += bytes;
+                pipeline.dataBytes += bytes;
+                pipeline.wireBytes += wire;
+                this.totalBytesTransferred += bytes;
+                conn.send({ type: 'file-mark', id, offset: pipeline.transferred, sentAt: Date.now() });
+
+                this.noteSendProgress(id, pipeline);
+
+                // Use setImmediate pattern for faster chunk processing
+                if (typeof setImmediate !== 'undefined') {
+                    setImmediate(sendNextChunk);
+                } else {
+                    setTimeout(sendNextChunk, 0);
+                }
+            };
+
+            sendNextChunk();
+        });
+    }
+
+    parkSendPipeline(pipeline, resume) {
+        // Acks wake it; the timer only covers one that never comes, like a receiver that went quiet
+        const timer = setTimeout(() => this.wakeSendPipeline(pipeline), 1000);
+        pipeline.wake = () => {
+            clearTimeout(timer);
+            resume();
+        };
+    }
+
+    wakeSendPipeline(pipeline) {
+        const wake = pipeline.wake;
+        pipeline.wake = null;
+        if (wake) wake();
+    }
+
+    whenSendable(conn, limit) {
+        // Waits for the channel's bufferedamountlow event, or the encryption queue draining, instead of polling
+        return new Promise((resolve) => {
+            const channel = conn.dataChannel;
+            const session = this.e2eSessions.get(conn);
+            const check = () => {
+                if (conn.open && this.getBufferedAmount(conn) > limit) return;
+                channel?.removeEventListener?.('bufferedamountlow', check);
+                session?.drainWaiters.delete(check);
+                clearInterval(timer);
+                resolve();
+            };
+
+            if (channel && 'bufferedAmountLowThreshold' in channel) channel.bufferedAmountLowThreshold = Math.floor(limit / 2);
+            channel?.addEventListener?.('bufferedamountlow', check);
+            session?.drainWaiters.add(check);
+            const timer = setInterval(check, 250); // Relayed channels have no event
+        });
+    }
+
+    noteSendProgress(id, pipeline, force = false) {
+        const transfer = this.activeTransfers.get(id);
+        if (!transfer) return;
+
+        let sum = 0;
+        let data = 0;
+        let wire = 0;
+        transfer.peers.forEach((peer) => {
+            sum += peer.transferred;
+            data += peer.dataBytes;
+            wire += peer.wireBytes;
+        });
+        transfer.transferred = sum / transfer.peers.size;
+        transfer.dataBytes = data / transfer.peers.size;
+        transfer.wireBytes = wire / transfer.peers.size;
+        if (force) transfer.lastBytes = transfer.transferred; // A resume jump isn't speed
+
+        // UI Updates (Throttled more aggressively for speed)
+        const throttlePercent = this.measuredSpeed > 10 * 1024 * 1024 ? 0.03 : 0.02;
+        const throttleTime = this.measuredSpeed > 10 * 1024 * 1024 ? 300 : 200;
+        const items = pipeline.rowId === id ? [pipeline] : [pipeline, transfer];
+
+        items.forEach((item) => {
+            const progress = item.transferred / transfer.size;
+            if (force || progress - item.lastUiProgress > throttlePercent || Date.now() - item.lastUiUpdate > throttleTime) {
+                this.updateTransferUI(item === transfer ? id : item.rowId, progress);
+                item.lastUiProgress = progress;
+                item.lastUiUpdate = Date.now();
+            }
+        });
+    }
+
+    endSendPipeline(id, pipeline, outcome) {
+        pipeline.done = true;
+        if (outcome === 'cancelled' && pipeline.conn?.open) pipeline.conn.send({ type: 'file-cancel', id });
+
+        // A lone peer's status is the card's own; settleSend writes it
+        if (pipeline.rowId !== id) {
+            if (outcome === 'interrupted') this.setTransferStatus(pipeline.rowId, 'Interrupted', 'var(--danger)');
+            if (outcome === 'failed') this.setTransferStatus(pipeline.rowId, 'Receiver failed', 'var(--danger)');
+            if (outcome === 'cancelled') this.setTransferStatus(pipeline.rowId, 'Cancelled');
+            if (outcome === 'stopped') this.setTransferStatus(pipeline.rowId, 'Cancelled by receiver');
+        }
+        return outcome;
+    }
+
+    settleSend(id, file, outcomes, { folder, path, queueId, startTime }) {
+        this.removeTransferControls(id);
+        this.expireSentFile(id, outcomes);
+
+        // Cancelled here, or by every receiver
+        if (outcomes.includes('cancelled') || outcomes.every(outcome => outcome === 'stopped')) {
+            this.activeTransfers.delete(id);
+            this.setTransferStatus(id, outcomes.includes('cancelled') ? 'Cancelled' : 'Cancelled by receiver');
+            if (folder) this.settleFolderFile(folder, path, file.size, false);
+            const queueItem = queueId ? this.queuedFiles.find(i => i.id === queueId) : null;
+            if (queueItem && queueItem.status === 'sending') {
+                queueItem.status = 'cancelled';
+                this.updateQueueUI();
+            }
+            this.activeSends--;
+            setTimeout(() => this.processTransferQueue(), 50);
+            return;
+        }
+
+        // Anyone who got the whole file counts; the rest show why on their own row
+        if (!outcomes.includes('complete')) {
+            if (outcomes.includes('interrupted')) {
+                this.interruptSend(id, queueId);
+            } else {
+                this.failSend(id, queueId);
+            }
+            return;
+        }
+
+        // Outcomes line up with the peers map, so the names of those who got it are at hand
+        const entry = this.activeTransfers.get(id);
+        const pipelines = Array.from(entry?.peers?.entries() || []);
+        const recipients = pipelines.filter((pipeline, i) => outcomes[i] === 'complete').map(([, pipeline]) => pipeline.name);
+        const interrupted = pipelines.filter((pipeline, i) => outcomes[i] === 'interrupted')
+            .map(([peerId, pipeline]) => ({ peerId, username: this.connections.get(peerId)?.username || pipeline.name }));
+        const queueItem = queueId ? this.queuedFiles.find(i => i.id === queueId) : null;
+        this.activeTransfers.delete(id);
+        this.completeTransferUI(id, file.size, startTime, !folder);
+        if (entry?.compressed) this.showWireSaving(id, entry);
+        this.saveHistory({ name: file.name, size: file.size, peer: recipients.join(', ') || 'Peers' }, 'send');
+
+        if (interrupted.length > 0 && queueItem) {
+            // Still owed to whoever dropped out; it resumes from their offset when they're back
+            queueItem.status = 'pending';
+            queueItem.targets = interrupted;
+            this.updateQueueUI();
+            this.showToast(`Sent: ${file.name}. It will resume for ${interrupted.map(target => target.username).join(', ')} on reconnect.`, 'info');
+        } else {
+            if (folder) {
+                this.settleFolderFile(folder, path, file.size, true);
+            } else {
+                this.showToast(`Sent: ${file.name}`, 'success');
+            }
+
+            // Update queue status
+            if (queueItem) {
+                queueItem.status = 'complete';
+                this.updateQueueUI();
+            }
+        }
+
+        // Unlock and process next (faster - 50ms instead of 100ms)
+        this.activeSends--;
+        setTimeout(() => this.processTransferQueue(), 50);
+    }
+
+    async receiveFileStart(peerId, data) {
+        // Only files the user agreed to; anything else is dropped along with its chunks
+        if (!this.isTransferId(data.id) || !this.acceptedOffers.delete(`${peerId}:${data.id}`)) return;
+
+        const now = Date.now();
+
+        const peerInfo = this.connections.get(peerId);
+
+        // Files of a folder land in its tree; the path is rebuilt from safe segments only
+        const folder = this.getPeerFolder(peerId, data.folderId);
+        let path = folder ? this.sanitizeFolderPath(folder.name, data.path) : null;
+        if (path && !path.includes('/')) path = `${path}/${this.sanitizePathSegment(data.name) || 'file'}`;
+        if (folder) folder.pending.add(data.id);
+
+        const transfer = {
+            peerId,
+            senderName: peerInfo?.username || null,
+            // Partials are filed under a digest of the file's first block too, so a peer can only resume into
+            // one if it actually has the same content, whatever it calls itself or the file
+            key: data.key && this.isDigest(data.headDigest) ? `${data.headDigest}/${data.key}` : null,
+            headDigest: this.isDigest(data.headDigest) ? data.headDigest : null,
+            name: data.name,
+            size: data.size,
+            lastModified: data.lastModified,
+            folderId: folder?.id || null,
+            path,
+            blockSize: data.blockSize || this.hashBlockSize,
+            compression: this.compressionFormats.includes(data.compression) ? data.compression : null,
+            inflating: null, // Chunks still being decompressed, in arrival order
+            dataBytes: 0, // Bytes of the file received this time, next to what they took on the wire
+            wireBytes: 0,
+            sink: null,
+            received: 0, // Bytes held, written or pending
+            streamPos: 0, // Absolute offset of the next incoming byte
+            pending: [],
+            pendingBytes: 0
+        };
+        this.transfers.set(data.id, transfer);
+
+        // Chunks from older senders may arrive before the sink is open; they wait in `pending`
+        const sinkReady = this.openReceiveSink(transfer).catch((err) => {
+            console.error('Could not open a receive sink:', err);
+            transfer.sink = this.createMemorySink(transfer.size);
+        });
+        transfer.writeChain = sinkReady.then(() => undefined);
+
+        // Senders without a transfer key stream from zero and don't wait for a reply
+        if (transfer.key) await sinkReady;
+
+        this.activeTransfers.set(data.id, {
+            size: data.size,
+            transferred: transfer.received,
+            startTime: now,
+            lastUpdate: now,
+            lastBytes: transfer.received,
+            folderId: transfer.folderId,
+            pausedHere: false,
+            pausedThere: false, // Paused by the sender
+            compressed: !!transfer.compression,
+            dataBytes: 0,
+            wireBytes: 0,
+            lastWire: 0
+        });
+
+        this.addTransferToUI(data.id, folder ? path.slice(folder.name.length + 1) : data.name, data.size, 'receive', transfer.folderId);
+        this.setTransferThumbnail(data.id, this.takeOfferThumbnail(peerId, data.id));
+        this.addTransferControls(data.id);
+        this.addPlayButton(data.id, transfer);
+
+        if (transfer.received > 0) {
+            this.updateTransferUI(data.id, transfer.received / data.size);
+            this.setTransferStatus(data.id, `Resuming at ${this.formatBytes(transfer.received)}`);
+        }
+
+        if (transfer.key && peerInfo?.conn.open) {
+            peerInfo.conn.send({ type: 'file-resume', id: data.id, offset: transfer.received });
+        }
+    }
+
+    receiveFileOffset(peerId, data) {
+        const transfer = this.transfers.get(data.id);
+        if (transfer && transfer.peerId === peerId) {
+            transfer.streamPos = data.offset;
+        }
+    }
+
+    receiveFileChunkRaw(peerId, transferId, data, wire = data.byteLength) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || transfer.peerId !== peerId) return; // Ignore stray binary data
+        transfer.wireBytes += wire;
+
+        // When several peers resume from different offsets, skip bytes we already hold
+        const chunkStart = transfer.streamPos;
+        transfer.streamPos += data.byteLength;
+        if (chunkStart < transfer.received) {
+            const overlap = transfer.received - chunkStart;
+            if (overlap >= data.byteLength) return;
+            data = data.subarray(overlap);
+        }
+
+        this.mediaStreams.get(transferId)?.buffer.write(transfer.received, data);
+        transfer.received += data.byteLength;
+        transfer.dataBytes += data.byteLength;
+        this.totalBytesTransferred += data.byteLength;
+
+        // Hand data to the sink in batches; only one batch is held in memory
+        transfer.pending.push(data);
+        transfer.pendingBytes += data.byteLength;
+        if (transfer.pendingBytes >= this.resumeFlushSize) {
+            this.flushPartial(transferId, transfer);
+        }
+
+        const activeTransfer = this.activeTransfers.get(transferId);
+        if (activeTransfer) {
+            activeTransfer.transferred = transfer.received;
+            activeTransfer.dataBytes = transfer.dataBytes;
+            activeTransfer.wireBytes = transfer.wireBytes;
+
+            // Throttle UI on receiver too
+            const progress = transfer.received / transfer.size;
+            if (progress - (activeTransfer.lastUiProgress || 0) > 0.02 || Date.now() - activeTransfer.lastUiUpdate > 200) {
+                this.updateTransferUI(transferId, progress);
+                activeTransfer.lastUiProgress = progress;
+                activeTransfer.lastUiUpdate = Date.now();
+            }
+        }
+    }
+
+    async receiveFileEnd(peerId, data) {
+        const transfer = this.transfers.get(data.id);
+        const activeTransfer = this.activeTransfers.get(data.id);
+        if (!transfer || transfer.peerId !== peerId) return;
+
+        // The last chunks may still be decompressing
+        if (transfer.inflating) {
+            await transfer.inflating;
+            if (this.transfers.get(data.id) !== transfer) return;
+        }
+
+        // Force 100% UI
+        this.updateTransferUI(data.id, 1);
+
+        const startTime = activeTransfer?.startTime || Date.now();
+        this.transfers.delete(data.id);
+        this.activeTransfers.delete(data.id);
+
+        await this.flushPartial(data.id, transfer);
+        const { sink } = transfer;
+        if (transfer.failed) return;
+
+        if (transfer.received !== transfer.size) {
+            sink.discard();
+            if (transfer.key) this.forgetPartial(transfer.key);
+            this.setTransferStatus(data.id, 'Incomplete', 'var(--danger)');
+            this.showToast(`Transfer incomplete: ${transfer.name}`, 'error');
+            this.settleReceivedFolderFile(data.id, transfer, false);
+            return;
+        }
+
+        // Streamed downloads can't be read back, so they were hashed on the way in
+        this.setTransferStatus(data.id, data.manifest ? 'Verifying...' : 'Saving...');
+        const blob = sink.hasher ? null : await sink.finish();
+        let verdict = null;
+        if (data.manifest) {
+            verdict = sink.hasher
+                ? await this.compareManifest(sink.hasher.result(), data.manifest)
+                : await this.verifyBlob(blob, data.manifest);
+            // The partial was picked by the head digest, so the manifest has to agree with it
+            if (transfer.headDigest && data.manifest.blocks?.[0] !== transfer.headDigest && !verdict.badBlocks.includes(0)) {
+                verdict.badBlocks.unshift(0);
+            }
+        }
+
+        if (transfer.key) this.forgetPartial(transfer.key);
+
+        // Older senders don't ship a manifest; nothing to check against
+        if (verdict && (verdict.badBlocks.length > 0 || !verdict.digestOk)) {
+            if (sink.hasher) sink.discard(); // Abort the browser download
+            this.markTransferCorrupted(data.id, {
+                peerId,
+                name: transfer.name,
+                size: transfer.size,
+                lastModified: transfer.lastModified,
+                folderId: transfer.folderId,
+                path: transfer.path,
+                startTime,
+                sink,
+                blob,
+                manifest: data.manifest,
+                badBlocks: verdict.badBlocks,
+                patches: new Map()
+            });
+            return;
+        }
+
+        if (sink.hasher) await sink.finish();
+        this.deliverReceivedFile(data.id, transfer, blob, startTime, !!verdict);
+    }
+
+    async deliverReceivedFile(id, transfer, blob, startTime, verified, patched = false) {
+        const { peerId, name, sink } = transfer;
+        const folder = transfer.folderId ? this.folderGroups.get(transfer.folderId) : null;
+        let keepSink = false;
+
+        try {
+            if (sink.kind === 'directory') {
+                // Already in the chosen folder; only repaired blocks need writing back
+                if (patched) await sink.rewrite(blob);
+            } else if (folder?.root) {
+                // Staged elsewhere because the folder tree was not writable at the time
+                await this.writeFolderFile(folder, transfer.path, blob);
+            } else if (folder && !folder.finishing) {
+                // Held in staging until the whole folder is here, then zipped
+                folder.members.push({ path: transfer.path, blob, lastModified: transfer.lastModified, sink });
+                keepSink = true;
+            } else if (blob) {
+                this.downloadBlob(blob, name);
+            }
+        } catch (err) {
+            console.error('Failed to save received file:', err);
+            this.setTransferStatus(id, 'Failed', 'var(--danger)');
+            this.showToast(`Could not save ${name}: ${err.message || err}`, 'error');
+            this.settleReceivedFolderFile(id, transfer, false);
+            return;
+        }
+
+        if (!keepSink) sink.release();
+        this.setMediaSource(id, blob);
+
+        // Nothing more to ask the sender for, so it can let go of the file
+        const senderConn = this.connections.get(peerId)?.conn;
+        if (senderConn?.open) senderConn.send({ type: 'file-verified', id });
+        this.completeTransferUI(id, sink.size, startTime, !transfer.folderId);
+        this.addChatReplyButton(id, peerId, name);
+        if (blob && !transfer.folderId && this.getImageType(name, blob)) this.addToGallery(id, name, blob);
+        if (verified) this.setTransferStatus(id, 'Verified ✓', 'var(--accent)');
+        if (transfer.compression) this.showWireSaving(id, transfer);
+        this.saveHistory({ name, size: sink.size, peer: this.connections.get(peerId)?.username || transfer.senderName || peerId }, 'receive');
+
+        if (transfer.folderId) {
+            this.settleReceivedFolderFile(id, transfer, true);
+        } else {
+            this.showToast(sink.kind === 'directory' ? `Saved to ${this.saveDirectory?.name || 'folder'}: ${name}` : `Received: ${name}`, 'success');
+        }
+    }
+
+    downloadBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== BINARY FRAMING ====================
+
+    isTransferId(id) {
+        // Ids travel as u32 in frame headers and end up in element ids
+        return Number.isInteger(id) && id >= 0 && id <= 0xffffffff;
+    }
+
+    frameHeader(kind, id, index = 0) {
+        // kind 0: file data [0][id u32]; kind 1: a re-sent block, kind 2: a swarm piece,
+        // kind 3: a byte range for playback, [kind][id u32][index u32]; kind 4: compressed
+        // file data, [4][id u32][uncompressed length u32]; kind 5: part of a clipboard image,
+        // [5][id u32][offset u32]
+        const header = new DataView(new ArrayBuffer(kind === 0 ? 5 : 9));
+        header.setUint8(0, kind);
+        header.setUint32(1, id);
+        if (kind !== 0) header.setUint32(5, index);
+        return new Uint8Array(header.buffer);
+    }
+
+    parseFrame(data) {
+        // PeerJS might give us Uint8Array or ArrayBuffer
+        const bytes = data instanceof Uint8Array ? data : (data instanceof ArrayBuffer ? new Uint8Array(data) : null);
+        if (!bytes || bytes.byteLength < 5) return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const kind = view.getUint8(0);
+        if (kind === 0) return { kind, id: view.getUint32(1), body: bytes.subarray(5) };
+        if (kind >= 1 && kind <= 5 && bytes.byteLength >= 9) return { kind, id: view.getUint32(1), index: view.getUint32(5), body: bytes.subarray(9) };
+        return null;
+    }
+
+    // ==================== COMPRESSION ====================
+
+    getCompressionFormats() {
+        // Codecs this browser can both compress and inflate, smallest framing first
+        if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') return [];
+        return ['deflate-raw', 'deflate', 'gzip'].filter((format) => {
+            try {
+                new CompressionStream(format);
+                new DecompressionStream(format);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        });
+    }
+
+    pickCompression(peerId) {
+        const offered = this.connections.get(peerId)?.compression || [];
+        return this.compressionFormats.find(format => offered.includes(format)) || null;
+    }
+
+    async isCompressible(file) {
+        if (file.size < this.compressionMinSize) return false;
+
+        // Media and archives are compressed already; text formats always shrink
+        const type = (file.type || '').toLowerCase();
+        const ext = file.name.split('.').pop().toLowerCase();
+        if (/^(image|video|audio)\/(?!svg|bmp|x-ms-bmp|tiff|wav|x-wav)/.test(type)) return false;
+        if (/zip|gzip|compressed|x-7z|x-rar|x-bzip|x-xz|zstd|pdf|epub|font\/woff/.test(type)) return false;
+        if (/^(zip|gz|tgz|bz2|xz|7z|rar|zst|jpe?g|png|gif|webp|avif|heic|mp4|m4v|mov|mkv|webm|mp3|m4a|aac|ogg|opus|flac|pdf|docx|xlsx|pptx|apk|jar|woff2?)$/.test(ext)) return false;
+        if (/^text\/|json|xml|javascript|ecmascript|csv|yaml|toml|svg|x-sh|sql/.test(type)) return true;
+
+        // Anything else is judged by how well a sample from its start compresses
+        try {
+            const sample = file.slice(0, this.compressionSampleSize);
+            const compressed = await new Response(sample.stream().pipeThrough(new CompressionStream(this.compressionFormats[0]))).arrayBuffer();
+            return compressed.byteLength <= sample.size * this.compressionMinRatio;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async compressChunk(id, slice, format) {
+        // Every chunk is compressed on its own, so offsets, resumes and repairs stay in file bytes
+        const compressed = await new Response(slice.stream().pipeThrough(new CompressionStream(format))).arrayBuffer();
+        if (compressed.byteLength >= slice.size) {
+            // A stretch that doesn't shrink, like an embedded image, goes as it is
+            const frame = await new Blob([this.frameHeader(0, id), slice]).arrayBuffer();
+            return { frame, bytes: slice.size };
+        }
+        const frame = await new Blob([this.frameHeader(4, id, slice.size), compressed]).arrayBuffer();
+        return { frame, bytes: slice.size, wire: compressed.byteLength };
+    }
+
+    receiveFileFrame(peerId, { kind, id, index, body }) {
+        const transfer = this.transfers.get(id);
+        if (!transfer?.compression || transfer.peerId !== peerId) {
+            if (kind === 0) this.receiveFileChunkRaw(peerId, id, body);
+            return;
+        }
+
+        // Inflating is async, so every chunk of a compressed transfer waits its turn
+        const previous = transfer.inflating || Promise.resolve();
+        transfer.inflating = previous.then(async () => {
+            if (kind === 0) {
+                this.receiveFileChunkRaw(peerId, id, body);
+                return;
+            }
+            const data = await this.inflateChunk(body, transfer.compression, index);
+            this.receiveFileChunkRaw(peerId, id, data, body.byteLength);
+        }).catch((err) => {
+            if (this.transfers.get(id) === transfer) this.failReceive(id, transfer, err);
+        });
+    }
+
+    async inflateChunk(bytes, format, length) {
+        // The frame states the size; a chunk that inflates past it is refused rather than held
+        if (length > this.maxChunkSize * 2) throw new Error('Compressed chunk is too large');
+
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+        const data = new Uint8Array(length);
+        let pos = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (pos + value.byteLength > length) {
+                reader.cancel();
+                throw new Error('Compressed chunk is larger than stated');
+            }
+            data.set(value, pos);
+            pos += value.byteLength;
+        }
+        if (pos !== length) throw new Error('Compressed chunk is shorter than stated');
+        return data;
+    }
+
+    showWireSaving(id, { dataBytes, wireBytes }) {
+        const speed = document.getElementById(`speed-${id}`);
+        if (!speed || !dataBytes) return;
+        const saved = Math.max(0, Math.round((1 - wireBytes / dataBytes) * 100));
+        speed.textContent = `${this.formatBytes(wireBytes)} on the wire (−${saved}%)`;
+    }
+
+    // ==================== SWARM MODE ====================
+
+    toggleSwarmMode() {
+        this.swarmMode = !this.swarmMode;
+        localStorage.setItem('velo_swarm', String(this.swarmMode));
+        this.updateSwarmButton();
+        this.showToast(this.swarmMode ? 'Broadcasts will be shared as a swarm between receivers' : 'Broadcasts will stream from you to each peer', 'info');
+    }
+
+    updateSwarmButton() {
+        const btn = document.getElementById('swarmBtn');
+        if (!btn) return;
+        btn.style.color = this.swarmMode ? 'var(--accent)' : 'var(--text-primary)';
+        btn.title = this.swarmMode
+            ? 'Swarm mode: receivers pass pieces on to each other (click to turn off)'
+            : 'Swarm mode: let receivers pass pieces on to each other';
+    }
+
+    async seedSwarm(id, file, key, targets, { queueId, startTime }) {
+        // Piece digests go out up front, so a receiver can check pieces from anyone
+        this.rememberSentFile(id, file, key, targets.map(({ conn }) => conn.peer));
+        this.setTransferStatus(id, 'Hashing...');
+        const manifest = await this.getFileManifest(file, key);
+        targets = targets.filter(({ conn }) => conn.open);
+        if (!manifest) {
+            this.failSend(id, queueId, 'Failed', `Could not read ${file.name}`);
+            return;
+        }
+        if (targets.length === 0) {
+            this.interruptSend(id, queueId);
+            return;
+        }
+
+        const members = targets.map(({ conn }) => conn.peer);
+        const peers = new Map(targets.map(({ conn, username }, i) => [conn.peer, {
+            rowId: `${id}-peer-${i}`,
+            name: username || conn.peer,
+            transferred: 0,
+            done: false,
+            lastUpdate: startTime,
+            lastBytes: 0,
+            lastUiProgress: 0,
+            lastUiUpdate: 0
+        }]));
+
+        this.activeTransfers.set(id, {
+            size: file.size,
+            transferred: 0,
+            startTime,
+            lastUpdate: startTime,
+            lastBytes: 0,
+            lastUiProgress: 0,
+            lastUiUpdate: 0,
+            queueId,
+            peers
+        });
+        this.addPeerRowsToUI(id, peers);
+        this.setTransferStatus(id, 'Swarming...');
+
+        this.swarms.set(id, {
+            id,
+            role: 'seed',
+            file,
+            queueId,
+            startTime,
+            members: new Set(members),
+            done: new Set(),
+            gone: new Set(),
+            pieceSize: manifest.blockSize,
+            uploaded: 0,
+            serving: new Map() // peerId -> promise chain of pieces going out to it
+        });
+
+        targets.forEach(({ conn }) => {
+            conn.send({
+                type: 'swarm-start',
+                id,
+                key,
+                name: file.name,
+                size: file.size,
+                lastModified: file.lastModified,
+                manifest,
+                members
+            });
+        });
+    }
+
+    settleSwarmSeed(swarm) {
+        const pending = Array.from(swarm.members).filter(peerId => !swarm.done.has(peerId) && !swarm.gone.has(peerId));
+        if (pending.length > 0) return;
+
+        this.swarms.delete(swarm.id);
+        swarm.members.forEach((peerId) => {
+            const conn = this.connections.get(peerId)?.conn;
+            if (conn?.open) conn.send({ type: 'swarm-end', id: swarm.id });
+        });
+
+        const transfer = this.activeTransfers.get(swarm.id);
+        const outcomes = Array.from(swarm.members).map(peerId => swarm.done.has(peerId) ? 'complete' : 'interrupted');
+        transfer?.peers.forEach((pipeline, peerId) => {
+            if (!swarm.done.has(peerId)) this.endSendPipeline(swarm.id, pipeline, 'interrupted');
+        });
+
+        this.settleSend(swarm.id, swarm.file, outcomes, { folder: null, path: null, queueId: swarm.queueId, startTime: swarm.startTime });
+        if (outcomes.includes('complete')) {
+            this.setTransferStatus(swarm.id, `Swarmed · ${this.formatBytes(swarm.uploaded)} sent by you`, 'var(--accent)');
+        }
+    }
+
+    cancelSwarmSeed(swarm) {
+        swarm.members.forEach((peerId) => swarm.gone.add(peerId));
+        swarm.members.forEach((peerId) => {
+            const conn = this.connections.get(peerId)?.conn;
+            if (conn?.open) conn.send({ type: 'swarm-end', id: swarm.id, cancelled: true });
+        });
+        this.swarms.delete(swarm.id);
+        this.settleSend(swarm.id, swarm.file, ['cancelled'], { folder: null, path: null, queueId: swarm.queueId, startTime: swarm.startTime });
+    }
+
+    async receiveSwarmStart(peerId, data) {
+        // Only files the user agreed to, and only a manifest that matches the size
+        if (!this.isTransferId(data.id) || !this.acceptedOffers.delete(`${peerId}:${data.id}`)) return;
+        const size = Number(data.size);
+        const manifest = data.manifest;
+        const pieceSize = Number(manifest?.blockSize);
+        if (!Number.isSafeInteger(size) || size <= 0 || !Number.isInteger(pieceSize) || pieceSize <= 0 || pieceSize > 16 * 1024 * 1024) return;
+        if (!Array.isArray(manifest.blocks) || manifest.blocks.length !== Math.ceil(size / pieceSize)) return;
+
+        const now = Date.now();
+        const listed = Array.isArray(data.members) ? data.members.filter(id => typeof id === 'string') : [];
+        const members = new Set(listed.filter(id => id !== this.myPeerId));
+        const swarm = {
+            id: data.id,
+            role: 'fetch',
+            seeder: peerId,
+            key: data.key || null,
+            name: String(data.name || 'file'),
+            size,
+            lastModified: data.lastModified,
+            manifest,
+            members,
+            done: new Set(),
+            pieces: new VeloSwarm({
+                pieceCount: manifest.blocks.length,
+                pieceSize,
+                size,
+                seeder: peerId,
+                rank: Math.max(0, listed.indexOf(this.myPeerId)),
+                ranks: listed.length
+            }),
+            store: null,
+            startTime: now,
+            uploaded: 0,
+            serving: new Map(),
+            timer: null
+        };
+        members.forEach(id => swarm.pieces.addPeer(id));
+        this.swarms.set(swarm.id, swarm);
+
+        this.activeTransfers.set(swarm.id, {
+            size,
+            transferred: 0,
+            startTime: now,
+            lastUpdate: now,
+            lastBytes: 0,
+            lastUiProgress: 0,
+            lastUiUpdate: 0
+        });
+        this.addTransferToUI(swarm.id, swarm.name, size, 'receive');
+        this.setTransferThumbnail(swarm.id, this.takeOfferThumbnail(peerId, data.id));
+        this.setTransferStatus(swarm.id, 'Swarming...');
+
+        swarm.storeReady = this.createPieceStore(swarm).then((store) => { swarm.store = store; });
+        await swarm.storeReady;
+        this.pumpSwarm(swarm);
+    }
+
+    async createPieceStore(swarm) {
+        // Pieces arrive out of order; OPFS keeps one file per piece off the heap
+        if (navigator.storage?.getDirectory) {
+            try {
+                return await this.createOpfsSink(`swarm:${swarm.id}:${swarm.key || swarm.name}`, swarm.size);
+            } catch (err) {
+                console.error('Could not stage swarm pieces, keeping them in memory:', err);
+            }
+        }
+        return this.createMemorySink(swarm.size);
+    }
+
+    pumpSwarm(swarm) {
+        if (this.swarms.get(swarm.id) !== swarm || swarm.pieces.complete) return;
+        clearTimeout(swarm.timer);
+
+        const reachable = new Set([swarm.seeder, ...swarm.members].filter(peerId => this.connections.get(peerId)?.conn.open));
+        const requests = swarm.pieces.nextRequests({
+            reachable,
+            limit: this.swarmRequestLimit,
+            perPeer: this.swarmPerPeer,
+            timeout: this.swarmRequestTimeout
+        });
+        requests.forEach(({ index, peerId }) => {
+            this.connections.get(peerId).conn.send({ type: 'swarm-request', id: swarm.id, index });
+        });
+
+        // Retry stalled requests even when nothing else wakes us up
+        swarm.timer = setTimeout(() => this.pumpSwarm(swarm), this.swarmRequestTimeout / 3);
+    }
+
+    async receiveSwarmPiece(peerId, id, index, bytes) {
+        const swarm = this.swarms.get(id);
+        if (swarm?.role !== 'fetch' || !swarm.pieces.isRequested(index, peerId)) return;
+
+        // Pieces may come from any member, so each one is checked against the seeder's digest
+        const { pieces } = swarm;
+        const valid = bytes.byteLength === pieces.pieceLength(index) && await this.digestBytes(bytes) === swarm.manifest.blocks[index];
+        if (this.swarms.get(id) !== swarm) return;
+        if (!valid) {
+            pieces.reject(peerId, index);
+            const name = this.connections.get(peerId)?.username || peerId;
+            this.showToast(`${name} sent a damaged piece of ${swarm.name}; fetching it elsewhere`, 'error');
+            this.pumpSwarm(swarm);
+            return;
+        }
+
+        try {
+            await swarm.storeReady;
+            await swarm.store.append(pieces.pieceStart(index), new Blob([bytes]));
+        } catch (err) {
+            console.error('Could not store swarm piece:', err);
+            pieces.inFlight.delete(index);
+            this.pumpSwarm(swarm);
+            return;
+        }
+        pieces.markHave(index);
+        this.totalBytesTransferred += bytes.byteLength;
+
+        // Tell everyone, so they can fetch it from us instead of the seeder
+        [swarm.seeder, ...swarm.members].forEach((member) => {
+            const conn = this.connections.get(member)?.conn;
+            if (conn?.open) conn.send({ type: 'swarm-have', id, index });
+        });
+
+        const transfer = this.activeTransfers.get(id);
+        if (transfer) {
+            transfer.transferred = pieces.bytesHeld;
+            const progress = transfer.transferred / swarm.size;
+            if (progress - transfer.lastUiProgress > 0.02 || Date.now() - transfer.lastUiUpdate > 200) {
+                this.updateTransferUI(id, progress);
+                transfer.lastUiProgress = progress;
+                transfer.lastUiUpdate = Date.now();
+            }
+        }
+
+        if (pieces.complete) {
+            this.finishSwarm(swarm);
+        } else {
+            this.pumpSwarm(swarm);
+        }
+    }
+
+    async finishSwarm(swarm) {
+        clearTimeout(swarm.timer);
+        this.activeTransfers.delete(swarm.id);
+        this.updateTransferUI(swarm.id, 1);
+        this.setTransferStatus(swarm.id, 'Saving...');
+
+        // Every piece passed its digest; the store stays open so others can keep fetching from us
+        const { store } = swarm;
+        const blob = await store.finish();
+        let sink = { ...store, release: () => {} };
+        if (this.saveDirectory && await this.hasDirectoryPermission(this.saveDirectory)) {
+            try {
+                const saved = await this.createDirectorySink({ name: swarm.name, size: swarm.size });
+                await saved.append(0, blob);
+                await saved.finish();
+                sink = saved;
+            } catch (err) {
+                console.error('Could not save swarm download to the folder, downloading instead:', err);
+            }
+        }
+        await this.deliverReceivedFile(swarm.id, {
+            peerId: swarm.seeder,
+            name: swarm.name,
+            sink,
+            folderId: null,
+            path: null,
+            lastModified: swarm.lastModified
+        }, blob, swarm.startTime, true);
+
+        [swarm.seeder, ...swarm.members].forEach((member) => {
+            const conn = this.connections.get(member)?.conn;
+            if (conn?.open) conn.send({ type: 'swarm-done', id: swarm.id });
+        });
+        this.settleSwarmFetch(swarm);
+    }
+
+    settleSwarmFetch(swarm) {
+        // Keep seeding until every other receiver has the file or is gone
+        if (!swarm.pieces.complete || this.swarms.get(swarm.id) !== swarm) return;
+        const waiting = Array.from(swarm.members).some(peerId => !swarm.done.has(peerId) && this.connections.has(peerId));
+        if (!waiting) this.closeSwarm(swarm);
+    }
+
+    closeSwarm(swarm) {
+        clearTimeout(swarm.timer);
+        this.swarms.delete(swarm.id);
+        swarm.store?.release();
+    }
+
+    handleSwarmRequest(peerId, data) {
+        const swarm = this.swarms.get(data.id);
+        const index = data.index;
+        if (!swarm || !swarm.members.has(peerId) || !Number.isInteger(index)) return;
+
+        if (swarm.role === 'seed') {
+            const queueItem = swarm.queueId ? this.queuedFiles.find(i => i.id === swarm.queueId) : null;
+            if (queueItem?.status === 'cancelled') {
+                this.cancelSwarmSeed(swarm);
+                return;
+            }
+            const start = index * swarm.pieceSize;
+            if (start < 0 || start >= swarm.file.size) return;
+            this.serveSwarmPiece(swarm, peerId, index, () => swarm.file.slice(start, start + swarm.pieceSize));
+        } else if (swarm.pieces.have[index]) {
+            const start = swarm.pieces.pieceStart(index);
+            this.serveSwarmPiece(swarm, peerId, index, () => swarm.store.read(start));
+        }
+    }
+
+    serveSwarmPiece(swarm, peerId, index, readPiece) {
+        // One piece at a time per peer, each waiting for that connection's buffer to drain
+        const chain = (swarm.serving.get(peerId) || Promise.resolve()).then(async () => {
+            const conn = this.connections.get(peerId)?.conn;
+            if (!conn?.open) return;
+
+            const bytes = await new Blob([this.frameHeader(2, swarm.id, index), await readPiece()]).arrayBuffer();
+            await this.whenSendable(conn, this.maxChunkSize);
+            if (!conn.open) return;
+
+            conn.send(bytes);
+            swarm.uploaded += bytes.byteLength - 9;
+            this.totalBytesTransferred += bytes.byteLength - 9;
+        }).catch(err => console.error('Could not serve swarm piece:', err));
+        swarm.serving.set(peerId, chain);
+    }
+
+    handleSwarmHave(peerId, data) {
+        const swarm = this.swarms.get(data.id);
+        if (!swarm || !swarm.members.has(peerId)) return;
+
+        if (swarm.role === 'fetch') {
+            swarm.pieces.notePiece(peerId, data.index);
+            this.pumpSwarm(swarm);
+            return;
+        }
+
+        // The seeder follows each receiver's progress in its row
+        const transfer = this.activeTransfers.get(swarm.id);
+        const pipeline = transfer?.peers.get(peerId);
+        if (!pipeline || !Number.isInteger(data.index)) return;
+        pipeline.held = pipeline.held || new Set();
+        pipeline.held.add(data.index);
+        pipeline.transferred = Math.min(swarm.file.size, pipeline.held.size * swarm.pieceSize);
+        this.noteSendProgress(swarm.id, pipeline);
+    }
+
+    handleSwarmDone(peerId, data) {
+        const swarm = this.swarms.get(data.id);
+        if (!swarm || !swarm.members.has(peerId)) return;
+        swarm.done.add(peerId);
+
+        if (swarm.role === 'fetch') {
+            this.settleSwarmFetch(swarm);
+            return;
+        }
+
+        const pipeline = this.activeTransfers.get(swarm.id)?.peers.get(peerId);
+        if (pipeline) {
+            pipeline.transferred = swarm.file.size;
+            pipeline.done = true;
+            this.noteSendProgress(swarm.id, pipeline, true);
+            this.completeTransferUI(pipeline.rowId, swarm.file.size, swarm.startTime, false);
+        }
+        this.settleSwarmSeed(swarm);
+    }
+
+    handleSwarmEnd(peerId, data) {
+        const swarm = this.swarms.get(data.id);
+        if (swarm?.role !== 'fetch' || swarm.seeder !== peerId) return;
+        if (swarm.pieces.complete) {
+            this.closeSwarm(swarm);
+            return;
+        }
+        this.abandonSwarm(swarm, data.cancelled ? 'Cancelled by sender' : 'Interrupted');
+    }
+
+    abandonSwarm(swarm, status) {
+        this.closeSwarm(swarm);
+        swarm.store?.discard();
+        this.activeTransfers.delete(swarm.id);
+        this.setTransferStatus(swarm.id, status, 'var(--danger)');
+        this.showToast(`Transfer incomplete: ${swarm.name}`, 'error');
+    }
+
+    leaveSwarms(peerId) {
+        this.swarms.forEach((swarm) => {
+            if (swarm.role === 'seed') {
+                if (!swarm.members.has(peerId)) return;
+                swarm.gone.add(peerId);
+                this.settleSwarmSeed(swarm);
+                return;
+            }
+
+            if (peerId !== swarm.seeder && !swarm.members.has(peerId)) return;
+            swarm.pieces.removePeer(peerId);
+            if (swarm.pieces.complete) {
+                this.settleSwarmFetch(swarm);
+            } else if (!swarm.pieces.isAvailable()) {
+                this.abandonSwarm(swarm, 'Interrupted'); // Nobody left holds what we still need
+            } else {
+                this.pumpSwarm(swarm);
+            }
+        });
+    }
+
+    // ==================== RECEIVER CONSENT ====================
+
+    waitForConsent(peerId, id) {
+        return new Promise((resolve) => {
+            const key = `${peerId}:${id}`;
+            // A little longer than the receiver's own prompt, so its decline arrives first
+            const timer = setTimeout(() => {
+                this.pendingConsents.delete(key);
+                resolve('timeout');
+            }, this.consentTimeout + 5000);
+
+            this.pendingConsents.set(key, (answer) => {
+                clearTimeout(timer);
+                this.pendingConsents.delete(key);
+                resolve(answer);
+            });
+        });
+    }
+
+    handleConsent(peerId, data, answer) {
+        const resolve = this.pendingConsents.get(`${peerId}:${data.id}`);
+        if (resolve) resolve(answer);
+    }
+
+    declineSend(id, queueId, refusals) {
+        const names = refusals.map(({ name }) => name).join(', ');
+        const status = refusals.some(({ answer }) => answer === 'decline') ? `Declined by ${names}` : `No response from ${names}`;
+        this.setTransferStatus(id, status, 'var(--danger)');
+
+        const queueItem = queueId ? this.queuedFiles.find(i => i.id === queueId) : null;
+        if (queueItem) {
+            queueItem.status = 'declined';
+            queueItem.declinedBy = refusals.map(({ name }) => name);
+            if (queueItem.folder) this.settleFolderFile(queueItem.folder, queueItem.path, queueItem.file.size, false);
+            this.updateQueueUI();
+        }
+
+        // A folder declined as a whole would otherwise toast once per file
+        if (!queueItem?.folder) this.showToast(status, 'error');
+        this.activeSends--;
+        setTimeout(() => this.processTransferQueue(), 50);
+    }
+
+    noteRefusals(queueItem, file, refusals) {
+        // Broadcast goes ahead for everyone who accepted
+        if (queueItem) queueItem.declinedBy = refusals.map(({ name }) => name);
+        this.showToast(`${refusals.map(({ name }) => name).join(', ')} declined ${file.name}`, 'info');
+    }
+
+    receiveFileOffer(peerId, data) {
+        if (!this.isTransferId(data.id)) return;
+        const reply = (accepted) => this.answerOffer(peerId, data.id, accepted);
+
+        // Files of a folder follow the answer given for the whole folder
+        const folder = this.getPeerFolder(peerId, data.folderId);
+        if (folder) {
+            folder.consent.then(reply);
+            return;
+        }
+
+        const thumbnail = this.isThumbnail(data.thumbnail) ? data.thumbnail : null;
+        if (thumbnail) this.offerThumbnails.set(`${peerId}:${data.id}`, thumbnail);
+
+        if (this.trustedPeers.has(peerId)) {
+            reply(true);
+            return;
+        }
+
+        const size = this.formatBytes(Number(data.size) || 0);
+        this.showOfferPrompt(peerId, `file-${data.id}`, {
+            name: String(data.name || 'file'),
+            detail: data.mimeType ? `${size} · ${data.mimeType}` : size,
+            icon: this.getFileIcon(String(data.name || '')),
+            thumbnail
+        }, reply);
+    }
+
+    answerOffer(peerId, id, accepted) {
+        const conn = this.connections.get(peerId)?.conn;
+        if (!conn?.open) return;
+
+        if (accepted) {
+            this.acceptedOffers.add(`${peerId}:${id}`);
+        } else {
+            this.offerThumbnails.delete(`${peerId}:${id}`);
+        }
+        conn.send({ type: accepted ? 'file-accept' : 'file-decline', id });
+    }
+
+    showOfferPrompt(peerId, offerId, { name, detail, icon, thumbnail = null }, answer) {
+        const key = `${peerId}:${offerId}`;
+        const username = this.connections.get(peerId)?.username || peerId;
+
+        const card = document.createElement('div');
+        card.className = 'file-card-modern';
+        card.style.flexWrap = 'wrap';
+        card.innerHTML = `
+            <div class="transfer-icon" style="color: var(--accent); background: rgba(255,255,255,0.05); padding: 0.5rem; border-radius: 8px;">${icon}</div>
+            <div style="flex: 1; min-width: 0;">
+                <div class="offer-name" style="font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                <div class="offer-detail" style="font-size: 0.8rem; color: var(--text-muted);"></div>
+            </div>
+            <div style="display: flex; gap: 0.4rem; flex-wrap: wrap; justify-content: flex-end;">
+                <button class="btn-ghost tight offer-accept" style="font-size: 0.75rem; padding: 0.3rem 0.6rem; color: var(--accent); border-color: var(--accent);">Accept</button>
+                <button class="btn-ghost tight offer-decline" style="font-size: 0.75rem; padding: 0.3rem 0.6rem; color: var(--danger); border-color: var(--danger);">Decline</button>
+                <button class="btn-ghost tight offer-trust" style="font-size: 0.75rem; padding: 0.3rem 0.6rem;">Always accept</button>
+            </div>
+        `;
+        // Both strings come from the peer
+        card.querySelector('.offer-name').textContent = name;
+        card.querySelector('.offer-detail').textContent = `${detail} · from ${username}`;
+        card.querySelector('.offer-trust').title = `Accept everything ${username} sends for the rest of this session`;
+        if (thumbnail) this.showThumbnail(card.querySelector('.transfer-icon'), thumbnail);
+
+        const settle = (accepted) => {
+            if (!this.openOffers.has(key)) return;
+            clearTimeout(timer);
+            this.openOffers.delete(key);
+            card.remove();
+            answer(accepted);
+        };
+        const timer = setTimeout(() => settle(false), this.consentTimeout);
+        this.openOffers.set(key, { peerId, settle });
+
+        card.querySelector('.offer-accept').onclick = () => settle(true);
+        card.querySelector('.offer-decline').onclick = () => settle(false);
+        card.querySelector('.offer-trust').onclick = () => {
+            this.trustedPeers.add(peerId);
+            this.openOffers.forEach((offer) => {
+                if (offer.peerId === peerId) offer.settle(true);
+            });
+        };
+
+        this.transferQueue.insertBefore(card, this.transferQueue.firstChild);
+        this.playSound('message');
+    }
+
+    // ==================== RESUMABLE TRANSFERS ====================
+
+    getTransferKey(file, path = null) {
+        // Stable across reloads on both sides, so a re-queued file maps to the same partial; the receiver adds the head digest
+        return `${path || file.name}:${file.size}:${file.lastModified || 0}`;
+    }
+
+    waitForResumeOffset(peerId, id) {
+        return new Promise((resolve) => {
+            const key = `${peerId}:${id}`;
+            const timer = setTimeout(() => {
+                this.pendingResumes.delete(key);
+                resolve(null); // Older clients never answer; they expect the whole file
+            }, this.resumeTimeout);
+
+            this.pendingResumes.set(key, (offset) => {
+                clearTimeout(timer);
+                this.pendingResumes.delete(key);
+                resolve(offset);
+            });
+        });
+    }
+
+    handleResumeOffset(peerId, data) {
+        const resolve = this.pendingResumes.get(`${peerId}:${data.id}`);
+        if (resolve) resolve(Math.max(0, Number(data.offset) || 0));
+    }
+
+    handleFileAck(peerId, data) {
+        const pipeline = this.activeTransfers.get(data.id)?.peers?.get(peerId);
+        if (!pipeline) return;
+        pipeline.acked = data.offset;
+        this.wakeSendPipeline(pipeline);
+    }
+
+    handleFileMark(peerId, data) {
+        const transfer = this.transfers.get(data.id);
+        const conn = this.connections.get(peerId)?.conn;
+        if (!transfer || transfer.peerId !== peerId || !conn?.open) return;
+
+        // Echo at once; the sender reads the RTT off its own clock, and we add our intake rate
+        const now = Date.now();
+        const rate = transfer.markTime ? (transfer.streamPos - transfer.markPos) * 1000 / Math.max(1, now - transfer.markTime) : 0;
+        transfer.markTime = now;
+        transfer.markPos = transfer.streamPos;
+        conn.send({ type: 'file-mark-ack', id: data.id, offset: data.offset, sentAt: data.sentAt, rate });
+    }
+
+    handleFileMarkAck(peerId, data) {
+        const pipeline = this.activeTransfers.get(data.id)?.peers?.get(peerId);
+        if (!pipeline?.congestion) return;
+
+        const offset = Number(data.offset) || 0;
+        const acked = Math.max(0, offset - pipeline.delivered);
+        pipeline.delivered = Math.max(pipeline.delivered, offset);
+        pipeline.congestion.onAck({ rtt: Date.now() - Number(data.sentAt), acked, rate: Number(data.rate) || 0 });
+        this.measuredSpeed = pipeline.congestion.rate;
+        this.wakeSendPipeline(pipeline);
+    }
+
+    handleFileAbort(peerId, data) {
+        const pipeline = this.activeTransfers.get(data.id)?.peers?.get(peerId);
+        if (!pipeline) return;
+        pipeline.aborted = true;
+        this.wakeSendPipeline(pipeline);
+    }
+
+    failSend(id, queueId, status = 'Receiver failed', message = 'The receiver could not save the file') {
+        this.activeTransfers.delete(id);
+        this.removeTransferControls(id);
+        this.setTransferStatus(id, status, 'var(--danger)');
+
+        if (queueId) {
+            const queueItem = this.queuedFiles.find(i => i.id === queueId);
+            if (queueItem) queueItem.status = 'failed';
+            if (queueItem?.folder) this.settleFolderFile(queueItem.folder, queueItem.path, queueItem.file.size, false);
+            this.updateQueueUI();
+        }
+
+        this.showToast(message, 'error');
+        this.activeSends--;
+        setTimeout(() => this.processTransferQueue(), 50);
+    }
+
+    interruptSend(id, queueId) {
+        this.activeTransfers.delete(id);
+        this.removeTransferControls(id);
+        this.setTransferStatus(id, 'Interrupted', 'var(--danger)');
+
+        // Put the file back in line; it resumes from the receiver's offset on reconnect
+        if (queueId) {
+            const queueItem = this.queuedFiles.find(i => i.id === queueId);
+            if (queueItem && queueItem.status === 'sending') queueItem.status = 'pending';
+            this.updateQueueUI();
+        }
+
+        this.showToast('Transfer interrupted. It will resume when the peer reconnects.', 'info');
+        this.activeSends--;
+        setTimeout(() => this.processTransferQueue(), 50);
+    }
+
+    interruptTransfersFrom(peerId) {
+        this.leaveSwarms(peerId);
+
+        // A reconnect is a new peer ID and a new transfer, so nothing sent to this one is needed anymore
+        this.sentFiles.forEach((sent, id) => {
+            if (sent.peers.has(peerId)) this.releaseSentFile(id, peerId);
+        });
+
+        // Unblock a sender still waiting on this peer's answer or offset
+        this.pendingConsents.forEach((resolve, key) => {
+            if (key.startsWith(`${peerId}:`)) resolve(null);
+        });
+        this.pendingResumes.forEach((resolve, key) => {
+            if (key.startsWith(`${peerId}:`)) resolve(null);
+        });
+
+        // Nobody left to answer
+        this.openOffers.forEach((offer) => {
+            if (offer.peerId === peerId) offer.settle(false);
+        });
+
+        // Keep the sink around so the next attempt picks up from there
+        this.transfers.forEach((transfer, id) => {
+            if (transfer.peerId !== peerId) return;
+            this.transfers.delete(id);
+            this.activeTransfers.delete(id);
+            this.folderGroups.get(transfer.folderId)?.pending.delete(id); // Resent under a new id
+            this.setTransferStatus(id, 'Interrupted', 'var(--danger)');
+            this.removeTransferControls(id);
+            this.stopMediaStream(id, 'The sender disconnected');
+
+            this.flushPartial(id, transfer).then(() => {
+                if (transfer.failed) return;
+                if (transfer.key) {
+                    this.suspendedSinks.set(transfer.key, { sink: transfer.sink, received: transfer.received });
+                } else {
+                    transfer.sink.discard();
+                }
+            });
+        });
+    }
+
+    flushPartial(id, transfer) {
+        if (transfer.pendingBytes === 0) return transfer.writeChain;
+
+        const parts = transfer.pending;
+        const end = transfer.received;
+        const start = end - transfer.pendingBytes;
+        transfer.pending = [];
+        transfer.pendingBytes = 0;
+
+        transfer.writeChain = transfer.writeChain
+            .then(async () => {
+                if (transfer.failed) return;
+                const meta = transfer.key ? {
+                    key: transfer.key,
+                    name: transfer.name,
+                    size: transfer.size,
+                    received: end,
+                    sink: transfer.sink.kind,
+                    fileHandle: transfer.sink.fileHandle || null,
+                    updatedAt: Date.now()
+                } : null;
+
+                try {
+                    transfer.sink.hasher?.update(parts);
+                    await transfer.sink.append(start, new Blob(parts), meta);
+                } catch (err) {
+                    if (!await this.fallBackToMemory(transfer, start, parts, err)) {
+                        this.failReceive(id, transfer, err);
+                        return;
+                    }
+                }
+
+                // Acks double as flow control: the sender keeps a bounded window ahead of them
+                const conn = this.connections.get(transfer.peerId)?.conn;
+                if (conn?.open) conn.send({ type: 'file-ack', id, offset: end });
+            });
+        return transfer.writeChain;
+    }
+
+    async fallBackToMemory(transfer, start, parts, err) {
+        // Staging storage full or gone: keep what's written, continue in memory without resume
+        const staged = transfer.sink;
+        if (!['idb', 'opfs'].includes(staged.kind)) return false;
+
+        console.error(`Failed to stage transfer in ${staged.kind}, continuing in memory:`, err);
+        const memory = this.createMemorySink(transfer.size);
+        const finishMemory = memory.finish;
+        memory.finish = async () => new Blob([await staged.finish(start), await finishMemory()]);
+        memory.discard = () => staged.discard();
+        memory.release = () => staged.release();
+        await memory.append(start, new Blob(parts));
+
+        transfer.sink = memory;
+        if (transfer.key) this.forgetPartial(transfer.key);
+        return true;
+    }
+
+    failReceive(id, transfer, err) {
+        console.error('Failed to save incoming file:', err);
+        transfer.failed = true;
+        transfer.sink.discard();
+        if (transfer.key) this.forgetPartial(transfer.key);
+
+        this.transfers.delete(id);
+        this.activeTransfers.delete(id);
+        const peerInfo = this.connections.get(transfer.peerId);
+        if (peerInfo?.conn.open) peerInfo.conn.send({ type: 'file-abort', id });
+
+        this.setTransferStatus(id, 'Failed', 'var(--danger)');
+        this.removeTransferControls(id);
+        this.stopMediaStream(id, 'The transfer failed');
+        this.showToast(`Could not save ${transfer.name}: ${err.message || err}`, 'error');
+        this.settleReceivedFolderFile(id, transfer, false);
+    }
+
+    // ==================== PAUSE & CANCEL ====================
+
+    getPauseNote(transfer) {
+        if (transfer.pausedHere) return 'Paused';
+        if (transfer.pausedThere) return 'Paused by sender';
+
+        // A send reads as paused once every receiver still taking it has paused
+        const open = transfer.peers ? Array.from(transfer.peers.values()).filter(pipeline => !pipeline.done && pipeline.conn) : [];
+        if (open.length > 0 && open.every(pipeline => pipeline.pausedThere)) {
+            return open.length === 1 ? `Paused by ${open[0].name}` : 'Paused by receivers';
+        }
+        return null;
+    }
+
+    toggleTransferPause(id) {
+        const entry = this.activeTransfers.get(id);
+        if (!entry) return;
+        entry.pausedHere = !entry.pausedHere;
+
+        // Tell the other side so its card doesn't sit at a frozen percentage
+        const message = { type: 'file-pause', id, paused: entry.pausedHere };
+        if (entry.peers) {
+            entry.peers.forEach((pipeline) => {
+                if (pipeline.done || !pipeline.conn) return;
+                if (pipeline.conn.open) pipeline.conn.send(message);
+                if (!entry.pausedHere) this.wakeSendPipeline(pipeline);
+            });
+        } else {
+            const conn = this.connections.get(this.transfers.get(id)?.peerId)?.conn;
+            if (conn?.open) conn.send(message);
+        }
+
+        this.updateTransferControls(id);
+        this.setTransferStatus(id, this.getPauseNote(entry) || 'Resuming...', entry.pausedHere ? '#f59e0b' : undefined);
+    }
+
+    handleFilePause(peerId, data) {
+        const paused = data.paused === true;
+
+        // We're receiving it: the sender paused or resumed
+        const transfer = this.transfers.get(data.id);
+        if (transfer && transfer.peerId === peerId) {
+            const entry = this.activeTransfers.get(data.id);
+            if (!entry) return;
+            entry.pausedThere = paused;
+            this.setTransferStatus(data.id, this.getPauseNote(entry) || 'Resuming...', this.getPauseNote(entry) ? '#f59e0b' : undefined);
+            return;
+        }
+
+        // We're sending it: one receiver paused or resumed its copy
+        const entry = this.activeTransfers.get(data.id);
+        const pipeline = entry?.peers?.get(peerId);
+        if (!pipeline || pipeline.done) return;
+        pipeline.pausedThere = paused;
+        if (!paused) this.wakeSendPipeline(pipeline);
+        if (pipeline.rowId !== data.id) {
+            this.setTransferStatus(pipeline.rowId, paused ? `Paused by ${pipeline.name}` : 'Resuming...', paused ? '#f59e0b' : undefined);
+        }
+        const note = this.getPauseNote(entry);
+        this.setTransferStatus(data.id, note || 'Resuming...', note ? '#f59e0b' : undefined);
+    }
+
+    cancelActiveTransfer(id) {
+        const entry = this.activeTransfers.get(id);
+        if (!entry) return;
+
+        if (entry.peers) {
+            // Pipelines notice on their next step, tell their receivers and settle the send
+            entry.cancelled = true;
+            if (entry.queueId) this.cancelTransfer(entry.queueId);
+            entry.peers.forEach(pipeline => this.wakeSendPipeline(pipeline));
+            return;
+        }
+
+        const transfer = this.transfers.get(id);
+        if (!transfer) return;
+        const conn = this.connections.get(transfer.peerId)?.conn;
+        if (conn?.open) conn.send({ type: 'file-cancel', id });
+        this.cancelReceive(id, transfer, 'Cancelled');
+        this.showToast(`Cancelled: ${transfer.name}`, 'info');
+    }
+
+    handleFileCancel(peerId, data) {
+        // Still waiting on our answer: the offer is simply gone
+        this.openOffers.get(`${peerId}:file-${data.id}`)?.settle(false);
+
+        const transfer = this.transfers.get(data.id);
+        if (transfer && transfer.peerId === peerId) {
+            this.cancelReceive(data.id, transfer, 'Cancelled by sender');
+            this.showToast(`${transfer.senderName || 'The sender'} cancelled ${transfer.name}`, 'info');
+            return;
+        }
+
+        const pipeline = this.activeTransfers.get(data.id)?.peers?.get(peerId);
+        if (!pipeline) return;
+        pipeline.stopped = true;
+        this.wakeSendPipeline(pipeline);
+    }
+
+    cancelReceive(id, transfer, status) {
+        // Marked failed so no pending write lands after the sink is gone
+        transfer.failed = true;
+        this.transfers.delete(id);
+        this.activeTransfers.delete(id);
+        transfer.writeChain.then(() => transfer.sink?.discard());
+        if (transfer.key) this.forgetPartial(transfer.key);
+
+        this.setTransferStatus(id, status);
+        this.removeTransferControls(id);
+        this.stopMediaStream(id, status);
+        this.settleReceivedFolderFile(id, transfer, false);
+    }
+
+    addTransferControls(id) {
+        const item = document.getElementById(`transfer-${id}`);
+        if (!item || item.querySelector('.transfer-controls')) return;
+
+        const controls = document.createElement('div');
+        controls.className = 'transfer-controls';
+        controls.style.cssText = 'display: flex; gap: 0.25rem;';
+        controls.innerHTML = `
+            <button class="transfer-pause" title="Pause" style="background: var(--bg-main); border: none; padding: 0.3rem 0.45rem; border-radius: 8px; cursor: pointer; color: var(--text-primary); font-size: 0.8rem;">⏸️</button>
+            <button class="transfer-cancel" title="Cancel" style="background: var(--bg-main); border: none; padding: 0.3rem 0.45rem; border-radius: 8px; cursor: pointer; color: var(--danger); font-size: 0.8rem;">✕</button>
+        `;
+        controls.querySelector('.transfer-pause').onclick = () => this.toggleTransferPause(id);
+        controls.querySelector('.transfer-cancel').onclick = () => this.cancelActiveTransfer(id);
+
+        // Sits between the percentage column and the progress bar
+        const percent = document.getElementById(`percent-${id}`)?.parentElement;
+        item.insertBefore(controls, percent?.nextSibling || null);
+    }
+
+    updateTransferControls(id) {
+        const button = document.querySelector(`#transfer-${id} .transfer-pause`);
+        const entry = this.activeTransfers.get(id);
+        if (!button || !entry) return;
+        button.textContent = entry.pausedHere ? '▶️' : '⏸️';
+        button.title = entry.pausedHere ? 'Resume' : 'Pause';
+    }
+
+    removeTransferControls(id) {
+        document.querySelector(`#transfer-${id} .transfer-controls`)?.remove();
+    }
+
+    // ==================== RECEIVE SINKS ====================
+
+    async openReceiveSink(transfer) {
+        // Same session: the interrupted transfer's sink is still open
+        const suspended = transfer.key ? this.suspendedSinks.get(transfer.key) : null;
+        if (suspended && suspended.sink.size === transfer.size) {
+            this.suspendedSinks.delete(transfer.key);
+            transfer.sink = suspended.sink;
+            transfer.received = suspended.received;
+            return;
+        }
+
+        // After a reload: reopen whatever staging the partial was written to
+        const partial = transfer.key ? await this.loadPartial(transfer.key) : null;
+        if (partial && partial.name === transfer.name && partial.size === transfer.size) {
+            try {
+                const resumed = await this.reopenSink(partial);
+                if (resumed) {
+                    transfer.sink = resumed.sink;
+                    transfer.received = resumed.received;
+                    return;
+                }
+            } catch (err) {
+                console.error('Could not reopen partial transfer:', err);
+            }
+        }
+        if (partial) await this.discardPartial(partial);
+
+        transfer.sink = await this.createReceiveSink(transfer);
+        if (transfer.sink.streamed) {
+            // No read-back for browser-managed downloads; hash as bytes arrive
+            transfer.sink.hasher = this.createBlockHasher(transfer.blockSize);
+        }
+    }
+
+    async createReceiveSink(transfer) {
+        const attempts = [];
+        const folder = transfer.folderId ? this.folderGroups.get(transfer.folderId) : null;
+        if (folder) await folder.ready;
+
+        if (folder?.root) {
+            attempts.push(async () => {
+                const cut = transfer.path.lastIndexOf('/');
+                const parent = await this.getFolderDirectory(folder, transfer.path.slice(0, cut));
+                return this.createDirectorySink({ name: transfer.path.slice(cut + 1), size: transfer.size }, null, 0, parent);
+            });
+        } else if (!folder && this.saveDirectory && await this.hasDirectoryPermission(this.saveDirectory)) {
+            attempts.push(() => this.createDirectorySink(transfer));
+        }
+        if (navigator.storage?.getDirectory) attempts.push(() => this.createOpfsSink(transfer.key || this.generateId(), transfer.size));
+        // Folder files are read back for the zip, so they can't go straight to a download
+        if (!folder && navigator.serviceWorker?.controller) attempts.push(() => this.createStreamSink(transfer));
+        if (transfer.key && await this.openDatabase()) attempts.push(() => this.createIdbSink(transfer.key, transfer.size));
+
+        for (const attempt of attempts) {
+            try {
+                return await attempt();
+            } catch (err) {
+                console.error('Receive sink unavailable, trying the next one:', err);
+            }
+        }
+        return this.createMemorySink(transfer.size);
+    }
+
+    async reopenSink(partial) {
+        if (partial.sink === 'idb') {
+            return { sink: this.createIdbSink(partial.key, partial.size), received: partial.received };
+        }
+
+        if (partial.sink === 'opfs') {
+            const sink = await this.createOpfsSink(partial.key, partial.size);
+            return { sink, received: await sink.truncate(partial.received) };
+        }
+
+        if (partial.sink === 'directory' && partial.fileHandle) {
+            if (!await this.hasDirectoryPermission(partial.fileHandle)) return null;
+            // Uncommitted writes are lost on reload; the file on disk is the truth
+            const onDisk = (await partial.fileHandle.getFile()).size;
+            const received = Math.min(onDisk, partial.received);
+            const sink = await this.createDirectorySink({ name: partial.name, size: partial.size }, partial.fileHandle, received);
+            return { sink, received };
+        }
+
+        return null;
+    }
+
+    createMemorySink(size) {
+        let parts = new Map(); // start -> Blob; swarm pieces arrive out of order
+        return {
+            kind: 'memory',
+            size,
+            append: async (start, blob) => { parts.set(start, blob); },
+            read: async (start) => parts.get(start),
+            finish: async () => new Blob(Array.from(parts.keys()).sort((a, b) => a - b).map(start => parts.get(start))),
+            discard: () => { parts = new Map(); },
+            release: () => { parts = new Map(); }
+        };
+    }
+
+    createIdbSink(key, size) {
+        return {
+            kind: 'idb',
+            size,
+            append: (start, blob, meta) => this.savePartialChunk(key, start, blob, meta),
+            finish: async () => new Blob(await this.loadPartialChunks(key)),
+            discard: () => this.discardPartialChunks(key),
+            release: () => this.discardPartialChunks(key)
+        };
+    }
+
+    async createOpfsSink(key, size) {
+        // Staging as one OPFS file per batch: each write commits on close, so a reload loses at most one batch
+        const staging = await this.getStagingDirectory();
+        const dirName = await this.getStagingName(key);
+        const dir = await staging.getDirectoryHandle(dirName, { create: true });
+        const segmentName = (offset) => String(offset).padStart(16, '0');
+
+        const listSegments = async () => {
+            const segments = [];
+            for await (const [name, handle] of dir.entries()) segments.push({ offset: Number(name), handle });
+            return segments.sort((a, b) => a.offset - b.offset);
+        };
+
+        const removeStaging = () => staging.removeEntry(dirName, { recursive: true })
+            .catch(err => console.error('Failed to remove staged transfer:', err));
+
+        return {
+            kind: 'opfs',
+            size,
+            append: async (start, blob, meta) => {
+                const handle = await dir.getFileHandle(segmentName(start), { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+                if (meta) await this.savePartial(meta);
+            },
+            read: async (start) => (await dir.getFileHandle(segmentName(start))).getFile(),
+            // Drop segments past the recorded offset or after a gap; returns the usable length
+            truncate: async (received) => {
+                let end = 0;
+                for (const { offset, handle } of await listSegments()) {
+                    const file = await handle.getFile();
+                    if (offset === end && offset + file.size <= received) {
+                        end += file.size;
+                    } else {
+                        await dir.removeEntry(segmentName(offset));
+                    }
+                }
+                return end;
+            },
+            finish: async (upTo = Infinity) => {
+                const files = [];
+                for (const { offset, handle } of await listSegments()) {
+                    if (offset < upTo) files.push(await handle.getFile());
+                }
+                return new Blob(files);
+            },
+            discard: removeStaging,
+            // The download reads from these files after we hand it over; clean up later
+            release: () => setTimeout(removeStaging, this.stagingCleanupDelay)
+        };
+    }
+
+    async createDirectorySink(transfer, existingHandle = null, offset = 0, directory = this.saveDirectory) {
+        const fileHandle = existingHandle || await this.createUniqueFile(directory, transfer.name);
+        const writable = await fileHandle.createWritable({ keepExistingData: offset > 0 });
+        if (offset > 0) {
+            await writable.truncate(offset);
+            await writable.seek(offset);
+        }
+
+        let open = true;
+        const commit = async () => {
+            if (!open) return;
+            open = false;
+            await writable.close();
+        };
+
+        const sink = {
+            kind: 'directory',
+            size: transfer.size,
+            fileHandle,
+            append: async (start, blob, meta) => {
+                await writable.write({ type: 'write', position: start, data: blob });
+                if (meta) await this.savePartial(meta);
+            },
+            commit,
+            finish: async () => {
+                await commit();
+                return fileHandle.getFile();
+            },
+            rewrite: async (blob) => {
+                const replacement = await fileHandle.createWritable();
+                await blob.stream().pipeTo(replacement);
+            },
+            discard: async () => {
+                open = false;
+                await writable.abort().catch(() => {});
+                if (!existingHandle) await directory?.removeEntry(fileHandle.name).catch(() => {});
+            },
+            release: () => this.openDirectorySinks.delete(sink)
+        };
+        this.openDirectorySinks.add(sink);
+        return sink;
+    }
+
+    async createStreamSink(transfer) {
+        // The service worker answers a download request with a stream we feed from here,
+        // so the browser writes straight to disk. Not resumable across reloads.
+        const channel = new MessageChannel();
+        const port = channel.port1;
+        const downloadId = this.generateId();
+        let credits = 0;
+        let cancelled = false;
+        let wake = null;
+
+        const ready = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Service worker did not answer')), 3000);
+            port.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    clearTimeout(timer);
+                    resolve();
+                } else if (data.type === 'pull') {
+                    credits++;
+                } else if (data.type === 'cancel') {
+                    cancelled = true;
+                }
+                if (wake) wake();
+            };
+        });
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'velo-download',
+            id: downloadId,
+            name: transfer.name,
+            size: transfer.size
+        }, [channel.port2]);
+        await ready;
+
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+        frame.src = `/velo-download/${downloadId}`;
+        document.body.appendChild(frame);
+
+        return {
+            kind: 'stream',
+            size: transfer.size,
+            streamed: true,
+            append: async (start, blob) => {
+                const buffer = await blob.arrayBuffer();
+                while (credits === 0 && !cancelled) {
+                    await new Promise(resolve => { wake = resolve; });
+                }
+                if (cancelled) throw new Error('Download was cancelled in the browser');
+                credits--;
+                port.postMessage({ type: 'chunk', chunk: buffer }, [buffer]);
+            },
+            finish: async () => {
+                port.postMessage({ type: 'end' });
+                return null;
+            },
+            discard: () => port.postMessage({ type: 'abort' }),
+            release: () => setTimeout(() => frame.remove(), this.stagingCleanupDelay)
+        };
+    }
+
+    async createUniqueFile(directory, name) {
+        // Never overwrite: "report.pdf" becomes "report (1).pdf"
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+
+        for (let n = 0; ; n++) {
+            const candidate = n === 0 ? name : `${base} (${n})${ext}`;
+            try {
+                await directory.getFileHandle(candidate);
+            } catch (err) {
+                if (err.name === 'NotFoundError') return directory.getFileHandle(candidate, { create: true });
+                throw err;
+            }
+        }
+    }
+
+    async getStagingName(key) {
+        return this.digestBytes(new TextEncoder().encode(key));
+    }
+
+    async hasDirectoryPermission(handle) {
+        if (!handle?.queryPermission) return false;
+        return await handle.queryPermission({ mode: 'readwrite' }) === 'granted';
+    }
+
+    commitOpenSinks() {
+        // Best effort on unload: committed bytes survive a reload, the rest is lost
+        this.openDirectorySinks.forEach(sink => sink.commit());
+    }
+
+    async chooseSaveDirectory() {
+        if (!window.showDirectoryPicker) return;
+
+        try {
+            const directory = await window.showDirectoryPicker({ id: 'velo-downloads', mode: 'readwrite' });
+            this.saveDirectory = directory;
+            await this.saveSetting('saveDirectory', directory);
+            this.showToast(`Saving incoming files to "${directory.name}"`, 'success');
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                this.showToast('Could not open that folder', 'error');
+            } else if (this.saveDirectory && confirm(`Stop saving into "${this.saveDirectory.name}"?`)) {
+                this.saveDirectory = null;
+                await this.saveSetting('saveDirectory', null);
+                this.showToast('Incoming files will download normally', 'info');
+            }
+        }
+        this.updateSaveDirectoryButton();
+    }
+
+    async restoreSaveDirectory() {
+        const directory = await this.loadSetting('saveDirectory').catch(() => null);
+        if (directory) this.saveDirectory = directory;
+        this.updateSaveDirectoryButton();
+    }
+
+    async updateSaveDirectoryButton() {
+        const btn = document.getElementById('saveDirBtn');
+        if (!btn) return;
+        if (!window.showDirectoryPicker) {
+            btn.style.display = 'none';
+            return;
+        }
+
+        const granted = await this.hasDirectoryPermission(this.saveDirectory);
+        btn.style.color = granted ? 'var(--accent)' : 'var(--text-primary)';
+        if (!this.saveDirectory) {
+            btn.title = 'Save incoming files to a folder';
+        } else if (granted) {
+            btn.title = `Saving to "${this.saveDirectory.name}" (click to change)`;
+        } else {
+            // Permission lapses on reload; re-allowing needs a click
+            btn.title = `Click to re-allow saving to "${this.saveDirectory.name}"`;
+        }
+    }
+
+    async handleSaveDirectoryClick() {
+        if (this.saveDirectory && !await this.hasDirectoryPermission(this.saveDirectory)) {
+            const state = await this.saveDirectory.requestPermission({ mode: 'readwrite' }).catch(() => 'denied');
+            if (state === 'granted') {
+                this.showToast(`Saving incoming files to "${this.saveDirectory.name}"`, 'success');
+                this.updateSaveDirectoryButton();
+                return;
+            }
+        }
+        this.chooseSaveDirectory();
+    }
+
+    createBlockHasher(blockSize) {
+        const blocks = [];
+        let block = new Sha256();
+        let blockBytes = 0;
+
+        return {
+            update(parts) {
+                for (const part of parts) {
+                    let pos = 0;
+                    while (pos < part.length) {
+                        const take = Math.min(blockSize - blockBytes, part.length - pos);
+                        block.update(part.subarray(pos, pos + take));
+                        blockBytes += take;
+                        pos += take;
+                        if (blockBytes === blockSize) {
+                            blocks.push(block.digest());
+                            block = new Sha256();
+                            blockBytes = 0;
+                        }
+                    }
+                }
+            },
+            result() {
+                if (blockBytes > 0) {
+                    blocks.push(block.digest());
+                    blockBytes = 0;
+                }
+                return blocks;
+            }
+        };
+    }
+
+    // ==================== INTEGRITY VERIFICATION ====================
+
+    getFileManifest(file, key) {
+        if (!this.fileManifests.has(key)) {
+            const manifest = this.digestBlocks(file, this.hashBlockSize)
+                .then(({ blocks, digest }) => ({ blockSize: this.hashBlockSize, blocks, digest }))
+                .catch(err => {
+                    console.error('Failed to hash file:', err);
+                    this.fileManifests.delete(key); // The next send reads it again
+                    return null;
+                });
+            this.fileManifests.set(key, manifest);
+        }
+        return this.fileManifests.get(key);
+    }
+
+    async digestBlocks(blob, blockSize) {
+        const blocks = [];
+
+        for (let offset = 0; offset < blob.size; offset += blockSize) {
+            const bytes = new Uint8Array(await blob.slice(offset, offset + blockSize).arrayBuffer());
+            blocks.push(await this.digestBytes(bytes));
+        }
+
+        return { blocks, digest: await this.digestBlockList(blocks) };
+    }
+
+    digestBlockList(blocks) {
+        // The file digest covers the block digests, so no byte is hashed twice
+        return this.digestBytes(new TextEncoder().encode(blocks.join('')));
+    }
+
+    async digestHead(file) {
+        // Only the first block is read up front; the full manifest is hashed while streaming
+        try {
+            return await this.digestBytes(new Uint8Array(await file.slice(0, this.hashBlockSize).arrayBuffer()));
+        } catch (err) {
+            console.error('Failed to hash the start of the file:', err);
+            return null; // Sent without one, so the receiver won't resume it
         }
     }
 
-    // ==================== MULTI-PEER BROADCASTING ====================
+    isDigest(value) {
+        return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+    }
 
-    selectPeer(peerId) {
-        this.selectedPeers.add(peerId);
-        this.updatePeerList();
+    async digestBytes(bytes) {
+        // WebCrypto only exists in secure contexts; plain-HTTP LAN setups fall back to JS
+        if (window.crypto?.subtle) {
+            const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+            return Array.from(hash).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        return new Sha256().update(bytes).digest();
     }
 
-    deselectPeer(peerId) {
-        this.selectedPeers.delete(peerId);
-        this.updatePeerList();
+    async verifyBlob(blob, manifest) {
+        const { blocks } = await this.digestBlocks(blob, manifest.blockSize);
+        return this.compareManifest(blocks, manifest);
     }
 
-    togglePeerSelection(peerId) {
-        if (this.selectedPeers.has(peerId)) {
-            this.deselectPeer(peerId);
-        } else {
-            this.selectPeer(peerId);
+    async compareManifest(blocks, manifest) {
+        const badBlocks = [];
+        manifest.blocks.forEach((expected, index) => {
+            if (blocks[index] !== expected) badBlocks.push(index);
+        });
+        return { badBlocks, digestOk: await this.digestBlockList(blocks) === manifest.digest };
+    }
+
+    markTransferCorrupted(id, record) {
+        this.corruptTransfers.set(id, record);
+        this.settleReceivedFolderFile(id, record, false);
+
+        const count = record.badBlocks.length;
+        this.setTransferStatus(id, count ? `Corrupted (${count} block${count === 1 ? '' : 's'})` : 'Corrupted', 'var(--danger)');
+        this.showToast(`Integrity check failed: ${record.name}`, 'error');
+        this.playSound('error');
+
+        // Streamed downloads are already gone to the browser; there is nothing to patch
+        const card = document.getElementById(`transfer-${id}`);
+        if (!card || count === 0 || !record.blob || document.getElementById(`repair-${id}`)) return;
+
+        const repairBtn = document.createElement('button');
+        repairBtn.id = `repair-${id}`;
+        repairBtn.className = 'btn-ghost tight';
+        repairBtn.style.cssText = 'font-size: 0.75rem; padding: 0.3rem 0.6rem; color: var(--danger); border-color: var(--danger);';
+        repairBtn.textContent = 'Re-request';
+        repairBtn.title = 'Ask the sender for the damaged blocks again';
+        repairBtn.onclick = () => this.requestBadBlocks(id);
+        card.appendChild(repairBtn);
+    }
+
+    requestBadBlocks(id) {
+        const record = this.corruptTransfers.get(id);
+        if (!record) return;
+
+        const conn = this.connections.get(record.peerId)?.conn;
+        if (!conn?.open) {
+            this.showToast('Sender is no longer connected', 'error');
+            return;
         }
+
+        record.awaiting = new Set(record.badBlocks);
+        conn.send({ type: 'file-block-request', id, blocks: record.badBlocks });
+        this.setTransferStatus(id, 'Re-requesting...');
     }
 
-    selectAllPeers() {
-        this.connections.forEach((_, peerId) => this.selectedPeers.add(peerId));
-        this.broadcastMode = 'all';
-        this.updatePeerList();
+    rememberSentFile(id, file, key, peerIds) {
+        // Only the peers that accepted this transfer may pull blocks of it later
+        this.sentFiles.set(id, { file, key, peers: new Set(peerIds), timer: null });
     }
 
-    deselectAllPeers() {
-        this.selectedPeers.clear();
-        this.updatePeerList();
+    getSentFile(peerId, id) {
+        const sent = this.sentFiles.get(id);
+        return sent?.peers.has(peerId) ? sent : null;
     }
 
-    setBroadcastMode(mode) {
-        this.broadcastMode = mode; // 'all' or 'selected'
-        if (mode === 'all') {
-            this.selectAllPeers();
+    expireSentFile(id, outcomes) {
+        // Receivers that got the whole file may ask for repairs for a while; the rest are resent under a new id
+        const sent = this.sentFiles.get(id);
+        if (!sent) return;
+        const peerIds = Array.from(this.activeTransfers.get(id)?.peers?.keys() || []);
+        peerIds.forEach((peerId, i) => {
+            if (outcomes[i] !== 'complete') sent.peers.delete(peerId);
+        });
+        if (sent.peers.size === 0) {
+            this.releaseSentFile(id);
+            return;
         }
+        sent.timer = setTimeout(() => this.releaseSentFile(id), this.sentFileTimeout);
     }
 
-    getTargetConnections() {
-        if (this.broadcastMode === 'all' || this.selectedPeers.size === 0) {
-            return Array.from(this.connections.values());
+    releaseSentFile(id, peerId = null) {
+        const sent = this.sentFiles.get(id);
+        if (!sent) return;
+        if (peerId !== null) {
+            sent.peers.delete(peerId);
+            if (sent.peers.size > 0) return;
         }
-        return Array.from(this.connections.entries())
-            .filter(([peerId]) => this.selectedPeers.has(peerId))
-            .map(([, value]) => value);
+        clearTimeout(sent.timer);
+        this.sentFiles.delete(id);
+        if (![...this.sentFiles.values()].some(other => other.key === sent.key)) this.fileManifests.delete(sent.key);
     }
 
-    // ==================== ADAPTIVE CHUNK SIZING ====================
+    handleBlockRequest(peerId, data) {
+        if (!this.getSentFile(peerId, data.id) || !Array.isArray(data.blocks)) return;
+        this.sendRepair({ peerId, id: data.id, blocks: data.blocks });
+    }
 
-    calculateOptimalChunkSize() {
-        // Adjust chunk size based on measured speed
-        if (this.measuredSpeed > 50 * 1024 * 1024) { // > 50 MB/s
-            this.currentChunkSize = this.maxChunkSize; // 2MB
-        } else if (this.measuredSpeed > 20 * 1024 * 1024) { // > 20 MB/s
-            this.currentChunkSize = 1.5 * 1024 * 1024; // 1.5MB
-        } else if (this.measuredSpeed > 10 * 1024 * 1024) { // > 10 MB/s
-            this.currentChunkSize = 1024 * 1024; // 1MB
-        } else if (this.measuredSpeed > 5 * 1024 * 1024) { // > 5 MB/s
-            this.currentChunkSize = 768 * 1024; // 768KB
-        } else {
-            this.currentChunkSize = this.minChunkSize; // 256KB for slow connections
+    async sendRepair({ peerId, id, blocks }) {
+        const conn = this.connections.get(peerId)?.conn;
+        const sent = this.getSentFile(peerId, id);
+        if (!conn?.open || !sent) return;
+        const { file, key } = sent;
+
+        // Framed with the block index, so it can go out alongside other files' streams
+        const manifest = await this.getFileManifest(file, key);
+        const blockSize = manifest?.blockSize || this.hashBlockSize;
+
+        for (const index of blocks) {
+            const start = index * blockSize;
+            if (!Number.isInteger(index) || start < 0 || start >= file.size) continue;
+
+            const bytes = await new Blob([this.frameHeader(1, id, index), file.slice(start, start + blockSize)]).arrayBuffer();
+            await this.whenSendable(conn, this.maxChunkSize);
+            if (!conn.open) break;
+
+            conn.send(bytes);
         }
-        return this.currentChunkSize;
     }
 
-    // ==================== FILE TRANSFER (OPTIMIZED) ====================
-
-    sendFile(file, queueId = null) {
-        this.isSending = true; // Lock
-        const id = ++this.transferId;
-        const now = Date.now();
+    async receiveBlockRepair(peerId, id, index, bytes) {
+        const record = this.corruptTransfers.get(id);
+        if (!record || record.peerId !== peerId || !record.badBlocks.includes(index)) return;
+        record.awaiting?.delete(index);
 
-        // Get target connections based on broadcast mode
-        const targetConnections = this.getTargetConnections();
+        if (await this.digestBytes(bytes) === record.manifest.blocks[index]) {
+            record.patches.set(index, new Blob([bytes]));
+            record.badBlocks = record.badBlocks.filter(i => i !== index);
+        }
 
-        if (targetConnections.length === 0) {
-            this.showToast('No peers selected!', 'error');
-            this.isSending = false;
-            if (queueId) {
-                const item = this.queuedFiles.find(i => i.id === queueId);
-                if (item) item.status = 'pending';
+        if (record.badBlocks.length > 0) {
+            if (record.awaiting?.size > 0) {
+                this.setTransferStatus(id, `Repairing (${record.badBlocks.length} left)`);
+            } else {
+                this.markTransferCorrupted(id, record); // Arrived damaged again
             }
             return;
         }
 
-        // Calculate optimal chunk size based on current speed
-        const chunkSize = this.calculateOptimalChunkSize();
-
-        // Track this transfer
-        this.activeTransfers.set(id, {
-            size: file.size,
-            transferred: 0,
-            startTime: now,
-            lastUpdate: now,
-            lastBytes: 0,
-            lastUiProgress: 0,
-            lastUiUpdate: 0,
-            queueId: queueId,
-            chunkSize: chunkSize
+        // Splice the good blocks into the original download and check it end to end
+        const blockSize = record.manifest.blockSize;
+        const parts = [];
+        let pos = 0;
+        [...record.patches.keys()].sort((a, b) => a - b).forEach((patchIndex) => {
+            const start = patchIndex * blockSize;
+            const patch = record.patches.get(patchIndex);
+            parts.push(record.blob.slice(pos, start), patch);
+            pos = start + patch.size;
         });
+        parts.push(record.blob.slice(pos));
+        const blob = new Blob(parts);
 
-        this.addTransferToUI(id, file.name, file.size, 'send');
+        this.setTransferStatus(id, 'Verifying...');
+        const { badBlocks, digestOk } = await this.verifyBlob(blob, record.manifest);
+        if (badBlocks.length > 0 || !digestOk) {
+            this.markTransferCorrupted(id, { ...record, blob, badBlocks, patches: new Map() });
+            return;
+        }
 
-        // 1. Send Control Header to selected peers only
-        targetConnections.forEach(({ conn }) => {
-            conn.send({
-                type: 'file-start',
-                id,
-                name: file.name,
-                size: file.size
-            });
-        });
+        this.corruptTransfers.delete(id);
+        document.getElementById(`repair-${id}`)?.remove();
+        this.deliverReceivedFile(id, record, blob, record.startTime, true, true);
+    }
 
-        const reader = new FileReader();
-        let offset = 0;
-        let chunkStartTime = now;
+    // ==================== PROGRESSIVE PLAYBACK ====================
 
-        const sendNextChunk = () => {
-            // Check if cancelled
-            if (queueId) {
-                const queueItem = this.queuedFiles.find(i => i.id === queueId);
-                if (queueItem && queueItem.status === 'cancelled') {
-                    this.activeTransfers.delete(id);
-                    this.isSending = false;
-                    setTimeout(() => this.processTransferQueue(), 50);
-                    return;
-                }
-            }
+    getStreamableType(name) {
+        // Containers a media element can start on before the whole file is here
+        const types = { mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', mp3: 'audio/mpeg', m4a: 'audio/mp4' };
+        const mime = types[name.split('.').pop().toLowerCase()];
+        if (!mime) return null;
+        const probe = document.createElement(mime.startsWith('video/') ? 'video' : 'audio');
+        return probe.canPlayType(mime) ? mime : null;
+    }
+
+    addPlayButton(id, transfer) {
+        // Seeking asks the sender for byte ranges; senders without transfer keys predate that, and folders are left out
+        const mime = transfer.key && !transfer.folderId && navigator.serviceWorker?.controller && this.getStreamableType(transfer.name);
+        const controls = document.querySelector(`#transfer-${id} .transfer-controls`);
+        if (!mime || !controls) return;
+
+        const button = document.createElement('button');
+        button.className = 'transfer-play';
+        button.title = 'Play while receiving';
+        button.textContent = mime.startsWith('video/') ? '🎬' : '🎧';
+        button.style.cssText = 'background: var(--bg-main); border: none; padding: 0.3rem 0.45rem; border-radius: 8px; cursor: pointer; font-size: 0.8rem;';
+        button.onclick = () => this.openMediaPlayer(id, mime);
+        controls.prepend(button);
+    }
+
+    async openMediaPlayer(id, mime) {
+        const transfer = this.transfers.get(id);
+        if (!transfer) return;
+        if (this.mediaStreams.size) this.closeMediaPlayer([...this.mediaStreams.keys()][0]);
+
+        let stream;
+        try {
+            stream = await this.createMediaStream(id, transfer, mime);
+        } catch (err) {
+            this.showToast(`Playback is not available: ${err.message}`, 'error');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'mediaPlayerModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.92);
+            display: flex; flex-direction: column; align-items: center;
+            justify-content: center; gap: 1rem; z-index: 250; padding: 1rem;
+        `;
+        modal.innerHTML = `
+            <div id="mediaPlayerSlot" style="display: flex; justify-content: center; width: 100%; min-height: 0;"></div>
+            <div style="display: flex; align-items: center; gap: 1rem; color: white; max-width: 90vw;">
+                <span id="mediaPlayerName" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></span>
+                <span id="mediaPlayerStatus" style="color: rgba(255,255,255,0.6); font-size: 0.85rem; white-space: nowrap;">Playing while it arrives</span>
+                <button id="mediaPlayerClose" class="btn-ghost" style="color: white; border-color: rgba(255,255,255,0.4);">Close</button>
+            </div>
+        `;
+        modal.querySelector('#mediaPlayerName').textContent = transfer.name;
+
+        const media = document.createElement(mime.startsWith('video/') ? 'video' : 'audio');
+        media.controls = true;
+        media.autoplay = true;
+        media.playsInline = true;
+        media.style.cssText = mime.startsWith('video/') ? 'max-width: 90vw; max-height: 80vh; border-radius: 8px; background: black;' : 'width: min(480px, 90vw);';
+        media.onwaiting = () => this.setMediaStatus(id, 'Buffering...');
+        media.onplaying = () => this.setMediaStatus(id, stream.blob ? 'Fully received' : 'Playing while it arrives');
+        media.onerror = () => this.setMediaStatus(id, 'This file can only be played once it has fully arrived');
+        media.src = stream.url;
+        modal.querySelector('#mediaPlayerSlot').appendChild(media);
+
+        const onKey = (e) => { if (e.key === 'Escape') this.closeMediaPlayer(id); };
+        stream.modal = modal;
+        stream.media = media;
+        stream.onKey = onKey;
+        modal.querySelector('#mediaPlayerClose').onclick = () => this.closeMediaPlayer(id);
+        modal.onclick = (e) => { if (e.target === modal) this.closeMediaPlayer(id); };
+        document.addEventListener('keydown', onKey);
+        document.body.appendChild(modal);
+    }
+
+    async createMediaStream(id, transfer, mime) {
+        // Like the streamed download, but the service worker asks for byte ranges instead of taking a stream
+        const channel = new MessageChannel();
+        const mediaId = this.generateId();
+        const stream = {
+            id,
+            peerId: transfer.peerId,
+            size: transfer.size,
+            port: channel.port1,
+            url: `/velo-media/${mediaId}`,
+            buffer: new VeloMediaBuffer({ size: transfer.size, limit: this.mediaBufferLimit, blockSize: this.mediaRangeSize }),
+            requested: new Map(), // range index -> when it was asked for
+            blob: null,
+            failed: null
+        };
 
-            // Backpressure check with optimized threshold (4MB instead of 8MB)
-            let totalBuffered = 0;
-            for (const { conn } of targetConnections) {
-                if (conn.dataChannel) {
-                    totalBuffered += conn.dataChannel.bufferedAmount || 0;
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Service worker did not answer')), 3000);
+            stream.port.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    clearTimeout(timer);
+                    resolve();
+                } else if (data.type === 'read') {
+                    this.serveMediaRead(stream, data);
                 }
-            }
+            };
+            navigator.serviceWorker.controller.postMessage({ type: 'velo-media', id: mediaId, size: transfer.size, mime }, [channel.port2]);
+        });
 
-            // Dynamic backpressure threshold based on connection count
-            const bufferThreshold = Math.max(2, 4 / targetConnections.length) * 1024 * 1024;
+        // The transfer may have ended while the service worker answered
+        if (!this.transfers.has(id)) {
+            stream.port.postMessage({ type: 'close' });
+            throw new Error('The transfer has already ended');
+        }
+        this.mediaStreams.set(id, stream);
+        return stream;
+    }
 
-            if (totalBuffered > bufferThreshold) {
-                setTimeout(sendNextChunk, 5); // Faster retry (5ms instead of 10ms)
+    async serveMediaRead(stream, { readId, start, end }) {
+        const deadline = Date.now() + this.mediaReadTimeout;
+        while (!stream.failed && Date.now() < deadline) {
+            let bytes = null;
+            if (stream.blob) bytes = new Uint8Array(await stream.blob.slice(start, end).arrayBuffer());
+            else bytes = stream.buffer.read(start, end);
+            if (bytes) {
+                stream.port.postMessage({ type: 'data', readId, chunk: bytes.buffer }, [bytes.buffer]);
                 return;
             }
+            this.requestMediaRange(stream, start, end);
+            await stream.buffer.waitFor(start, Math.min(this.mediaRequestTimeout, deadline - Date.now()));
+        }
+        stream.port.postMessage({ type: 'error', readId });
+    }
 
-            // Use current adaptive chunk size
-            const currentChunk = this.activeTransfers.get(id)?.chunkSize || chunkSize;
-            const slice = file.slice(offset, offset + currentChunk);
-            reader.readAsArrayBuffer(slice);
-        };
+    requestMediaRange(stream, start, end) {
+        // Just ahead of a flowing transfer the bytes are on their way; asking would send them twice
+        const transfer = this.transfers.get(stream.id);
+        const entry = this.activeTransfers.get(stream.id);
+        const flowing = transfer && entry && !entry.pausedHere && !entry.pausedThere;
+        if (flowing && start >= transfer.received && start < transfer.received + this.mediaLookahead) return;
 
-        reader.onload = (e) => {
-            const chunk = e.target.result;
+        const conn = this.connections.get(stream.peerId)?.conn;
+        if (!conn?.open) return;
 
-            // 2. Send Raw Chunk to selected peers only
-            targetConnections.forEach(({ conn }) => {
-                conn.send(chunk);
-            });
+        const now = Date.now();
+        const blocks = stream.buffer.missingBlocks(start, Math.max(end, start + this.mediaPrefetch))
+            .filter(index => now - (stream.requested.get(index) || 0) >= this.mediaRequestTimeout);
+        if (blocks.length === 0) return;
 
-            offset += chunk.byteLength;
-            this.totalBytesTransferred += chunk.byteLength;
+        blocks.forEach(index => stream.requested.set(index, now));
+        conn.send({ type: 'file-range-request', id: stream.id, rangeSize: this.mediaRangeSize, blocks });
+        this.setMediaStatus(stream.id, 'Fetching from the sender...');
+    }
 
-            // Update measured speed for adaptive chunk sizing
-            const chunkElapsed = (Date.now() - chunkStartTime) / 1000;
-            if (chunkElapsed > 0) {
-                this.measuredSpeed = chunk.byteLength / chunkElapsed;
-                chunkStartTime = Date.now();
+    receiveMediaRange(peerId, id, index, bytes) {
+        const stream = this.mediaStreams.get(id);
+        if (!stream || stream.peerId !== peerId || !stream.requested.delete(index)) return;
+        stream.buffer.write(index * this.mediaRangeSize, bytes);
+    }
 
-                // Recalculate chunk size every few chunks
-                if (offset % (5 * 1024 * 1024) < chunk.byteLength) {
-                    const transfer = this.activeTransfers.get(id);
-                    if (transfer) {
-                        transfer.chunkSize = this.calculateOptimalChunkSize();
-                    }
-                }
-            }
+    handleRangeRequest(peerId, data) {
+        // Same check as a block re-request: only a peer that accepted this transfer gets ranges of it
+        const { rangeSize, blocks } = data;
+        if (!this.getSentFile(peerId, data.id) || !Array.isArray(blocks)) return;
+        if (!Number.isInteger(rangeSize) || rangeSize < 64 * 1024 || rangeSize > 4 * 1024 * 1024) return;
+        this.sendMediaRanges({ peerId, id: data.id, rangeSize, blocks: blocks.slice(0, 16) });
+    }
 
-            // UI Updates (Throttled more aggressively for speed)
-            const transfer = this.activeTransfers.get(id);
-            if (transfer) {
-                transfer.transferred = offset;
-                const progress = offset / file.size;
-                // Throttle more during fast transfers (3% or 300ms)
-                const throttlePercent = this.measuredSpeed > 10 * 1024 * 1024 ? 0.03 : 0.02;
-                const throttleTime = this.measuredSpeed > 10 * 1024 * 1024 ? 300 : 200;
+    async sendMediaRanges({ peerId, id, rangeSize, blocks }) {
+        const conn = this.connections.get(peerId)?.conn;
+        const file = this.getSentFile(peerId, id)?.file;
+        if (!conn?.open || !file) return;
 
-                if (progress - transfer.lastUiProgress > throttlePercent || Date.now() - transfer.lastUiUpdate > throttleTime) {
-                    this.updateTransferUI(id, progress);
-                    transfer.lastUiProgress = progress;
-                    transfer.lastUiUpdate = Date.now();
-                }
-            }
+        for (const index of blocks) {
+            const start = index * rangeSize;
+            if (!Number.isInteger(index) || start < 0 || start >= file.size) continue;
 
-            if (offset < file.size) {
-                // Use setImmediate pattern for faster chunk processing
-                if (typeof setImmediate !== 'undefined') {
-                    setImmediate(sendNextChunk);
-                } else {
-                    setTimeout(sendNextChunk, 0);
-                }
-            } else {
-                // 3. Send Control Footer
-                this.updateTransferUI(id, 1);
-                targetConnections.forEach(({ conn }) => {
-                    conn.send({ type: 'file-end', id });
-                });
+            const bytes = await new Blob([this.frameHeader(3, id, index), file.slice(start, start + rangeSize)]).arrayBuffer();
+            await this.whenSendable(conn, this.maxChunkSize);
+            if (!conn.open) break;
 
-                this.activeTransfers.delete(id);
-                this.completeTransferUI(id, file.size, now);
-                this.saveHistory({ name: file.name, size: file.size, peer: 'Peers' }, 'send');
-                this.showToast(`Sent: ${file.name}`, 'success');
+            conn.send(bytes);
+        }
+    }
 
-                // Update queue status
-                if (queueId) {
-                    const queueItem = this.queuedFiles.find(i => i.id === queueId);
-                    if (queueItem) queueItem.status = 'complete';
-                    this.updateQueueUI();
-                }
+    setMediaSource(id, blob) {
+        // Once the whole file is here, reads come from it and the sender is no longer asked
+        const stream = this.mediaStreams.get(id);
+        if (!stream || !blob) return;
+        stream.blob = blob;
+        stream.buffer.clear();
+        this.setMediaStatus(id, 'Fully received');
+    }
 
-                // Unlock and process next (faster - 50ms instead of 100ms)
-                this.isSending = false;
-                setTimeout(() => this.processTransferQueue(), 50);
-            }
-        };
+    stopMediaStream(id, reason) {
+        // Without the whole file there is nothing left to read from
+        const stream = this.mediaStreams.get(id);
+        if (!stream || stream.blob) return;
+        stream.failed = reason;
+        stream.buffer.clear();
+        this.setMediaStatus(id, `Stopped: ${reason}`);
+    }
 
-        sendNextChunk();
+    setMediaStatus(id, text) {
+        const status = this.mediaStreams.get(id)?.modal?.querySelector('#mediaPlayerStatus');
+        if (status) status.textContent = text;
     }
 
-    receiveFileStart(peerId, data) {
-        const now = Date.now();
+    closeMediaPlayer(id) {
+        const stream = this.mediaStreams.get(id);
+        if (!stream) return;
+        this.mediaStreams.delete(id);
+        stream.failed = stream.failed || 'Closed';
+        stream.buffer.clear();
+        stream.port.postMessage({ type: 'close' });
+
+        if (stream.media) {
+            stream.media.pause();
+            stream.media.removeAttribute('src');
+            stream.media.load();
+        }
+        stream.modal?.remove();
+        if (stream.onKey) document.removeEventListener('keydown', stream.onKey);
+    }
 
-        // Lock this peer to this file ID
-        const peerInfo = this.connections.get(peerId);
-        if (peerInfo) peerInfo.receivingId = data.id;
+    // ==================== PERSISTENCE ====================
 
-        this.transfers.set(data.id, {
-            name: data.name,
-            size: data.size,
-            chunks: [],
-            received: 0
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open('velo', 5);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('partials')) {
+                    db.createObjectStore('partials', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('partialChunks')) {
+                    const store = db.createObjectStore('partialChunks', { autoIncrement: true });
+                    store.createIndex('key', 'key');
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings');
+                }
+                if (!db.objectStoreNames.contains('history')) {
+                    const store = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('date', 'date');
+                }
+                if (!db.objectStoreNames.contains('queue')) {
+                    db.createObjectStore('queue', { autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('chat')) {
+                    db.createObjectStore('chat', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('IndexedDB unavailable:', request.error);
+                resolve(null);
+            };
         });
+        return this.dbPromise;
+    }
 
-        this.activeTransfers.set(data.id, {
-            size: data.size,
-            transferred: 0,
-            startTime: now,
-            lastUpdate: now,
-            lastBytes: 0
+    async runDbTransaction(storeNames, mode, work) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = work(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
         });
+    }
 
-        this.addTransferToUI(data.id, data.name, data.size, 'receive');
+    loadSetting(name) {
+        return this.runDbTransaction('settings', 'readonly', (tx) => tx.objectStore('settings').get(name));
     }
 
-    receiveFileChunkRaw(peerId, chunk) {
-        const peerInfo = this.connections.get(peerId);
-        if (!peerInfo || !peerInfo.receivingId) return; // Ignore stray binary data
+    saveSetting(name, value) {
+        return this.runDbTransaction('settings', 'readwrite', (tx) => {
+            tx.objectStore('settings').put(value, name);
+        });
+    }
 
-        const transferId = peerInfo.receivingId;
-        const transfer = this.transfers.get(transferId);
-        if (!transfer) return;
+    loadPartial(key) {
+        return this.runDbTransaction('partials', 'readonly', (tx) => tx.objectStore('partials').get(key))
+            .catch(() => null);
+    }
 
-        // PeerJS might give us Uint8Array or ArrayBuffer
-        const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    savePartial(meta) {
+        return this.runDbTransaction('partials', 'readwrite', (tx) => {
+            tx.objectStore('partials').put(meta);
+        });
+    }
 
-        transfer.chunks.push(data);
-        transfer.received += data.byteLength;
-        this.totalBytesTransferred += data.byteLength;
+    forgetSetting(name) {
+        return this.runDbTransaction('settings', 'readwrite', (tx) => {
+            tx.objectStore('settings').delete(name);
+        });
+    }
 
-        const activeTransfer = this.activeTransfers.get(transferId);
-        if (activeTransfer) {
-            activeTransfer.transferred = transfer.received;
+    forgetPartial(key) {
+        return this.runDbTransaction('partials', 'readwrite', (tx) => {
+            tx.objectStore('partials').delete(key);
+        }).catch(err => console.error('Failed to forget partial transfer:', err));
+    }
 
-            // Throttle UI on receiver too
-            const progress = transfer.received / transfer.size;
-            if (progress - (activeTransfer.lastUiProgress || 0) > 0.02 || Date.now() - activeTransfer.lastUiUpdate > 200) {
-                this.updateTransferUI(transferId, progress);
-                activeTransfer.lastUiProgress = progress;
-                activeTransfer.lastUiUpdate = Date.now();
-            }
-        }
+    savePartialChunk(key, start, blob, meta) {
+        // Chunk and offset commit together, so a reload never sees one without the other
+        return this.runDbTransaction(['partials', 'partialChunks'], 'readwrite', (tx) => {
+            tx.objectStore('partialChunks').add({ key, offset: start, blob });
+            if (meta) tx.objectStore('partials').put(meta);
+        });
     }
 
-    receiveFileEnd(peerId, data) {
-        const peerInfo = this.connections.get(peerId);
-        if (peerInfo) peerInfo.receivingId = null; // Unlock peer
+    async loadPartialChunks(key) {
+        const records = await this.runDbTransaction('partialChunks', 'readonly', (tx) =>
+            tx.objectStore('partialChunks').index('key').getAll(key)
+        ) || [];
+        return records.sort((a, b) => a.offset - b.offset).map(record => record.blob);
+    }
 
-        // Force 100% UI
-        this.updateTransferUI(data.id, 1);
+    discardPartialChunks(key) {
+        return this.runDbTransaction('partialChunks', 'readwrite', (tx) => {
+            const chunks = tx.objectStore('partialChunks');
+            chunks.index('key').openKeyCursor(IDBKeyRange.only(key)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                chunks.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        }).catch(err => console.error('Failed to discard partial transfer:', err));
+    }
 
-        const transfer = this.transfers.get(data.id);
-        const activeTransfer = this.activeTransfers.get(data.id);
-        if (!transfer) return;
+    async discardPartial(partial) {
+        await this.forgetPartial(partial.key);
+        if (partial.sink === 'idb') {
+            await this.discardPartialChunks(partial.key);
+        } else if (partial.sink === 'opfs') {
+            const staging = await this.getStagingDirectory();
+            const dirName = await this.getStagingName(partial.key);
+            await staging?.removeEntry(dirName, { recursive: true }).catch(() => {});
+        }
+        // Partial files in a user-chosen folder are left for the user to deal with
+    }
 
-        const startTime = activeTransfer?.startTime || Date.now();
+    async getStagingDirectory() {
+        if (!navigator.storage?.getDirectory) return null;
+        const root = await navigator.storage.getDirectory();
+        return root.getDirectoryHandle('velo-staging', { create: true });
+    }
 
-        // Combine chunks and download
-        const blob = new Blob(transfer.chunks);
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = transfer.name;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    async prunePartials() {
+        const partials = await this.runDbTransaction('partials', 'readonly', (tx) =>
+            tx.objectStore('partials').getAll()
+        ).catch(() => null) || [];
+        const cutoff = Date.now() - this.partialMaxAge;
+        const live = new Set();
+        const liveKeys = new Set();
+
+        for (const partial of partials) {
+            if (partial.updatedAt < cutoff) {
+                await this.discardPartial(partial);
+            } else if (partial.sink === 'opfs') {
+                live.add(await this.getStagingName(partial.key));
+            } else {
+                liveKeys.add(partial.key);
+            }
+        }
 
-        this.transfers.delete(data.id);
-        this.activeTransfers.delete(data.id);
-        this.completeTransferUI(data.id, transfer.size, startTime);
-        this.saveHistory({ name: transfer.name, size: transfer.size, peer: peerId }, 'receive');
-        this.showToast(`Received: ${transfer.name}`, 'success');
+        // Chunks left behind by downloads that finished or were abandoned
+        const chunkKeys = [];
+        await this.runDbTransaction('partialChunks', 'readonly', (tx) => {
+            tx.objectStore('partialChunks').index('key').openKeyCursor(null, 'nextunique').onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                chunkKeys.push(cursor.key);
+                cursor.continue();
+            };
+        }).catch(() => null);
+        for (const key of chunkKeys) {
+            if (!liveKeys.has(key)) await this.discardPartialChunks(key);
+        }
+
+        // Staged downloads from a previous session that nothing points at any more
+        try {
+            const staging = await this.getStagingDirectory();
+            if (!staging) return;
+            const orphans = [];
+            for await (const name of staging.keys()) {
+                if (!live.has(name)) orphans.push(name);
+            }
+            for (const name of orphans) await staging.removeEntry(name, { recursive: true });
+        } catch (err) {
+            console.error('Failed to clean staged transfers:', err);
+        }
     }
 
     // ==================== TRANSFER UI ====================
 
-    addTransferToUI(id, name, size, direction) {
+    addTransferToUI(id, name, size, direction, folderId = null) {
         const item = document.createElement('div');
         item.className = 'file-card-modern';
         item.id = `transfer-${id}`;
@@ -1037,7 +5319,7 @@ class VeloApp {
         const iconSvg = this.getFileIcon(name);
 
         item.innerHTML = `
-            <div style="color: ${iconColor}; background: rgba(255,255,255,0.05); padding: 0.5rem; border-radius: 8px;">${iconSvg}</div>
+            <div class="transfer-icon" style="color: ${iconColor}; background: rgba(255,255,255,0.05); padding: 0.5rem; border-radius: 8px;">${iconSvg}</div>
             <div style="flex: 1; min-width: 0;">
                 <div style="font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${name}</div>
                 <div style="font-size: 0.8rem; color: var(--text-muted); display: flex; gap: 0.5rem;">
@@ -1052,9 +5334,130 @@ class VeloApp {
             <div class="progress-bg" id="progress-${id}" style="width: 0%;"></div>
         `;
 
+        // Files of a folder go inside its card
+        const container = (folderId && document.getElementById(`folder-files-${folderId}`)) || this.transferQueue;
+        container.insertBefore(item, container.firstChild);
+    }
+
+    addPeerRowsToUI(id, peers) {
+        const item = document.getElementById(`transfer-${id}`);
+        if (!item) return;
+        item.style.flexWrap = 'wrap';
+
+        const list = document.createElement('div');
+        list.style.cssText = 'width: 100%; display: grid; gap: 0.35rem; font-size: 0.75rem;';
+        peers.forEach(({ rowId, name }) => {
+            const row = document.createElement('div');
+            row.innerHTML = `
+                <div style="display: flex; justify-content: space-between; gap: 0.75rem; color: var(--text-muted);">
+                    <span class="peer-row-name" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></span>
+                    <span style="display: flex; gap: 0.5rem; white-space: nowrap;">
+                        <span id="speed-${rowId}" style="color: var(--primary);"></span>
+                        <span id="eta-${rowId}">--</span>
+                        <span id="percent-${rowId}" style="font-weight: bold; color: var(--text-primary);">0%</span>
+                    </span>
+                </div>
+                <div style="height: 3px; background: rgba(255,255,255,0.05); border-radius: 2px; overflow: hidden;">
+                    <div id="progress-${rowId}" style="height: 100%; width: 0%; background: var(--primary);"></div>
+                </div>
+            `;
+            row.querySelector('.peer-row-name').textContent = name; // Chosen by the peer
+            list.appendChild(row);
+        });
+
+        item.insertBefore(list, item.querySelector('.progress-bg'));
+    }
+
+    addFolderToUI(group) {
+        const id = group.id;
+        const item = document.createElement('div');
+        item.className = 'file-card-modern';
+        item.id = `transfer-folder-${id}`;
+        item.style.flexWrap = 'wrap';
+
+        const iconColor = group.direction === 'receive' ? 'var(--accent)' : 'var(--primary)';
+
+        item.innerHTML = `
+            <div style="color: ${iconColor}; background: rgba(255,255,255,0.05); padding: 0.5rem; border-radius: 8px;">${this.getFolderIcon()}</div>
+            <div style="flex: 1; min-width: 0;">
+                <div class="folder-name" style="font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                <div style="font-size: 0.8rem; color: var(--text-muted); display: flex; gap: 0.5rem;">
+                    <span id="folder-count-${id}">0 / ${group.files.length} files</span>
+                    <span>${this.formatBytes(group.size)}</span>
+                </div>
+            </div>
+            <div style="text-align: right;">
+                <div id="percent-folder-${id}" style="font-weight: bold;">0%</div>
+                <div id="eta-folder-${id}" style="font-size: 0.7rem; color: var(--text-muted);">--</div>
+            </div>
+            <button id="folder-toggle-${id}" class="btn-ghost tight" style="font-size: 0.75rem; padding: 0.3rem 0.6rem;" title="Show folders and files">▸</button>
+            <div id="folder-body-${id}" style="display: none; width: 100%; flex-direction: column; gap: 0.5rem;">
+                <div id="folder-dirs-${id}" style="display: grid; gap: 0.2rem; font-size: 0.75rem; color: var(--text-muted);"></div>
+                <div id="folder-files-${id}" style="display: flex; flex-direction: column; gap: 0.5rem;"></div>
+            </div>
+            <div class="progress-bg" id="progress-folder-${id}" style="width: 0%;"></div>
+        `;
+        item.querySelector('.folder-name').textContent = `${group.name}/`; // Named by the peer
+
+        const toggle = item.querySelector(`#folder-toggle-${id}`);
+        const body = item.querySelector(`#folder-body-${id}`);
+        toggle.onclick = () => {
+            const open = body.style.display === 'none';
+            body.style.display = open ? 'flex' : 'none';
+            toggle.textContent = open ? '▾' : '▸';
+            if (open) this.renderFolderDirs(group);
+        };
+
         this.transferQueue.insertBefore(item, this.transferQueue.firstChild);
     }
 
+    updateFolderUI(group) {
+        // Finished files plus whatever the folder's active files have moved so far
+        let bytes = group.doneBytes;
+        this.activeTransfers.forEach((transfer) => {
+            if (transfer.folderId === group.id) bytes += transfer.transferred;
+        });
+
+        this.updateTransferUI(`folder-${group.id}`, group.size > 0 ? Math.min(1, bytes / group.size) : 0);
+        const count = document.getElementById(`folder-count-${group.id}`);
+        if (count) count.textContent = `${group.doneFiles} / ${group.files.length} files`;
+
+        const body = document.getElementById(`folder-body-${group.id}`);
+        if (body && body.style.display !== 'none') this.renderFolderDirs(group);
+    }
+
+    renderFolderDirs(group) {
+        const list = document.getElementById(`folder-dirs-${group.id}`);
+        if (!list) return;
+
+        // Per-directory totals cover the whole subtree; empty directories show as such
+        list.innerHTML = '';
+        Array.from(group.dirTotals.keys()).sort().forEach((dir) => {
+            const totals = group.dirTotals.get(dir);
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between; gap: 0.75rem;';
+
+            const name = document.createElement('span');
+            name.style.cssText = 'white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+            name.textContent = `${dir}/`;
+
+            const progress = document.createElement('span');
+            progress.style.whiteSpace = 'nowrap';
+            progress.textContent = totals.files === 0
+                ? 'empty'
+                : `${totals.doneFiles}/${totals.files} files · ${this.formatBytes(totals.doneSize)} of ${this.formatBytes(totals.size)}`;
+
+            row.append(name, progress);
+            list.appendChild(row);
+        });
+    }
+
+    completeFolderUI(group, problems, label) {
+        this.updateFolderUI(group);
+        this.completeTransferUI(`folder-${group.id}`, group.size, 0);
+        if (problems > 0) this.setTransferStatus(`folder-${group.id}`, `${problems} ${label}`, 'var(--danger)');
+    }
+
     updateTransferUI(id, progress) {
         const bar = document.getElementById(`progress-${id}`);
         const percent = document.getElementById(`percent-${id}`);
@@ -1062,7 +5465,8 @@ class VeloApp {
         if (percent) percent.textContent = `${Math.round(progress * 100)}%`;
     }
 
-    completeTransferUI(id, size, startTime) {
+    completeTransferUI(id, size, startTime, celebrate = true) {
+        this.removeTransferControls(id);
         const bar = document.getElementById(`progress-${id}`);
         const percent = document.getElementById(`percent-${id}`);
         const eta = document.getElementById(`eta-${id}`);
@@ -1071,13 +5475,273 @@ class VeloApp {
         if (percent) { percent.textContent = '✓'; percent.style.color = 'var(--accent)'; }
         if (eta) eta.textContent = 'Complete';
 
-        this.triggerConfetti();
+        // Files inside a folder stay quiet; the folder celebrates once
+        if (celebrate) this.triggerConfetti();
+    }
+
+    setTransferStatus(id, text, color = 'var(--text-muted)') {
+        const eta = document.getElementById(`eta-${id}`);
+        const speed = document.getElementById(`speed-${id}`);
+        if (eta) {
+            eta.textContent = text;
+            eta.style.color = color;
+        }
+        if (speed) speed.textContent = '';
+    }
+
+    // ==================== MEDIA PREVIEWS ====================
+
+    async createThumbnail(file) {
+        if (this.thumbnails.has(file)) return this.thumbnails.get(file);
+
+        const type = file.type || '';
+        const isPdf = type === 'application/pdf' || /\.pdf$/i.test(file.name);
+        let load = null;
+        if (type.startsWith('image/') && file.size <= this.thumbnailSourceLimit) load = this.loadImagePreview(file);
+        else if (type.startsWith('video/')) load = this.loadVideoPreview(file);
+        else if (isPdf && file.size <= this.thumbnailSourceLimit) load = this.loadPdfPreview(file);
+
+        let thumbnail = null;
+        if (load) {
+            // A file the browser can't decode, or a slow one, just goes without a preview
+            const timeout = new Promise(resolve => setTimeout(() => resolve(null), this.thumbnailTimeout));
+            const source = await Promise.race([load.catch(() => null), timeout]);
+            if (source) {
+                thumbnail = this.drawThumbnail(source);
+                source.release();
+            } else {
+                load.then(late => late?.release(), () => {});
+            }
+        }
+        this.thumbnails.set(file, thumbnail);
+        return thumbnail;
+    }
+
+    async loadImagePreview(file) {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.src = url;
+        try {
+            await img.decode();
+        } catch (err) {
+            URL.revokeObjectURL(url);
+            throw err;
+        }
+        return { image: img, width: img.naturalWidth, height: img.naturalHeight, release: () => URL.revokeObjectURL(url) };
+    }
+
+    loadVideoPreview(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            const release = () => {
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+            };
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            // loadeddata: the first frame is ready to draw
+            video.onloadeddata = () => resolve({ image: video, width: video.videoWidth, height: video.videoHeight, release });
+            video.onerror = () => {
+                release();
+                reject(new Error('Video cannot be decoded'));
+            };
+            video.src = url;
+        });
+    }
+
+    async loadPdfPreview(file) {
+        const pdfjsLib = await this.loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        try {
+            const page = await pdf.getPage(1);
+            const base = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: this.thumbnailSize / Math.max(base.width, base.height) });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            return { image: canvas, width: canvas.width, height: canvas.height, release: () => pdf.destroy() };
+        } catch (err) {
+            pdf.destroy();
+            throw err;
+        }
+    }
+
+    loadPdfJs() {
+        // Only fetched the first time someone sends a PDF
+        if (!this.pdfJs) {
+            const base = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174';
+            this.pdfJs = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${base}/pdf.min.js`;
+                script.onload = () => {
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = `${base}/pdf.worker.min.js`;
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = () => {
+                    this.pdfJs = null; // Try again next time, e.g. once back online
+                    reject(new Error('PDF renderer unavailable'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.pdfJs;
+    }
+
+    drawThumbnail({ image, width, height }) {
+        if (!width || !height) return null;
+        const scale = Math.min(1, this.thumbnailSize / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff'; // JPEG has no alpha; transparent images and PDFs sit on white
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.7);
+        return this.isThumbnail(dataUrl) ? dataUrl : null;
+    }
+
+    isThumbnail(value) {
+        // Only inline raster images: they load no resources and run no script
+        return typeof value === 'string' && value.length <= this.thumbnailMaxLength &&
+            /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/.test(value);
+    }
+
+    takeOfferThumbnail(peerId, id) {
+        const key = `${peerId}:${id}`;
+        const thumbnail = this.offerThumbnails.get(key) || null;
+        this.offerThumbnails.delete(key);
+        return thumbnail;
+    }
+
+    showThumbnail(container, src) {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = '';
+        img.style.cssText = 'width: 48px; height: 48px; object-fit: cover; border-radius: 6px; display: block;';
+        container.innerHTML = '';
+        container.style.padding = '0';
+        container.appendChild(img);
+        return img;
+    }
+
+    setTransferThumbnail(id, thumbnail) {
+        const icon = document.querySelector(`#transfer-${id} .transfer-icon`);
+        if (icon && thumbnail) this.showThumbnail(icon, thumbnail);
+    }
+
+    getImageType(name, blob) {
+        if (blob.type.startsWith('image/')) return blob.type;
+        const types = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', bmp: 'image/bmp', svg: 'image/svg+xml' };
+        return types[name.split('.').pop().toLowerCase()] || null;
+    }
+
+    addToGallery(id, name, blob) {
+        // Typed so SVGs display; an <img> never runs their scripts
+        const url = URL.createObjectURL(new Blob([blob], { type: this.getImageType(name, blob) }));
+        this.gallery.push({ id, name, url });
+        if (this.gallery.length > this.galleryLimit) URL.revokeObjectURL(this.gallery.shift().url);
+
+        const icon = document.querySelector(`#transfer-${id} .transfer-icon`);
+        if (!icon) return;
+        const img = this.showThumbnail(icon, url);
+        img.style.cursor = 'zoom-in';
+        img.title = 'View';
+        img.onclick = () => this.openLightbox(id);
+    }
+
+    openLightbox(id) {
+        let index = this.gallery.findIndex(item => item.id === id);
+        if (index < 0) {
+            this.showToast('This image is no longer in memory', 'info');
+            return;
+        }
+
+        const existingModal = document.getElementById('lightboxModal');
+        if (existingModal) existingModal.remove();
+
+        const navStyle = 'background: rgba(255,255,255,0.1); border: none; color: white; font-size: 1.75rem; width: 48px; height: 48px; border-radius: 50%; cursor: pointer; flex-shrink: 0;';
+        const modal = document.createElement('div');
+        modal.id = 'lightboxModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.92);
+            display: flex; flex-direction: column; align-items: center;
+            justify-content: center; gap: 1rem; z-index: 250; padding: 1rem;
+        `;
+        modal.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 1rem; width: 100%; justify-content: center; min-height: 0; flex: 1;">
+                <button id="lightboxPrev" title="Previous" style="${navStyle}">‹</button>
+                <img id="lightboxImage" alt="" style="max-width: calc(100vw - 10rem); max-height: 80vh; object-fit: contain; border-radius: 8px;">
+                <button id="lightboxNext" title="Next" style="${navStyle}">›</button>
+            </div>
+            <div style="display: flex; align-items: center; gap: 1rem; color: white; max-width: 90vw;">
+                <span id="lightboxCaption" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></span>
+                <span id="lightboxCount" style="color: rgba(255,255,255,0.6); font-size: 0.85rem; white-space: nowrap;"></span>
+                <button id="lightboxDownload" class="btn-ghost" style="color: white; border-color: rgba(255,255,255,0.4);">Download</button>
+                <button id="lightboxClose" class="btn-ghost" style="color: white; border-color: rgba(255,255,255,0.4);">Close</button>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const show = () => {
+            const item = this.gallery[index];
+            modal.querySelector('#lightboxImage').src = item.url;
+            modal.querySelector('#lightboxCaption').textContent = item.name;
+            modal.querySelector('#lightboxCount').textContent = `${index + 1} / ${this.gallery.length}`;
+            modal.querySelector('#lightboxPrev').style.visibility = index > 0 ? 'visible' : 'hidden';
+            modal.querySelector('#lightboxNext').style.visibility = index < this.gallery.length - 1 ? 'visible' : 'hidden';
+        };
+        const step = (delta) => {
+            index = Math.max(0, Math.min(this.gallery.length - 1, index + delta));
+            show();
+        };
+        const close = () => {
+            modal.remove();
+            document.removeEventListener('keydown', onKey);
+        };
+        const onKey = (e) => {
+            if (e.key === 'ArrowLeft') step(-1);
+            else if (e.key === 'ArrowRight') step(1);
+            else if (e.key === 'Escape') close();
+        };
+
+        modal.querySelector('#lightboxPrev').onclick = () => step(-1);
+        modal.querySelector('#lightboxNext').onclick = () => step(1);
+        modal.querySelector('#lightboxDownload').onclick = () => {
+            const item = this.gallery[index];
+            const a = document.createElement('a');
+            a.href = item.url;
+            a.download = item.name;
+            a.click();
+        };
+        modal.querySelector('#lightboxClose').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal || e.target === modal.firstElementChild) close(); };
+        document.addEventListener('keydown', onKey);
+        show();
     }
 
 
 
     // ==================== FORMATTERS ====================
 
+    generateId() {
+        // 128 random bits as hex: folder ids, staging names, stream ids, chat and clipboard entries
+        if (window.crypto && crypto.getRandomValues) {
+            const bytes = new Uint8Array(16);
+            crypto.getRandomValues(bytes);
+            return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // Fallback (non-crypto RNG)
+        return Math.random().toString(16).slice(2) + Math.random().toString(16).slice(2);
+    }
+
     formatBytes(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -1105,6 +5769,10 @@ class VeloApp {
         return `${mins}m ${secs}s`;
     }
 
+    getFolderIcon() {
+        return '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>';
+    }
+
     getFileIcon(filename) {
         const ext = filename.split('.').pop().toLowerCase();
 
@@ -1193,7 +5861,13 @@ class VeloApp {
 
         // 3. Load History & Profile
         this.loadHistory();
+        this.loadSavedQueue();
+        this.initChat();
+        this.initClipboardSync();
         this.loadProfile();
+        this.prunePartials();
+        this.restoreSaveDirectory();
+        window.addEventListener('pagehide', () => this.commitOpenSinks());
 
         // 4. Keyboard Shortcuts
         document.addEventListener('keydown', (e) => {
@@ -1241,6 +5915,39 @@ class VeloApp {
         if (clearQueueBtn) {
             clearQueueBtn.addEventListener('click', () => this.clearQueue());
         }
+
+        const saveDirBtn = document.getElementById('saveDirBtn');
+        if (saveDirBtn) {
+            saveDirBtn.addEventListener('click', () => this.handleSaveDirectoryClick());
+        }
+
+        const concurrencyBtn = document.getElementById('concurrencyBtn');
+        if (concurrencyBtn) {
+            concurrencyBtn.addEventListener('click', () => this.setConcurrency(this.maxConcurrentSends % 4 + 1));
+            this.updateConcurrencyButton();
+        }
+
+        const swarmBtn = document.getElementById('swarmBtn');
+        if (swarmBtn) {
+            swarmBtn.addEventListener('click', () => this.toggleSwarmMode());
+            this.updateSwarmButton();
+        }
+
+        const bundleBtn = document.getElementById('bundleBtn');
+        if (bundleBtn) {
+            bundleBtn.addEventListener('click', () => this.toggleBundleFiles());
+            this.updateBundleButton();
+        }
+
+        const settingsBtn = document.getElementById('settingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.showSettingsModal());
+        }
+
+        const historyBtn = document.getElementById('historyBtn');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => this.showHistoryModal());
+        }
     }
 
     playSound(type) {
@@ -1285,56 +5992,554 @@ class VeloApp {
         }
     }
 
-    showQrCode() {
-        const modal = document.getElementById('qrModal');
-        const container = document.getElementById('qrCodeContainer');
-        const closeBtn = document.getElementById('closeQrModal');
+    showQrCode() {
+        const modal = document.getElementById('qrModal');
+        const container = document.getElementById('qrCodeContainer');
+        const closeBtn = document.getElementById('closeQrModal');
+
+        container.innerHTML = ''; // Clear previous
+
+        // Generate QR
+        if (window.QRCode) {
+            new QRCode(container, {
+                // Rooms only exist on the server that made them, so self-hosted QR codes point back to it
+                text: this.signalingConfig.signaling === 'server'
+                    ? `${window.location.origin}${window.location.pathname}?join=${this.shareCode || ''}`
+                    : `https://velo-share.netlify.app/app.html?join=${this.shareCode || ''}`,
+                width: 200,
+                height: 200,
+                colorDark: "#000000",
+                colorLight: "#ffffff",
+                correctLevel: QRCode.CorrectLevel.H
+            });
+            modal.style.display = 'flex';
+        } else {
+            console.error('QRCode library not loaded');
+        }
+
+        const close = () => modal.style.display = 'none';
+        closeBtn.onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+    }
+
+    triggerConfetti() {
+        this.showToast('🎉 Transfer Complete!', 'success');
+        this.playSound('complete');
+    }
+
+    // ==================== TRANSFER HISTORY ====================
+
+    async saveHistory(transfer, direction) {
+        const historyItem = {
+            name: transfer.name,
+            size: transfer.size,
+            date: Date.now(),
+            direction: direction,
+            peer: transfer.peer
+        };
+
+        try {
+            await this.runDbTransaction('history', 'readwrite', (tx) => {
+                tx.objectStore('history').add(historyItem);
+            });
+            await this.pruneHistory();
+        } catch (err) {
+            console.error('Failed to save history:', err);
+        }
+        if (document.getElementById('historyModal')) this.renderHistory();
+    }
+
+    async loadHistory() {
+        // Entries from before history moved to IndexedDB come across once
+        const legacy = JSON.parse(localStorage.getItem('velo_history') || '[]');
+        if (legacy.length === 0 || !await this.openDatabase()) return;
+        try {
+            await this.runDbTransaction('history', 'readwrite', (tx) => {
+                const store = tx.objectStore('history');
+                legacy.forEach(({ name, size, date, direction, peer }) => store.add({ name, size, date, direction, peer }));
+            });
+            localStorage.removeItem('velo_history');
+        } catch (err) {
+            console.error('Failed to migrate history:', err);
+        }
+    }
+
+    async getHistory() {
+        const entries = await this.runDbTransaction('history', 'readonly', (tx) =>
+            tx.objectStore('history').getAll()
+        ).catch(() => null) || [];
+        return entries.sort((a, b) => b.date - a.date);
+    }
+
+    pruneHistory() {
+        if (!this.historyLimit) return Promise.resolve();
+
+        // Walk newest to oldest and drop whatever is past the limit
+        let kept = 0;
+        return this.runDbTransaction('history', 'readwrite', (tx) => {
+            tx.objectStore('history').index('date').openCursor(null, 'prev').onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (++kept > this.historyLimit) cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    setHistoryLimit(limit) {
+        this.historyLimit = limit;
+        localStorage.setItem('velo_history_limit', String(limit));
+        this.pruneHistory()
+            .then(() => this.renderHistory())
+            .catch(err => console.error('Failed to prune history:', err));
+    }
+
+    clearHistory() {
+        if (!confirm('Delete all transfer history?')) return;
+        this.runDbTransaction('history', 'readwrite', (tx) => {
+            tx.objectStore('history').clear();
+        })
+            .then(() => this.renderHistory())
+            .catch(err => console.error('Failed to clear history:', err));
+    }
+
+    filterHistory(entries, { query = '', direction = 'all', range = 'all' } = {}) {
+        const needle = query.trim().toLowerCase();
+        const day = 24 * 60 * 60 * 1000;
+        const since = {
+            today: new Date().setHours(0, 0, 0, 0),
+            week: Date.now() - 7 * day,
+            month: Date.now() - 30 * day
+        }[range] || 0;
+
+        return entries.filter(entry =>
+            (direction === 'all' || entry.direction === direction) &&
+            entry.date >= since &&
+            (!needle || String(entry.name).toLowerCase().includes(needle) || String(entry.peer || '').toLowerCase().includes(needle))
+        );
+    }
+
+    showHistoryModal() {
+        const existingModal = document.getElementById('historyModal');
+        if (existingModal) existingModal.remove();
+
+        const inputStyle = 'background: var(--bg-main); border: 1px solid var(--border-light); color: var(--text-primary); padding: 0.55rem 0.75rem; border-radius: 10px; font-size: 0.85rem;';
+        const modal = document.createElement('div');
+        modal.id = 'historyModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.8);
+            backdrop-filter: blur(8px); display: flex; align-items: center;
+            justify-content: center; z-index: 200;
+        `;
+        modal.innerHTML = `
+            <div style="background: var(--bg-surface); border-radius: 24px; padding: 2rem;
+                        max-width: 720px; width: 90%; max-height: 85vh; display: flex; flex-direction: column; border: 1px solid var(--border-light);">
+                <h2 style="margin-bottom: 1rem;">Transfer History</h2>
+
+                <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.75rem;">
+                    <input id="historySearch" type="search" placeholder="Search files or peers" style="${inputStyle} flex: 1; min-width: 180px;">
+                    <select id="historyDirection" style="${inputStyle}">
+                        <option value="all">Sent & received</option>
+                        <option value="send">Sent</option>
+                        <option value="receive">Received</option>
+                    </select>
+                    <select id="historyRange" style="${inputStyle}">
+                        <option value="all">Any time</option>
+                        <option value="today">Today</option>
+                        <option value="week">Last 7 days</option>
+                        <option value="month">Last 30 days</option>
+                    </select>
+                </div>
+
+                <div id="historyTotals" style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 0.75rem;"></div>
+                <div id="historyList" style="flex: 1; overflow-y: auto; display: flex; flex-direction: column; gap: 0.5rem; min-height: 120px; margin-bottom: 1rem;"></div>
+
+                <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 0.75rem;">
+                    <button id="exportHistoryJson" class="btn-ghost" style="flex: 1;">Export JSON</button>
+                    <button id="exportHistoryCsv" class="btn-ghost" style="flex: 1;">Export CSV</button>
+                    <button id="clearHistoryBtn" class="btn-ghost" style="flex: 1; color: var(--danger);">Clear</button>
+                </div>
+                <div style="display: flex; gap: 0.5rem; align-items: center; justify-content: space-between;">
+                    <label style="color: var(--text-muted); font-size: 0.8rem; display: flex; gap: 0.5rem; align-items: center;">
+                        Keep
+                        <select id="historyLimit" style="${inputStyle}">
+                            <option value="100">100 entries</option>
+                            <option value="500">500 entries</option>
+                            <option value="2000">2000 entries</option>
+                            <option value="0">Everything</option>
+                        </select>
+                    </label>
+                    <button id="closeHistoryModal" class="btn-ghost">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        const limitSelect = modal.querySelector('#historyLimit');
+        if (!Array.from(limitSelect.options).some(option => Number(option.value) === this.historyLimit)) {
+            limitSelect.add(new Option(`${this.historyLimit} entries`, String(this.historyLimit)));
+        }
+        limitSelect.value = String(this.historyLimit);
+
+        ['#historySearch', '#historyDirection', '#historyRange'].forEach((selector) => {
+            modal.querySelector(selector).addEventListener('input', () => this.renderHistory());
+        });
+        limitSelect.onchange = () => this.setHistoryLimit(Number(limitSelect.value));
+        modal.querySelector('#exportHistoryJson').onclick = () => this.exportHistory('json');
+        modal.querySelector('#exportHistoryCsv').onclick = () => this.exportHistory('csv');
+        modal.querySelector('#clearHistoryBtn').onclick = () => this.clearHistory();
+        modal.querySelector('#closeHistoryModal').onclick = () => modal.remove();
+        modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+
+        this.renderHistory();
+    }
+
+    getHistoryFilters() {
+        const modal = document.getElementById('historyModal');
+        return {
+            query: modal?.querySelector('#historySearch').value || '',
+            direction: modal?.querySelector('#historyDirection').value || 'all',
+            range: modal?.querySelector('#historyRange').value || 'all'
+        };
+    }
+
+    async renderHistory() {
+        const modal = document.getElementById('historyModal');
+        if (!modal) return;
+
+        const entries = this.filterHistory(await this.getHistory(), this.getHistoryFilters());
+        const list = modal.querySelector('#historyList');
+        const sent = entries.filter(entry => entry.direction === 'send');
+        const received = entries.filter(entry => entry.direction === 'receive');
+        const sum = (items) => items.reduce((total, entry) => total + (entry.size || 0), 0);
+
+        modal.querySelector('#historyTotals').textContent =
+            `${entries.length} transfer${entries.length === 1 ? '' : 's'} · ↑ ${sent.length} sent, ${this.formatBytes(sum(sent))} · ↓ ${received.length} received, ${this.formatBytes(sum(received))}`;
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<div style="color: var(--text-muted); font-size: 0.9rem; text-align: center; padding: 2rem 0;">No transfers match</div>';
+            return;
+        }
+
+        // Long histories render the newest few hundred; search narrows the rest
+        entries.slice(0, 300).forEach((entry) => {
+            const sentByMe = entry.direction === 'send';
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 0.75rem; background: var(--bg-main); padding: 0.6rem 1rem; border-radius: 12px;';
+            row.innerHTML = `
+                <span style="font-weight: 700; color: ${sentByMe ? 'var(--primary)' : 'var(--accent)'};">${sentByMe ? '↑' : '↓'}</span>
+                <div style="flex: 1; min-width: 0;">
+                    <div class="history-name" style="font-weight: 600; font-size: 0.9rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                    <div class="history-meta" style="color: var(--text-muted); font-size: 0.75rem;"></div>
+                </div>
+                <span style="color: var(--text-secondary); font-size: 0.8rem; white-space: nowrap;">${this.formatBytes(entry.size || 0)}</span>
+            `;
+            row.querySelector('.history-name').textContent = entry.name;
+            row.querySelector('.history-meta').textContent =
+                `${sentByMe ? 'To' : 'From'} ${entry.peer || 'unknown peer'} · ${new Date(entry.date).toLocaleString()}`;
+            list.appendChild(row);
+        });
+    }
+
+    async exportHistory(format) {
+        const entries = this.filterHistory(await this.getHistory(), this.getHistoryFilters())
+            .map(({ name, size, date, direction, peer }) => ({ name, size, date: new Date(date).toISOString(), direction, peer: peer || '' }));
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            this.downloadBlob(new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' }), `velo-history-${stamp}.json`);
+            return;
+        }
+
+        // Quote every field so names with commas, quotes or newlines survive, and defuse peer-chosen
+        // names that a spreadsheet would otherwise run as a formula
+        const columns = ['date', 'direction', 'name', 'size', 'peer'];
+        const quote = (value) => {
+            const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+            return `"${text.replace(/"/g, '""')}"`;
+        };
+        const csv = [columns.join(','), ...entries.map(entry => columns.map(column => quote(entry[column])).join(','))].join('\r\n');
+        this.downloadBlob(new Blob([csv], { type: 'text/csv' }), `velo-history-${stamp}.csv`);
+    }
+
+    // ==================== CHAT ====================
+
+    initChat() {
+        const chatBtn = document.getElementById('chatBtn');
+        const form = document.getElementById('chatForm');
+        if (!chatBtn || !form) return;
+
+        chatBtn.addEventListener('click', () => this.toggleChat());
+        document.getElementById('closeChatBtn').addEventListener('click', () => this.toggleChat(false));
+        document.getElementById('chatReplyCancel').addEventListener('click', () => this.setChatReply(null));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChat();
+        });
+
+        const saveToggle = document.getElementById('chatSaveToggle');
+        saveToggle.checked = this.saveChat;
+        saveToggle.addEventListener('change', () => this.setChatSaving(saveToggle.checked));
+
+        // Messages that arrived while the tab was hidden are read once it's back
+        document.addEventListener('visibilitychange', () => {
+            if (this.isChatVisible()) this.markChatRead();
+        });
+
+        if (this.saveChat) this.loadChat();
+    }
+
+    isChatVisible() {
+        const panel = document.getElementById('chatPanel');
+        return !!panel && panel.style.display !== 'none' && document.visibilityState !== 'hidden';
+    }
+
+    toggleChat(open = !this.isChatVisible()) {
+        const panel = document.getElementById('chatPanel');
+        if (!panel) return;
+        panel.style.display = open ? 'flex' : 'none';
+        if (!open) return;
+
+        this.renderChatTargets();
+        this.renderChat();
+        this.markChatRead();
+        document.getElementById('chatInput').focus();
+    }
+
+    renderChatTargets() {
+        const select = document.getElementById('chatTarget');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '<option value="">Everyone</option>';
+        this.connections.forEach(({ username }, peerId) => select.add(new Option(username, peerId)));
+        select.value = this.connections.has(current) ? current : '';
+    }
+
+    setChatReply(replyTo) {
+        this.chatReplyTo = replyTo;
+        const bar = document.getElementById('chatReply');
+        if (!bar) return;
+        bar.style.display = replyTo ? 'flex' : 'none';
+        document.getElementById('chatReplyText').textContent = replyTo ? `↪ Replying to ${replyTo.name}` : '';
+    }
+
+    replyToFile(peerId, name) {
+        this.toggleChat(true);
+        const select = document.getElementById('chatTarget');
+        if (select && this.connections.has(peerId)) select.value = peerId;
+        this.setChatReply({ name });
+        document.getElementById('chatInput').focus();
+    }
+
+    addChatReplyButton(id, peerId, name) {
+        const item = document.getElementById(`transfer-${id}`);
+        if (!item || item.querySelector('.chat-reply-btn')) return;
+
+        const button = document.createElement('button');
+        button.className = 'chat-reply-btn';
+        button.title = 'Reply in chat';
+        button.textContent = '💬';
+        button.style.cssText = 'background: var(--bg-main); border: none; padding: 0.3rem 0.45rem; border-radius: 8px; cursor: pointer; font-size: 0.8rem;';
+        button.onclick = () => this.replyToFile(peerId, name);
+        item.insertBefore(button, item.querySelector('.progress-bg'));
+    }
+
+    sendChat() {
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim().slice(0, this.chatMaxLength);
+        if (!text) return;
+
+        const target = document.getElementById('chatTarget').value;
+        const peers = target ? [target] : Array.from(this.connections.keys());
+        const open = peers.filter(peerId => this.connections.get(peerId)?.conn.open);
+        if (open.length === 0) {
+            this.showToast('No peers connected!', 'error');
+            return;
+        }
+
+        const message = {
+            id: this.generateId(),
+            from: 'me',
+            fromName: this.myUsername,
+            to: open.map(peerId => ({ peerId, username: this.connections.get(peerId).username })),
+            direct: !!target,
+            text,
+            sentAt: Date.now(),
+            replyTo: this.chatReplyTo,
+            receipts: Object.fromEntries(open.map(peerId => [peerId, 'sent']))
+        };
+        open.forEach((peerId) => {
+            this.connections.get(peerId).conn.send({
+                type: 'chat',
+                id: message.id,
+                text,
+                direct: message.direct,
+                sentAt: message.sentAt,
+                replyTo: message.replyTo
+            });
+        });
+
+        this.chatMessages.push(message);
+        this.saveChatMessage(message);
+        input.value = '';
+        this.setChatReply(null);
+        this.renderChat();
+    }
+
+    receiveChat(peerId, data) {
+        if (typeof data.id !== 'string' || typeof data.text !== 'string' || !data.text.trim()) return;
+        if (this.chatMessages.some(message => message.from === peerId && message.id === data.id)) return;
+
+        const peerInfo = this.connections.get(peerId);
+        const message = {
+            id: data.id.slice(0, 64),
+            from: peerId,
+            fromName: peerInfo?.username || 'Peer',
+            direct: data.direct === true,
+            text: data.text.slice(0, this.chatMaxLength),
+            sentAt: Date.now(), // Our clock, so the list stays in order whatever theirs says
+            replyTo: typeof data.replyTo?.name === 'string' ? { name: data.replyTo.name.slice(0, 255) } : null,
+            read: false
+        };
+        this.chatMessages.push(message);
+        peerInfo?.conn.send({ type: 'chat-receipt', id: message.id, state: 'delivered' });
+
+        if (this.isChatVisible()) {
+            this.markChatRead();
+        } else {
+            this.chatUnread++;
+            this.updateChatBadge();
+            this.playSound('message');
+            this.showToast(`💬 New message from ${message.fromName}`, 'info');
+        }
+        this.saveChatMessage(message);
+        this.renderChat();
+    }
+
+    handleChatReceipt(peerId, data) {
+        const message = this.chatMessages.find(m => m.from === 'me' && m.id === data.id && m.receipts && peerId in m.receipts);
+        if (!message) return;
+
+        // Receipts only move forward: sent, then delivered, then read
+        const order = ['sent', 'delivered', 'read'];
+        if (order.indexOf(data.state) > order.indexOf(message.receipts[peerId])) {
+            message.receipts[peerId] = data.state;
+            this.saveChatMessage(message);
+            this.renderChat();
+        }
+    }
+
+    markChatRead() {
+        this.chatMessages.forEach((message) => {
+            if (message.from === 'me' || message.read) return;
+            message.read = true;
+            this.connections.get(message.from)?.conn.send({ type: 'chat-receipt', id: message.id, state: 'read' });
+            this.saveChatMessage(message);
+        });
+        this.chatUnread = 0;
+        this.updateChatBadge();
+    }
+
+    updateChatBadge() {
+        const badge = document.getElementById('chatBadge');
+        if (!badge) return;
+        badge.style.display = this.chatUnread > 0 ? 'flex' : 'none';
+        badge.textContent = this.chatUnread > 99 ? '99+' : String(this.chatUnread);
+    }
 
-        container.innerHTML = ''; // Clear previous
+    getChatReceipt(message) {
+        const states = Object.values(message.receipts || {});
+        const read = states.filter(state => state === 'read').length;
+        if (read === states.length) return { text: '✓✓ Read', color: 'var(--accent)' };
+        if (read > 0) return { text: `✓✓ Read by ${read}/${states.length}`, color: 'var(--text-muted)' };
+        if (states.every(state => state === 'delivered')) return { text: '✓✓ Delivered', color: 'var(--text-muted)' };
+        return { text: '✓ Sent', color: 'var(--text-muted)' };
+    }
 
-        // Generate QR
-        if (window.QRCode) {
-            new QRCode(container, {
-                text: `https://velo-share.netlify.app/app.html?join=${this.myPeerId || ''}`,
-                width: 200,
-                height: 200,
-                colorDark: "#000000",
-                colorLight: "#ffffff",
-                correctLevel: QRCode.CorrectLevel.H
-            });
-            modal.style.display = 'flex';
-        } else {
-            console.error('QRCode library not loaded');
+    renderChat() {
+        const list = document.getElementById('chatMessages');
+        if (!list || !this.isChatVisible()) return;
+
+        list.innerHTML = '';
+        if (this.chatMessages.length === 0) {
+            list.innerHTML = '<div style="color: var(--text-muted); font-size: 0.85rem; text-align: center; margin-top: 2rem;">No messages yet</div>';
+            return;
         }
 
-        const close = () => modal.style.display = 'none';
-        closeBtn.onclick = close;
-        modal.onclick = (e) => { if (e.target === modal) close(); };
-    }
+        this.chatMessages.forEach((message) => {
+            const mine = message.from === 'me';
+            const bubble = document.createElement('div');
+            bubble.style.cssText = `
+                align-self: ${mine ? 'flex-end' : 'flex-start'}; max-width: 85%;
+                background: ${mine ? 'var(--primary-glow)' : 'var(--bg-main)'};
+                border-radius: 14px; padding: 0.5rem 0.75rem; display: grid; gap: 0.2rem;
+            `;
+            bubble.innerHTML = `
+                <div class="chat-meta" style="font-size: 0.7rem; color: var(--text-muted);"></div>
+                <div class="chat-reply" style="font-size: 0.75rem; color: var(--text-secondary); border-left: 2px solid var(--accent); padding-left: 0.4rem; display: none;"></div>
+                <div class="chat-text" style="font-size: 0.9rem; white-space: pre-wrap; overflow-wrap: anywhere;"></div>
+                <div class="chat-receipt" style="font-size: 0.65rem; text-align: right;"></div>
+            `;
 
-    saveHistory(transfer, direction) {
-        const historyItem = {
-            name: transfer.name,
-            size: transfer.size,
-            date: Date.now(),
-            direction: direction,
-            peer: transfer.peer
-        };
+            // Everything shown here came from a peer or the user, so it goes in as text
+            const time = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const who = mine
+                ? (message.direct ? `To ${message.to[0]?.username || 'peer'}` : 'To everyone')
+                : `${message.fromName}${message.direct ? ' · direct' : ''}`;
+            bubble.querySelector('.chat-meta').textContent = `${who} · ${time}`;
+            bubble.querySelector('.chat-text').textContent = message.text;
+            if (message.replyTo) {
+                const quote = bubble.querySelector('.chat-reply');
+                quote.style.display = 'block';
+                quote.textContent = `↪ ${message.replyTo.name}`;
+            }
+            if (mine) {
+                const receipt = this.getChatReceipt(message);
+                const el = bubble.querySelector('.chat-receipt');
+                el.textContent = receipt.text;
+                el.style.color = receipt.color;
+            }
+            list.appendChild(bubble);
+        });
+        list.scrollTop = list.scrollHeight;
+    }
 
-        let history = JSON.parse(localStorage.getItem('velo_history') || '[]');
-        history.unshift(historyItem);
-        if (history.length > 50) history.pop(); // Keep last 50
-        localStorage.setItem('velo_history', JSON.stringify(history));
+    saveChatMessage(message) {
+        if (!this.saveChat) return;
+        this.runDbTransaction('chat', 'readwrite', (tx) => {
+            tx.objectStore('chat').put({ ...message, key: `${message.from}:${message.id}` });
+        }).catch(err => console.error('Failed to save chat message:', err));
     }
 
-    loadHistory() {
-        // Could implement a history view UI here later
-        console.log('History loaded', JSON.parse(localStorage.getItem('velo_history') || '[]'));
+    async loadChat() {
+        const saved = await this.runDbTransaction('chat', 'readonly', (tx) =>
+            tx.objectStore('chat').getAll()
+        ).catch(() => null) || [];
+
+        // Earlier sessions' messages are history: nothing to answer or mark read any more
+        const known = new Set(this.chatMessages.map(message => `${message.from}:${message.id}`));
+        const restored = saved
+            .filter(({ key }) => !known.has(key))
+            .map(({ key, ...message }) => ({ ...message, read: true }));
+        this.chatMessages = [...restored, ...this.chatMessages].sort((a, b) => a.sentAt - b.sentAt);
+        this.renderChat();
     }
 
-    triggerConfetti() {
-        this.showToast('🎉 Transfer Complete!', 'success');
-        this.playSound('complete');
+    setChatSaving(enabled) {
+        this.saveChat = enabled;
+        localStorage.setItem('velo_chat_save', String(enabled));
+
+        if (enabled) {
+            this.chatMessages.forEach(message => this.saveChatMessage(message));
+            this.showToast('Chat history will be kept on this device', 'info');
+        } else {
+            this.runDbTransaction('chat', 'readwrite', (tx) => {
+                tx.objectStore('chat').clear();
+            }).catch(err => console.error('Failed to clear chat history:', err));
+            this.showToast('Chat history will end with this session', 'info');
+        }
     }
 
     // ==================== NETWORK SPEED TEST ====================
@@ -1550,14 +6755,8 @@ class VeloApp {
 
     // ==================== SHARE TEXT VIA LINK ====================
     generateTextShareToken() {
-        if (window.crypto && crypto.getRandomValues) {
-            const bytes = new Uint8Array(16);
-            crypto.getRandomValues(bytes);
-            return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-        }
-
-        // Fallback (non-crypto RNG)
-        return Math.random().toString(16).slice(2) + Math.random().toString(16).slice(2);
+        // Links carry it, so it has to be unguessable
+        return this.generateId();
     }
 
     generateTextShareLink(token) {
@@ -1567,7 +6766,7 @@ class VeloApp {
         }
 
         const baseUrl = window.location.origin + window.location.pathname;
-        return `${baseUrl}?join=${encodeURIComponent(this.myPeerId)}&t=${encodeURIComponent(token)}`;
+        return `${baseUrl}?join=${encodeURIComponent(this.shareCode)}&t=${encodeURIComponent(token)}`;
     }
 
     async copyTextToClipboard(text) {
@@ -1586,6 +6785,122 @@ class VeloApp {
         }
     }
 
+    createTextShare({ text, title, format, expiresIn, maxViews }) {
+        const token = this.generateTextShareToken();
+        const share = {
+            token,
+            title: title || text.trim().split('\n')[0].replace(/^#+\s*/, '').slice(0, 60),
+            text,
+            format,
+            createdAt: Date.now(),
+            expiresAt: expiresIn ? Date.now() + expiresIn : null,
+            maxViews: maxViews || null,
+            views: 0,
+            deliveredToPeers: new Set(),
+            timer: null
+        };
+        if (share.expiresAt) share.timer = setTimeout(() => this.removeTextShare(token), expiresIn);
+        this.textShares.set(token, share);
+        return share;
+    }
+
+    isTextShareLive(share) {
+        return (!share.expiresAt || Date.now() < share.expiresAt) && (!share.maxViews || share.views < share.maxViews);
+    }
+
+    deliverTextShare(conn, share) {
+        if (!this.isTextShareLive(share) || !conn.open) return false;
+        // Deliver once per peer per share.
+        if (share.deliveredToPeers.has(conn.peer)) return true;
+
+        // Every part carries the metadata, so whichever arrives first can set up reassembly
+        const parts = Math.max(1, Math.ceil(share.text.length / this.maxTextShareChars));
+        for (let part = 0; part < parts; part++) {
+            conn.send({
+                type: 'text-share',
+                token: share.token,
+                text: share.text.slice(part * this.maxTextShareChars, (part + 1) * this.maxTextShareChars),
+                part,
+                parts,
+                title: share.title,
+                format: share.format,
+                burn: share.maxViews === 1
+            });
+        }
+        share.deliveredToPeers.add(conn.peer);
+        share.views++;
+
+        if (!this.isTextShareLive(share)) {
+            this.showToast(`"${share.title}" reached its view limit`, 'info');
+            this.removeTextShare(share.token);
+        } else {
+            this.renderTextShares();
+        }
+        return true;
+    }
+
+    removeTextShare(token) {
+        const share = this.textShares.get(token);
+        if (!share) return;
+        clearTimeout(share.timer);
+        this.textShares.delete(token);
+        this.renderTextShares();
+    }
+
+    receiveTextShare(peerId, data) {
+        if (this.textShareTokenFromUrl && data.token && data.token !== this.textShareTokenFromUrl) {
+            this.showToast('Text share token mismatch.', 'error');
+            return;
+        }
+
+        // Defensive guard: handle unexpected payloads.
+        let receivedText = typeof data.text === 'string' ? data.text : '';
+        if (receivedText.length > this.maxTextShareChars) {
+            this.showToast('Received text is too large to display.', 'error');
+            return;
+        }
+
+        const parts = Number.isInteger(data.parts) && data.parts > 1 ? data.parts : 1;
+        if (parts > 1) {
+            if (parts > Math.ceil(this.maxSnippetChars / this.maxTextShareChars) ||
+                !Number.isInteger(data.part) || data.part < 0 || data.part >= parts) return;
+
+            const key = `${peerId}:${data.token}`;
+            const pending = this.incomingSnippets.get(key) || { parts: new Array(parts), received: 0 };
+            if (pending.parts.length !== parts) return;
+            if (pending.parts[data.part] === undefined) {
+                pending.parts[data.part] = receivedText;
+                pending.received++;
+            }
+            clearTimeout(pending.timer);
+            this.incomingSnippets.set(key, pending);
+            if (pending.received < parts) {
+                // A sender that stops midway doesn't leave its parts behind
+                pending.timer = setTimeout(() => this.incomingSnippets.delete(key), this.snippetPartTimeout);
+                return;
+            }
+
+            this.incomingSnippets.delete(key);
+            receivedText = pending.parts.join('');
+        }
+
+        if (receivedText.trim().length === 0) {
+            this.showToast('Received empty text.', 'info');
+        }
+
+        // Only show "link delivered" copy when the receiver came from a tokenized URL.
+        this.showReceivedTextModal(receivedText, this.textShareTokenFromUrl ? data.token : null, {
+            title: typeof data.title === 'string' ? data.title.slice(0, 120) : '',
+            format: typeof data.format === 'string' ? data.format : 'plain',
+            burn: data.burn === true
+        });
+
+        // Clear token after first delivery attempt to avoid repeated modals.
+        if (this.textShareTokenFromUrl && data.token === this.textShareTokenFromUrl) {
+            this.textShareTokenFromUrl = null;
+        }
+    }
+
     async showTextShareModal() {
         if (!this.myPeerId) {
             this.showToast('Start hosting first!', 'error');
@@ -1595,6 +6910,7 @@ class VeloApp {
         const existingModal = document.getElementById('textShareModal');
         if (existingModal) existingModal.remove();
 
+        const inputStyle = 'background: var(--bg-main); border: 1px solid var(--border-light); color: var(--text-primary); padding: 0.55rem 0.75rem; border-radius: 10px; font-size: 0.85rem;';
         const modal = document.createElement('div');
         modal.id = 'textShareModal';
         modal.style.cssText = `
@@ -1605,44 +6921,70 @@ class VeloApp {
 
         modal.innerHTML = `
             <div style="background: var(--bg-surface); border-radius: 24px; padding: 2.5rem; 
-                        max-width: 550px; width: 95%; text-align: center; border: 1px solid var(--border-light);
+                        max-width: 620px; width: 95%; text-align: center; border: 1px solid var(--border-light);
                         max-height: 85vh; overflow-y: auto; -webkit-overflow-scrolling: touch;">
                 <h2 style="margin-bottom: 0.25rem;">Share Text</h2>
-                <p style="color: var(--text-muted); margin-bottom: 1.5rem;">Paste or type what you want to share.</p>
+                <p style="color: var(--text-muted); margin-bottom: 1.5rem;">Paste or type what you want to share. Each snippet gets its own link.</p>
+
+                <input id="textShareTitle" type="text" maxlength="120" placeholder="Title (optional)"
+                       style="${inputStyle} width: 100%; margin-bottom: 0.75rem;">
 
-                <div style="background: var(--bg-main); padding: 1rem 1.25rem; border-radius: 12px; margin-bottom: 1.25rem; text-align: left;">
+                <div style="background: var(--bg-main); padding: 1rem 1.25rem; border-radius: 12px; margin-bottom: 0.75rem; text-align: left;">
                     <textarea id="textShareInput"
                               placeholder="Type or paste text..."
                               style="width: 100%; min-height: clamp(120px, 22vh, 170px); background: transparent; border: none; 
                                      color: var(--text-primary); outline: none; font-family: monospace; resize: vertical;"></textarea>
 
                     <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 0.9rem; gap: 0.75rem;">
-                        <div id="textShareCount" style="font-size: 0.8rem; color: var(--text-muted); font-family: monospace;">0/${this.maxTextShareChars}</div>
+                        <div id="textShareCount" style="font-size: 0.8rem; color: var(--text-muted); font-family: monospace;">0/${this.maxSnippetChars}</div>
                         <button id="pasteClipboardBtn" class="btn-ghost" style="padding: 0.45rem 0.75rem; font-size: 0.8rem; white-space: nowrap;">
                             Paste
                         </button>
                     </div>
                 </div>
 
-                <div style="background: var(--bg-main); padding: 1rem; border-radius: 12px; margin-bottom: 1.25rem; 
-                            display: flex; align-items: center; gap: 0.6rem;">
-                    <input type="text" value="" readonly id="textShareLinkInput"
-                           style="flex: 1; background: transparent; border: none; color: var(--text-primary); 
-                                  font-size: 0.85rem; outline: none; font-family: monospace;">
-                    <button id="createTextLinkBtn" class="btn-primary" style="padding: 0.5rem 1rem; font-size: 0.9rem;">
-                        Create & Send
-                    </button>
-                    <button id="copyTextShareLinkBtn" class="btn-ghost" style="padding: 0.5rem 0.9rem; font-size: 0.9rem;" disabled>
-                        Copy
-                    </button>
+                <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;">
+                    <select id="textShareFormat" title="Format" style="${inputStyle} flex: 1;">
+                        <option value="auto">Detect format</option>
+                        <option value="plain">Plain text</option>
+                        <option value="markdown">Markdown</option>
+                        <option value="javascript">JavaScript / TypeScript</option>
+                        <option value="python">Python</option>
+                        <option value="json">JSON</option>
+                        <option value="html">HTML / XML</option>
+                        <option value="css">CSS</option>
+                        <option value="bash">Shell</option>
+                        <option value="sql">SQL</option>
+                        <option value="go">Go</option>
+                        <option value="rust">Rust</option>
+                        <option value="c">C / C++ / Java / C#</option>
+                    </select>
+                    <select id="textShareExpiry" title="Expires" style="${inputStyle} flex: 1;">
+                        <option value="0">Never expires</option>
+                        <option value="600000">Expires in 10 minutes</option>
+                        <option value="3600000">Expires in 1 hour</option>
+                        <option value="86400000">Expires in 1 day</option>
+                    </select>
+                    <select id="textShareViews" title="Views" style="${inputStyle} flex: 1;">
+                        <option value="0">Unlimited views</option>
+                        <option value="1">Burn after reading</option>
+                        <option value="5">5 views</option>
+                        <option value="10">10 views</option>
+                    </select>
                 </div>
 
-                <div id="textShareQrCode" style="display: flex; justify-content: center; margin-bottom: 1rem; 
+                <button id="createTextLinkBtn" class="btn-primary" style="width: 100%; padding: 0.75rem 1rem; margin-bottom: 1.25rem;">
+                    Create & Send
+                </button>
+
+                <div id="textShareList" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1rem; text-align: left;"></div>
+
+                <div id="textShareQrCode" style="display: none; justify-content: center; margin-bottom: 1rem; 
                                               padding: 1rem; background: white; border-radius: 12px; width: fit-content; 
                                               margin-left: auto; margin-right: auto;"></div>
 
                 <p style="color: var(--text-muted); font-size: 0.75rem; margin-top: 0.2rem; margin-bottom: 1.25rem;">
-                    This text will be delivered instantly to connected peers, and also to anyone who connects afterward.
+                    Snippets go to connected peers right away. Open ones also reach anyone who connects afterward; view-limited ones only open from their link.
                 </p>
 
                 <button id="closeTextShareModal" class="btn-ghost" style="width: 100%;">Close</button>
@@ -1654,26 +6996,18 @@ class VeloApp {
         const textarea = modal.querySelector('#textShareInput');
         const countEl = modal.querySelector('#textShareCount');
         const pasteBtn = modal.querySelector('#pasteClipboardBtn');
-        const linkInput = modal.querySelector('#textShareLinkInput');
-        const qrContainer = modal.querySelector('#textShareQrCode');
         const createBtn = modal.querySelector('#createTextLinkBtn');
-        const copyBtn = modal.querySelector('#copyTextShareLinkBtn');
         const closeBtn = modal.querySelector('#closeTextShareModal');
 
         const updateCount = () => {
             const len = textarea.value.length;
-            countEl.textContent = `${len}/${this.maxTextShareChars}`;
-            countEl.style.color = len > this.maxTextShareChars ? 'var(--danger)' : 'var(--text-muted)';
+            countEl.textContent = `${len}/${this.maxSnippetChars}`;
+            countEl.style.color = len > this.maxSnippetChars ? 'var(--danger)' : 'var(--text-muted)';
         };
 
         textarea.addEventListener('input', updateCount);
         updateCount();
 
-        const setLink = (link) => {
-            linkInput.value = link;
-            copyBtn.disabled = !link;
-        };
-
         const prefillFromClipboard = async () => {
             if (!navigator.clipboard?.readText) return;
             try {
@@ -1701,7 +7035,7 @@ class VeloApp {
             }
         };
 
-        createBtn.onclick = async () => {
+        createBtn.onclick = () => {
             const text = textarea.value;
             const trimmed = text.trim();
 
@@ -1710,70 +7044,120 @@ class VeloApp {
                 return;
             }
 
-            if (text.length > this.maxTextShareChars) {
-                this.showToast(`Text too long (max ${this.maxTextShareChars} chars)`, 'error');
+            if (text.length > this.maxSnippetChars) {
+                this.showToast(`Text too long (max ${this.maxSnippetChars} chars)`, 'error');
                 return;
             }
 
-            const token = this.generateTextShareToken();
-            const deliveredToPeers = new Set();
-            this.activeTextShare = { token, text, deliveredToPeers };
+            const share = this.createTextShare({
+                text,
+                title: modal.querySelector('#textShareTitle').value.trim(),
+                format: modal.querySelector('#textShareFormat').value,
+                expiresIn: Number(modal.querySelector('#textShareExpiry').value),
+                maxViews: Number(modal.querySelector('#textShareViews').value)
+            });
 
-            // Send immediately to already-connected peers.
+            // Send immediately to already-connected peers, as far as the view limit goes.
             const targetConnections = this.getTargetConnections();
+            const delivered = targetConnections.filter(({ conn }) => this.deliverTextShare(conn, share)).length;
             if (targetConnections.length === 0) {
-                this.showToast('No peers connected yet. Text will be delivered after they connect.', 'info');
+                this.showToast('No peers connected yet. Share the snippet link to deliver it.', 'info');
+            } else if (delivered < targetConnections.length) {
+                this.showToast(`Sent to ${delivered} of ${targetConnections.length} peers (view limit)`, 'info');
             } else {
-                targetConnections.forEach(({ conn }) => {
-                    conn.send({
-                        type: 'text-share',
-                        token,
-                        text
-                    });
-                    deliveredToPeers.add(conn.peer);
-                });
                 this.showToast('Text shared!', 'success');
             }
 
-            // Render a QR for joining the session (no token link needed for normal connect).
-            const joinLink = this.generateShareLink();
-            if (joinLink) {
-                setLink(joinLink);
-
-                if (qrContainer) qrContainer.innerHTML = '';
-                if (window.QRCode && qrContainer) {
-                    new QRCode(qrContainer, {
-                        text: joinLink,
-                        width: 150,
-                        height: 150,
-                        colorDark: "#000000",
-                        colorLight: "#ffffff",
-                        correctLevel: QRCode.CorrectLevel.H
-                    });
-                }
-            }
-        };
-
-        copyBtn.onclick = async () => {
-            if (!linkInput.value) {
-                this.showToast('Create the link first', 'info');
-                return;
-            }
-            await this.copyTextToClipboard(linkInput.value);
-            this.showToast('Link copied!', 'success');
+            textarea.value = '';
+            modal.querySelector('#textShareTitle').value = '';
+            updateCount();
+            this.renderTextShares();
+            if (this.textShares.has(share.token)) this.showTextShareQr(share.token);
         };
 
         closeBtn.onclick = () => modal.remove();
         modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
 
+        this.renderTextShares();
         await prefillFromClipboard();
     }
 
-    showReceivedTextModal(text, token = null) {
+    renderTextShares() {
+        const list = document.querySelector('#textShareModal #textShareList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.textShares.forEach((share) => {
+            const limits = [
+                share.maxViews ? `${share.views}/${share.maxViews} views` : `${share.views} view${share.views === 1 ? '' : 's'}`,
+                share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : 'no expiry',
+                this.formatBytes(share.text.length)
+            ];
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 0.5rem; background: var(--bg-main); padding: 0.6rem 1rem; border-radius: 12px;';
+            row.innerHTML = `
+                <div style="flex: 1; min-width: 0;">
+                    <div class="snippet-title" style="font-weight: 600; font-size: 0.9rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                    <div style="color: var(--text-muted); font-size: 0.75rem;">${limits.join(' · ')}</div>
+                </div>
+                <button class="btn-ghost snippet-copy" style="padding: 0.35rem 0.7rem; font-size: 0.8rem;">Copy link</button>
+                <button class="btn-ghost snippet-qr" style="padding: 0.35rem 0.7rem; font-size: 0.8rem;">QR</button>
+                <button class="btn-ghost snippet-revoke" style="padding: 0.35rem 0.7rem; font-size: 0.8rem; color: var(--danger);">Revoke</button>
+            `;
+            row.querySelector('.snippet-title').textContent = share.title;
+            row.querySelector('.snippet-copy').onclick = async () => {
+                const link = this.generateTextShareLink(share.token);
+                if (!link) return;
+                await this.copyTextToClipboard(link);
+                this.showToast('Link copied!', 'success');
+            };
+            row.querySelector('.snippet-qr').onclick = () => this.showTextShareQr(share.token);
+            row.querySelector('.snippet-revoke').onclick = () => this.removeTextShare(share.token);
+            list.appendChild(row);
+        });
+
+        const qrContainer = document.querySelector('#textShareModal #textShareQrCode');
+        if (qrContainer && !this.textShares.has(qrContainer.dataset.token)) {
+            qrContainer.style.display = 'none';
+            qrContainer.innerHTML = '';
+        }
+    }
+
+    showTextShareQr(token) {
+        const qrContainer = document.querySelector('#textShareModal #textShareQrCode');
+        const link = this.generateTextShareLink(token);
+        if (!qrContainer || !link || !window.QRCode) return;
+
+        qrContainer.innerHTML = '';
+        qrContainer.dataset.token = token;
+        qrContainer.style.display = 'flex';
+        new QRCode(qrContainer, {
+            text: link,
+            width: 150,
+            height: 150,
+            colorDark: "#000000",
+            colorLight: "#ffffff",
+            correctLevel: QRCode.CorrectLevel.H
+        });
+    }
+
+    showReceivedTextModal(text, token = null, { title = '', format = 'plain', burn = false } = {}) {
         const safeText = typeof text === 'string' ? text : String(text ?? '');
 
-        const existingModal = document.getElementById('receivedTextShareModal');
-        if (existingModal) existingModal.remove();
+        // Several snippets can arrive at once; each waits for the one before it to be closed
+        if (document.getElementById('receivedTextShareModal')) {
+            this.receivedTextQueue.push([safeText, token, { title, format, burn }]);
+            return;
+        }
+
+        // Formatting only applies to sizes the highlighter gets through quickly
+        const rendered = format !== 'plain' && safeText.length <= this.maxHighlightChars
+            ? VeloSnippets.render(safeText, format)
+            : null;
+        const formatted = rendered && (rendered.markdown || rendered.language);
+        const notes = [token ? 'Text share link delivered.' : 'Text received.'];
+        if (formatted) notes.push(rendered.markdown ? 'Markdown' : rendered.language);
+        if (burn) notes.push('Burn after reading: it is gone once you close this.');
 
         const modal = document.createElement('div');
         modal.id = 'receivedTextShareModal';
@@ -1785,22 +7169,26 @@ class VeloApp {
 
         modal.innerHTML = `
             <div style="background: var(--bg-surface); border-radius: 24px; padding: 2.5rem; 
-                        max-width: 650px; width: 95%; text-align: center; border: 1px solid var(--border-light);
+                        max-width: 760px; width: 95%; text-align: center; border: 1px solid var(--border-light);
                         max-height: 85vh; overflow-y: auto; -webkit-overflow-scrolling: touch;">
-                <h2 style="margin-bottom: 0.25rem;">Received Text</h2>
-                <p style="color: var(--text-muted); margin-bottom: 1.25rem;">
-                    ${token ? 'Text share link delivered.' : 'Text received.'}
-                </p>
+                <h2 id="receivedTextTitle" style="margin-bottom: 0.25rem;"></h2>
+                <p id="receivedTextNotes" style="color: var(--text-muted); margin-bottom: 1.25rem;"></p>
 
                 <pre id="receivedTextPre" style="white-space: pre-wrap; word-break: break-word; 
                         max-height: 45vh; overflow: auto; background: var(--bg-main); padding: 1rem; 
                         border-radius: 12px; border: 1px solid var(--border-light); color: var(--text-primary); 
                         font-family: monospace; text-align: left;"></pre>
+                <div id="receivedTextRendered" class="snippet-body" style="display: none; max-height: 45vh; overflow: auto; 
+                        background: var(--bg-main); padding: 1rem 1.25rem; border-radius: 12px; 
+                        border: 1px solid var(--border-light); text-align: left;"></div>
 
                 <div style="display: flex; gap: 0.75rem; margin-top: 1.25rem;">
                     <button id="copyReceivedTextBtn" class="btn-primary" style="flex: 1; padding: 0.75rem 1rem;">
                         Copy
                     </button>
+                    <button id="rawReceivedTextBtn" class="btn-ghost" style="flex: 1; padding: 0.75rem 1rem; display: ${formatted ? 'block' : 'none'};">
+                        Show raw
+                    </button>
                     <button id="closeReceivedTextBtn" class="btn-ghost" style="flex: 1; padding: 0.75rem 1rem;">
                         Close
                     </button>
@@ -1810,14 +7198,416 @@ class VeloApp {
 
         document.body.appendChild(modal);
 
+        modal.querySelector('#receivedTextTitle').textContent = title || 'Received Text';
+        modal.querySelector('#receivedTextNotes').textContent = notes.join(' · ');
         const pre = modal.querySelector('#receivedTextPre');
+        const renderedEl = modal.querySelector('#receivedTextRendered');
         pre.textContent = safeText;
 
+        // VeloSnippets escapes everything before adding its own markup
+        let showingRaw = !formatted;
+        const showView = () => {
+            if (!formatted) return;
+            const markdown = rendered.markdown && !showingRaw;
+            renderedEl.style.display = markdown ? 'block' : 'none';
+            pre.style.display = markdown ? 'none' : 'block';
+            if (markdown) {
+                renderedEl.innerHTML = rendered.html;
+            } else if (showingRaw) {
+                pre.textContent = safeText;
+            } else {
+                pre.innerHTML = rendered.html;
+            }
+            modal.querySelector('#rawReceivedTextBtn').textContent = showingRaw ? 'Show formatted' : 'Show raw';
+        };
+        showView();
+
+        modal.querySelector('#rawReceivedTextBtn').onclick = () => {
+            showingRaw = !showingRaw;
+            showView();
+        };
         modal.querySelector('#copyReceivedTextBtn').onclick = async () => {
             await this.copyTextToClipboard(safeText);
             this.showToast('Text copied!', 'success');
         };
-        modal.querySelector('#closeReceivedTextBtn').onclick = () => modal.remove();
+        const close = () => {
+            modal.remove();
+            const next = this.receivedTextQueue.shift();
+            if (next) this.showReceivedTextModal(...next);
+        };
+        modal.querySelector('#closeReceivedTextBtn').onclick = close;
+        modal.onclick = (e) => { if (e.target === modal) close(); };
+    }
+
+    // ==================== CLIPBOARD SYNC ====================
+
+    initClipboardSync() {
+        const clipboardBtn = document.getElementById('clipboardBtn');
+        if (!clipboardBtn) return;
+        clipboardBtn.addEventListener('click', () => this.showClipboardModal());
+
+        // Coming back to the tab or copying inside it are the moments the clipboard likely changed
+        window.addEventListener('focus', () => this.checkClipboard());
+        document.addEventListener('copy', () => setTimeout(() => this.checkClipboard(), 100));
+
+        if (this.clipboardSync) this.setClipboardSync(true, { quiet: true });
+    }
+
+    async setClipboardSync(enabled, { quiet = false } = {}) {
+        clearInterval(this.clipboardTimer);
+        this.clipboardTimer = null;
+
+        if (enabled && !navigator.clipboard?.readText) {
+            if (!quiet) this.showToast('Clipboard API not supported in this browser', 'error');
+            enabled = false;
+        }
+        if (enabled && navigator.permissions?.query) {
+            // Only Chromium knows this permission name; elsewhere the first read asks instead
+            const status = await navigator.permissions.query({ name: 'clipboard-read' }).catch(() => null);
+            if (status?.state === 'denied') {
+                if (!quiet) this.showToast('Clipboard access is blocked for this site', 'error');
+                enabled = false;
+            }
+        }
+
+        this.clipboardSync = enabled;
+        localStorage.setItem('velo_clipboard_sync', String(enabled));
+        const dot = document.getElementById('clipboardSyncDot');
+        if (dot) dot.style.display = enabled ? 'block' : 'none';
+        const toggle = document.getElementById('clipboardSyncToggle');
+        if (toggle) toggle.checked = enabled;
+        if (!enabled) return;
+
+        // Whatever is on the clipboard already stays private; only later copies are offered
+        this.lastClipboard = undefined;
+        this.clipboardTimer = setInterval(() => this.checkClipboard(), this.clipboardPollInterval);
+        this.checkClipboard();
+    }
+
+    async readClipboard() {
+        // Images need the async read(); browsers without it still sync text
+        if (navigator.clipboard.read) {
+            const items = await navigator.clipboard.read();
+            for (const item of items) {
+                const imageType = item.types.find(type => type.startsWith('image/'));
+                if (imageType) return { kind: 'image', blob: await item.getType(imageType) };
+                if (item.types.includes('text/plain')) {
+                    return { kind: 'text', text: await (await item.getType('text/plain')).text() };
+                }
+            }
+            return null;
+        }
+        return { kind: 'text', text: await navigator.clipboard.readText() };
+    }
+
+    async getClipboardSignature(entry) {
+        if (entry.kind === 'text') return `text:${entry.text}`;
+        return `image:${await this.digestBytes(new Uint8Array(await entry.blob.arrayBuffer()))}`;
+    }
+
+    async checkClipboard() {
+        // Browsers only hand over the clipboard to a focused, visible page
+        if (!this.clipboardSync || this.clipboardReading || !document.hasFocus() || document.visibilityState === 'hidden') return;
+
+        this.clipboardReading = true;
+        try {
+            const entry = await this.readClipboard();
+            if (!entry || (entry.kind === 'text' && !entry.text.trim())) return;
+
+            const signature = await this.getClipboardSignature(entry);
+            const baseline = this.lastClipboard === undefined;
+            if (signature === this.lastClipboard) return;
+            this.lastClipboard = signature;
+            if (baseline) return;
+
+            this.addClipboardEntry({ ...entry, id: this.generateId(), from: 'me', fromName: this.myUsername, at: Date.now() });
+            await this.offerClipboard(entry);
+        } catch (err) {
+            // Reads fail while permission is pending or the page lost focus mid-read; the next tick retries
+        } finally {
+            this.clipboardReading = false;
+        }
+    }
+
+    async offerClipboard(entry) {
+        if (entry.kind === 'text' && entry.text.length > this.maxTextShareChars) {
+            this.showToast(`Clipboard text too long to sync (max ${this.maxTextShareChars} chars)`, 'info');
+            return;
+        }
+        if (entry.kind === 'image' && entry.blob.size > this.clipboardImageLimit) {
+            this.showToast(`Clipboard image too large to sync (max ${this.formatBytes(this.clipboardImageLimit)})`, 'info');
+            return;
+        }
+
+        const targets = this.getTargetConnections().filter(({ conn }) => conn.open);
+        if (targets.length === 0) return;
+
+        if (entry.kind === 'text') {
+            targets.forEach(({ conn }) => conn.send({ type: 'clipboard', kind: 'text', text: entry.text }));
+            return;
+        }
+
+        // Image bytes follow as binary frames, like file data, so no control message outgrows a frame
+        const id = ++this.transferId;
+        const bytes = await entry.blob.arrayBuffer();
+        await Promise.all(targets.map(async ({ conn }) => {
+            conn.send({ type: 'clipboard', kind: 'image', id, mime: entry.blob.type, size: bytes.byteLength });
+            for (let offset = 0; offset < bytes.byteLength; offset += this.maxChunkSize) {
+                const frame = await new Blob([this.frameHeader(5, id, offset), bytes.slice(offset, offset + this.maxChunkSize)]).arrayBuffer();
+                await this.whenSendable(conn, this.maxChunkSize);
+                if (!conn.open) return;
+                conn.send(frame);
+            }
+        }));
+    }
+
+    receiveClipboard(peerId, data) {
+        const peerInfo = this.connections.get(peerId);
+        const entry = { id: this.generateId(), from: peerId, fromName: peerInfo?.username || 'Peer', at: Date.now() };
+
+        if (data.kind === 'text' && typeof data.text === 'string' && data.text.length <= this.maxTextShareChars) {
+            this.offerClipboardEntry({ ...entry, kind: 'text', text: data.text });
+            return;
+        }
+
+        // An image is announced here and its bytes arrive as frames
+        const size = Number(data.size);
+        if (data.kind !== 'image' || !this.isTransferId(data.id) || !/^image\/[\w.+-]+$/.test(data.mime)) return;
+        if (!Number.isInteger(size) || size <= 0 || size > this.clipboardImageLimit) return;
+
+        const key = `${peerId}:${data.id}`;
+        const timer = setTimeout(() => this.incomingClipboard.delete(key), 60000); // The sender left mid-image
+        this.incomingClipboard.set(key, { entry, mime: data.mime, bytes: new Uint8Array(size), received: 0, timer });
+    }
+
+    receiveClipboardPiece(peerId, id, offset, body) {
+        const key = `${peerId}:${id}`;
+        const image = this.incomingClipboard.get(key);
+        if (!image || offset + body.byteLength > image.bytes.length) return;
+
+        image.bytes.set(body, offset);
+        image.received += body.byteLength;
+        if (image.received < image.bytes.length) return;
+
+        clearTimeout(image.timer);
+        this.incomingClipboard.delete(key);
+        this.offerClipboardEntry({ ...image.entry, kind: 'image', blob: new Blob([image.bytes], { type: image.mime }) });
+    }
+
+    offerClipboardEntry(entry) {
+        // Offered, never applied: no peer gets to swap what's on this clipboard. Entries
+        // wait in the list and are copied only when the user clicks them.
+        this.addClipboardEntry(entry);
+        this.showToast(`📋 ${entry.kind === 'image' ? 'Image' : 'Text'} from ${entry.fromName}'s clipboard. Open 📋 to copy it`, 'info');
+    }
+
+    addClipboardEntry(entry) {
+        this.clipboardHistory.unshift(entry);
+        this.clipboardHistory.length = Math.min(this.clipboardHistory.length, this.clipboardHistoryLimit);
+        this.renderClipboardHistory();
+    }
+
+    async copyClipboardEntry(id) {
+        const entry = this.clipboardHistory.find(item => item.id === id);
+        if (!entry) return;
+
+        if (entry.kind === 'text') {
+            // Known in advance, so the next poll doesn't offer it straight back
+            this.lastClipboard = await this.getClipboardSignature(entry);
+            await this.copyTextToClipboard(entry.text);
+            this.showToast('Copied!', 'success');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.write([new ClipboardItem({ [entry.blob.type]: entry.blob })]);
+            // The browser may re-encode the image, so take whatever it stored as the new baseline
+            this.lastClipboard = undefined;
+            this.showToast('Image copied!', 'success');
+        } catch (err) {
+            this.showToast('This browser cannot copy this image type', 'error');
+        }
+    }
+
+    showClipboardModal() {
+        const existingModal = document.getElementById('clipboardModal');
+        if (existingModal) existingModal.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'clipboardModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.8);
+            backdrop-filter: blur(8px); display: flex; align-items: center;
+            justify-content: center; z-index: 200;
+        `;
+        modal.innerHTML = `
+            <div style="background: var(--bg-surface); border-radius: 24px; padding: 2rem;
+                        max-width: 560px; width: 90%; max-height: 85vh; display: flex; flex-direction: column; border: 1px solid var(--border-light);">
+                <h2 style="margin-bottom: 0.25rem;">Clipboard Sync</h2>
+                <p style="color: var(--text-muted); font-size: 0.85rem; margin-bottom: 1rem;">
+                    While this tab has focus, text and images you copy are offered to the peers you send files to.
+                </p>
+
+                <label style="display: flex; align-items: center; gap: 0.6rem; background: var(--bg-main); padding: 0.75rem 1rem; border-radius: 12px; margin-bottom: 0.5rem; cursor: pointer;">
+                    <input type="checkbox" id="clipboardSyncToggle" ${this.clipboardSync ? 'checked' : ''}>
+                    <span style="font-weight: 600;">Sync my clipboard</span>
+                </label>
+                <div id="clipboardTargets" style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 1rem;"></div>
+
+                <div id="clipboardList" style="flex: 1; overflow-y: auto; display: flex; flex-direction: column; gap: 0.5rem; min-height: 120px; margin-bottom: 1rem;"></div>
+
+                <button id="closeClipboardModal" class="btn-ghost" style="width: 100%;">Close</button>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const toggle = modal.querySelector('#clipboardSyncToggle');
+        toggle.onchange = () => this.setClipboardSync(toggle.checked);
+        modal.querySelector('#closeClipboardModal').onclick = () => modal.remove();
+        modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
+
+        const targets = this.getTargetConnections();
+        modal.querySelector('#clipboardTargets').textContent = targets.length === 0
+            ? 'No peers connected'
+            : `Goes to ${targets.length === this.connections.size ? 'everyone' : targets.map(({ username }) => username).join(', ')}; use 🎯 Send to Selected to narrow it`;
+
+        this.renderClipboardHistory();
+    }
+
+    renderClipboardHistory() {
+        const list = document.querySelector('#clipboardModal #clipboardList');
+        if (!list) return;
+
+        // Thumbnails from the last render are about to go
+        list.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+        list.innerHTML = '';
+        if (this.clipboardHistory.length === 0) {
+            list.innerHTML = '<div style="color: var(--text-muted); font-size: 0.9rem; text-align: center; padding: 2rem 0;">Nothing copied yet</div>';
+            return;
+        }
+
+        this.clipboardHistory.forEach((entry) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 0.75rem; background: var(--bg-main); padding: 0.6rem 1rem; border-radius: 12px;';
+            row.innerHTML = `
+                <div style="flex: 1; min-width: 0;">
+                    <div class="clipboard-preview" style="font-size: 0.85rem; font-family: monospace; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;"></div>
+                    <div class="clipboard-meta" style="color: var(--text-muted); font-size: 0.75rem;"></div>
+                </div>
+                <button class="btn-ghost" style="padding: 0.4rem 0.8rem; font-size: 0.8rem;">Copy</button>
+            `;
+
+            const preview = row.querySelector('.clipboard-preview');
+            if (entry.kind === 'text') {
+                preview.textContent = entry.text;
+            } else {
+                const img = document.createElement('img');
+                img.src = URL.createObjectURL(entry.blob);
+                img.style.cssText = 'max-height: 64px; max-width: 100%; border-radius: 6px;';
+                preview.appendChild(img);
+            }
+            row.querySelector('.clipboard-meta').textContent =
+                `${entry.from === 'me' ? 'You' : entry.fromName} · ${new Date(entry.at).toLocaleTimeString()}`;
+            row.querySelector('button').onclick = () => this.copyClipboardEntry(entry.id);
+            list.appendChild(row);
+        });
+    }
+
+    // ==================== CONNECTION SETTINGS ====================
+
+    showSettingsModal() {
+        const existingModal = document.getElementById('settingsModal');
+        if (existingModal) existingModal.remove();
+
+        const config = this.signalingConfig;
+        const onServer = config.signaling === 'server';
+        const iceServers = this.getActiveIceServers();
+
+        const modal = document.createElement('div');
+        modal.id = 'settingsModal';
+        modal.style.cssText = `
+            position: fixed; inset: 0; background: rgba(0,0,0,0.8);
+            backdrop-filter: blur(8px); display: flex; align-items: center;
+            justify-content: center; z-index: 200;
+        `;
+        modal.innerHTML = `
+            <div style="background: var(--bg-surface); border-radius: 24px; padding: 2rem;
+                        max-width: 520px; width: 90%; max-height: 85vh; overflow-y: auto; border: 1px solid var(--border-light);">
+                <h2 style="margin-bottom: 1.5rem;">Connection Settings</h2>
+
+                <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.5rem;">Signaling</div>
+                <div style="background: var(--bg-main); padding: 0.75rem 1rem; border-radius: 12px; margin-bottom: 1.5rem; font-size: 0.9rem;">
+                    <div class="settings-signaling"></div>
+                    <div class="settings-relay" style="color: var(--text-muted); font-size: 0.8rem; margin-top: 0.25rem;"></div>
+                </div>
+
+                <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.5rem;">ICE Servers</div>
+                <div class="settings-ice-source" style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 0.5rem;"></div>
+                <div class="settings-ice-list" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem;"></div>
+
+                <div style="font-size: 0.75rem; color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.5rem;">Encryption</div>
+                <label style="display: flex; align-items: center; gap: 0.75rem; background: var(--bg-main); padding: 0.75rem 1rem;
+                              border-radius: 12px; margin-bottom: 1.5rem; font-size: 0.9rem; cursor: pointer;">
+                    <input type="checkbox" id="allowPlaintextToggle" ${this.allowPlaintextPeers ? 'checked' : ''}
+                           style="width: 16px; height: 16px; accent-color: var(--danger);">
+                    <span>Allow peers without end-to-end encryption
+                        <span style="display: block; color: var(--text-muted); font-size: 0.8rem;">Only WebRTC's own encryption protects them; otherwise they're disconnected</span>
+                    </span>
+                </label>
+
+                <button id="closeSettingsModal" class="btn-ghost" style="width: 100%;">Close</button>
+            </div>
+        `;
+
+        const wsUrl = config.signalingUrl || `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}`;
+        modal.querySelector('.settings-signaling').textContent = onServer
+            ? `Velo server rooms at ${wsUrl}`
+            : 'PeerJS cloud (0.peerjs.com)';
+        modal.querySelector('.settings-relay').textContent = onServer
+            ? (config.relay !== false
+                ? `Relays through the server if a direct connection isn't open after ${this.formatTime((config.relayTimeout || 10000) / 1000)}`
+                : 'Server relay is off')
+            : 'No relay fallback';
+
+        let source = 'Built-in defaults';
+        if (this.peer?.refreshIceServers && this.iceServers) source = 'From the server room';
+        else if (config.iceServersUrl && this.iceServers) source = `From ${config.iceServersUrl}`;
+        if (this.iceExpiresAt) {
+            source += ` · TURN credentials renew automatically, current ones expire at ${new Date(this.iceExpiresAt).toLocaleTimeString()}`;
+        }
+        if (!this.peer) source += ' · Applied when you host or join';
+        modal.querySelector('.settings-ice-source').textContent = source;
+
+        const list = modal.querySelector('.settings-ice-list');
+        const entries = iceServers.flatMap(server => [].concat(server.urls || server.url || [])
+            .map(url => ({ url: String(url), username: server.username })));
+        if (entries.length === 0) {
+            list.innerHTML = '<div style="color: var(--text-muted); font-size: 0.9rem;">None; only direct local connections will work</div>';
+        }
+        entries.forEach(({ url, username }) => {
+            const kind = url.split(':')[0].toUpperCase();
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 0.75rem; background: var(--bg-main); padding: 0.6rem 1rem; border-radius: 12px;';
+            row.innerHTML = `
+                <span class="ice-kind" style="font-size: 0.65rem; font-weight: 700; padding: 0.15rem 0.4rem; border-radius: 4px;
+                             background: ${kind.startsWith('TURN') ? 'rgba(251, 191, 36, 0.15)' : 'var(--accent-glow)'};
+                             color: ${kind.startsWith('TURN') ? '#f59e0b' : 'var(--accent)'};"></span>
+                <div style="flex: 1; min-width: 0;">
+                    <div class="ice-url" style="font-family: monospace; font-size: 0.85rem; overflow-wrap: anywhere;"></div>
+                    <div class="ice-user" style="color: var(--text-muted); font-size: 0.75rem;"></div>
+                </div>
+            `;
+            row.querySelector('.ice-kind').textContent = kind;
+            row.querySelector('.ice-url').textContent = url;
+            // Credentials stay hidden; the username is enough to match server logs
+            row.querySelector('.ice-user').textContent = username ? `User ${username}` : '';
+            list.appendChild(row);
+        });
+
+        document.body.appendChild(modal);
+        modal.querySelector('#allowPlaintextToggle').onchange = () => this.toggleAllowPlaintextPeers();
+        modal.querySelector('#closeSettingsModal').onclick = () => modal.remove();
         modal.onclick = (e) => { if (e.target === modal) modal.remove(); };
     }
 
@@ -1830,7 +7620,7 @@ class VeloApp {
         }
 
         const baseUrl = window.location.origin + window.location.pathname;
-        const shareUrl = `${baseUrl}?join=${this.myPeerId}`;
+        const shareUrl = `${baseUrl}?join=${this.shareCode}`;
         return shareUrl;
     }
 
@@ -1894,6 +7684,11 @@ class VeloApp {
                         max-width: 450px; width: 90%; text-align: center; border: 1px solid var(--border-light);">
                 <h2 style="margin-bottom: 0.5rem;">Share Your Session</h2>
                 <p style="color: var(--text-muted); margin-bottom: 1.5rem;">Send this link to anyone to connect instantly</p>
+                ${this.sharePassword ? `
+                <p style="color: var(--text-secondary); font-size: 0.85rem; margin: -0.75rem 0 1.25rem;">
+                    🔒 This session has a password. It is not part of the link; share it separately.
+                </p>
+                ` : ''}
                 
                 <div style="background: var(--bg-main); padding: 1rem; border-radius: 12px; margin-bottom: 1.5rem; 
                             display: flex; align-items: center; gap: 0.5rem;">
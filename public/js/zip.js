@@ -0,0 +1,165 @@
+/**
+ * Velo Zip
+ * Builds stored (uncompressed) zip archives as Blobs that reference the
+ * source files, so archives of any size never get copied into memory
+ */
+
+const VeloZip = {
+    crcTable: null,
+
+    getCrcTable() {
+        if (!this.crcTable) {
+            this.crcTable = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+        return this.crcTable;
+    },
+
+    async crc32(blob, onBytes) {
+        const table = this.getCrcTable();
+        const reader = blob.stream().getReader();
+        let crc = -1;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            for (let i = 0; i < value.length; i++) {
+                crc = table[(crc ^ value[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            if (onBytes) onBytes(value.length);
+        }
+
+        return (crc ^ -1) >>> 0;
+    },
+
+    /**
+     * entries: [{ path, blob, lastModified }] for files, [{ path, directory: true }] for folders.
+     * onBytes(n) reports progress of the CRC pass, the only part that reads file data.
+     */
+    async build(entries, onBytes) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const isDir = !!entry.directory;
+            const name = encoder.encode(isDir && !entry.path.endsWith('/') ? `${entry.path}/` : entry.path);
+            const size = isDir ? 0 : entry.blob.size;
+            const crc = isDir ? 0 : await this.crc32(entry.blob, onBytes);
+            const { time, date } = this.dosDateTime(entry.lastModified || Date.now());
+            const zip64 = size >= 0xFFFFFFFF || offset >= 0xFFFFFFFF;
+
+            // Local file header
+            const localExtra = size >= 0xFFFFFFFF ? this.zip64Extra([size, size]) : new Uint8Array(0);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, zip64 ? 45 : 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size >= 0xFFFFFFFF ? 0xFFFFFFFF : size, true);
+            local.setUint32(22, size >= 0xFFFFFFFF ? 0xFFFFFFFF : size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, localExtra.length, true);
+
+            parts.push(local.buffer, name, localExtra);
+            if (!isDir) parts.push(entry.blob);
+
+            // Central directory record, written after all the data
+            const centralFields = [];
+            if (size >= 0xFFFFFFFF) centralFields.push(size, size);
+            if (offset >= 0xFFFFFFFF) centralFields.push(offset);
+            const centralExtra = centralFields.length ? this.zip64Extra(centralFields) : new Uint8Array(0);
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, (3 << 8) | 45, true); // Made by Unix, so the permission bits below apply
+            record.setUint16(6, zip64 ? 45 : 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, size >= 0xFFFFFFFF ? 0xFFFFFFFF : size, true);
+            record.setUint32(24, size >= 0xFFFFFFFF ? 0xFFFFFFFF : size, true);
+            record.setUint16(28, name.length, true);
+            record.setUint16(30, centralExtra.length, true);
+            record.setUint16(32, 0, true);
+            record.setUint16(34, 0, true);
+            record.setUint16(36, 0, true);
+            record.setUint32(38, isDir ? ((0o40755 << 16) | 0x10) >>> 0 : (0o100644 << 16) >>> 0, true);
+            record.setUint32(42, offset >= 0xFFFFFFFF ? 0xFFFFFFFF : offset, true);
+
+            central.push(record.buffer, name, centralExtra);
+            offset += 30 + name.length + localExtra.length + size;
+        }
+
+        const centralOffset = offset;
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        for (const part of central) parts.push(part);
+
+        const needsZip64 = entries.length >= 0xFFFF || centralOffset >= 0xFFFFFFFF || centralSize >= 0xFFFFFFFF;
+        if (needsZip64) {
+            const end64 = new DataView(new ArrayBuffer(56));
+            end64.setUint32(0, 0x06064b50, true);
+            this.setUint64(end64, 4, 44);
+            end64.setUint16(12, 45, true);
+            end64.setUint16(14, 45, true);
+            end64.setUint32(16, 0, true);
+            end64.setUint32(20, 0, true);
+            this.setUint64(end64, 24, entries.length);
+            this.setUint64(end64, 32, entries.length);
+            this.setUint64(end64, 40, centralSize);
+            this.setUint64(end64, 48, centralOffset);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            locator.setUint32(4, 0, true);
+            this.setUint64(locator, 8, centralOffset + centralSize);
+            locator.setUint32(16, 1, true);
+
+            parts.push(end64.buffer, locator.buffer);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, needsZip64 ? 0xFFFF : entries.length, true);
+        end.setUint16(10, needsZip64 ? 0xFFFF : entries.length, true);
+        end.setUint32(12, needsZip64 ? 0xFFFFFFFF : centralSize, true);
+        end.setUint32(16, needsZip64 ? 0xFFFFFFFF : centralOffset, true);
+        parts.push(end.buffer);
+
+        return new Blob(parts, { type: 'application/zip' });
+    },
+
+    zip64Extra(values) {
+        const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+        extra.setUint16(0, 0x0001, true);
+        extra.setUint16(2, values.length * 8, true);
+        values.forEach((value, i) => this.setUint64(extra, 4 + i * 8, value));
+        return new Uint8Array(extra.buffer);
+    },
+
+    setUint64(view, offset, value) {
+        view.setUint32(offset, value % 0x100000000, true);
+        view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+    },
+
+    dosDateTime(timestamp) {
+        const d = new Date(timestamp);
+        const year = Math.max(1980, d.getFullYear());
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+};
@@ -6,6 +6,14 @@ const ASSETS_TO_CACHE = [
     '/index.html',
     '/css/style.css',
     '/js/theme.js',
+    '/js/config.js',
+    '/js/signaling.js',
+    '/js/congestion.js',
+    '/js/swarm.js',
+    '/js/sha256.js',
+    '/js/zip.js',
+    '/js/snippets.js',
+    '/js/media-buffer.js',
     '/js/velo-app.js',
     '/manifest.json'
 ];
@@ -32,11 +40,151 @@ self.addEventListener('activate', (event) => {
     self.clients.claim();
 });
 
+// Streamed Downloads - the page feeds received chunks through a MessagePort and the
+// browser saves the response to disk, so large files never sit in page memory.
+const DOWNLOAD_PREFIX = '/velo-download/';
+const pendingDownloads = new Map(); // id -> { name, size, stream }
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'velo-download') return;
+
+    const { id, name, size } = event.data;
+    const port = event.ports[0];
+
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(new Uint8Array(data.chunk));
+                } else if (data.type === 'end') {
+                    controller.close();
+                } else if (data.type === 'abort') {
+                    controller.error(new Error('Transfer aborted'));
+                }
+            };
+        },
+        // One chunk buffered at a time; each pull tells the page to send the next
+        pull() {
+            port.postMessage({ type: 'pull' });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+        }
+    }, { highWaterMark: 1 });
+
+    pendingDownloads.set(id, { name, size, stream });
+    port.postMessage({ type: 'ready' });
+});
+
+function respondWithDownload(event, id) {
+    const download = pendingDownloads.get(id);
+    if (!download) {
+        event.respondWith(new Response('Download not found', { status: 404 }));
+        return;
+    }
+    pendingDownloads.delete(id);
+
+    const headers = {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`
+    };
+    if (Number.isFinite(download.size)) headers['Content-Length'] = String(download.size);
+
+    event.respondWith(new Response(download.stream, { headers }));
+}
+
+// Progressive Playback - a media element reads a file that is still arriving. Range
+// requests are answered piece by piece with bytes the page hands over once it has them.
+const MEDIA_PREFIX = '/velo-media/';
+const MEDIA_PIECE = 256 * 1024;
+const mediaStreams = new Map(); // id -> { size, mime, port, reads }
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'velo-media') return;
+
+    const { id, size, mime } = event.data;
+    const port = event.ports[0];
+    const media = { size, mime, port, reads: new Map(), nextRead: 0 };
+
+    port.onmessage = ({ data }) => {
+        if (data.type === 'close') {
+            mediaStreams.delete(id);
+            media.reads.forEach(({ reject }) => reject(new Error('Player closed')));
+            return;
+        }
+        const read = media.reads.get(data.readId);
+        if (!read) return;
+        media.reads.delete(data.readId);
+        if (data.type === 'data') read.resolve(new Uint8Array(data.chunk));
+        else read.reject(new Error('Bytes unavailable'));
+    };
+
+    mediaStreams.set(id, media);
+    port.postMessage({ type: 'ready' });
+});
+
+function readMedia(media, start, end) {
+    return new Promise((resolve, reject) => {
+        const readId = media.nextRead++;
+        media.reads.set(readId, { resolve, reject });
+        media.port.postMessage({ type: 'read', readId, start, end });
+    });
+}
+
+function respondWithMedia(event, id) {
+    const media = mediaStreams.get(id);
+    if (!media) {
+        event.respondWith(new Response('Stream not found', { status: 404 }));
+        return;
+    }
+
+    // Media elements ask for "bytes=start-" or "bytes=start-end"
+    const range = /^bytes=(\d+)-(\d*)$/.exec(event.request.headers.get('Range') || '');
+    const start = range ? Number(range[1]) : 0;
+    const end = range && range[2] ? Math.min(Number(range[2]), media.size - 1) : media.size - 1;
+    if (start > end) {
+        event.respondWith(new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${media.size}` } }));
+        return;
+    }
+
+    let pos = start;
+    const stream = new ReadableStream({
+        async pull(controller) {
+            try {
+                const chunk = await readMedia(media, pos, Math.min(end + 1, pos + MEDIA_PIECE));
+                controller.enqueue(chunk);
+                pos += chunk.byteLength;
+                if (pos > end) controller.close();
+            } catch (err) {
+                controller.error(err);
+            }
+        }
+    }, { highWaterMark: 1 });
+
+    const headers = {
+        'Content-Type': media.mime,
+        'Content-Length': String(end - start + 1),
+        'Accept-Ranges': 'bytes'
+    };
+    if (range) headers['Content-Range'] = `bytes ${start}-${end}/${media.size}`;
+    event.respondWith(new Response(stream, { status: range ? 206 : 200, headers }));
+}
+
 // Fetch - Network first, fallback to cache
 self.addEventListener('fetch', (event) => {
     // Skip non-GET requests
     if (event.request.method !== 'GET') return;
 
+    const url = new URL(event.request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith(DOWNLOAD_PREFIX)) {
+        respondWithDownload(event, url.pathname.slice(DOWNLOAD_PREFIX.length));
+        return;
+    }
+    if (url.origin === self.location.origin && url.pathname.startsWith(MEDIA_PREFIX)) {
+        respondWithMedia(event, url.pathname.slice(MEDIA_PREFIX.length));
+        return;
+    }
+
     // Skip external requests (like PeerJS CDN)
     if (!event.request.url.startsWith(self.location.origin)) return;
 
@@ -2,10 +2,62 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
+
+// Relay for peers whose direct WebRTC connection won't open
+const RELAY_ENABLED = process.env.VELO_RELAY !== 'off';
+const RELAY_MAX_FRAME = 256 * 1024; // Largest WebSocket message we accept, relayed or not
+const RELAY_MAX_BUFFERED = 16 * 1024 * 1024; // Per recipient; senders past this are refused
+
+// ICE servers handed to clients. TURN credentials follow coturn's REST API scheme
+// (use-auth-secret): the username is "<expiry>:<name>", the password its HMAC-SHA1 under the shared secret.
+const STUN_URLS = splitList(process.env.VELO_STUN_URLS ?? 'stun:stun.l.google.com:19302');
+const TURN_URLS = splitList(process.env.VELO_TURN_URLS);
+const TURN_SECRET = process.env.VELO_TURN_SECRET || null;
+const TURN_TTL = Number(process.env.VELO_TURN_TTL) || 3600; // Seconds a set of TURN credentials stays valid
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+if (TURN_URLS.length && !TURN_SECRET) {
+    console.warn('VELO_TURN_URLS is set without VELO_TURN_SECRET; TURN servers will not be advertised');
+}
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: RELAY_MAX_FRAME });
+
+// Clients served from here use this server's rooms for signaling
+app.get('/js/config.js', (req, res) => {
+    const config = {
+        signaling: process.env.VELO_SIGNALING || 'server',
+        signalingUrl: process.env.VELO_SIGNALING_URL || null,
+        iceServersUrl: null, // Rooms hand out ICE servers to their members
+        relay: RELAY_ENABLED,
+        relayTimeout: Number(process.env.VELO_RELAY_TIMEOUT) || 10000
+    };
+    res.type('application/javascript');
+    res.set('Cache-Control', 'no-cache');
+    res.send(`const VeloConfig = ${JSON.stringify(config)};\n`);
+});
+
+// Only clients inside a room get these, so the TURN server can't be used as an open relay
+function issueIceServers() {
+    const iceServers = [];
+    if (STUN_URLS.length) iceServers.push({ urls: STUN_URLS });
+
+    let expiresAt = null;
+    if (TURN_URLS.length && TURN_SECRET) {
+        const expiry = Math.floor(Date.now() / 1000) + TURN_TTL;
+        const username = `${expiry}:velo-${crypto.randomBytes(6).toString('hex')}`;
+        const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+        iceServers.push({ urls: TURN_URLS, username, credential });
+        expiresAt = expiry * 1000;
+    }
+
+    return { iceServers, expiresAt };
+}
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -35,7 +87,11 @@ wss.on('connection', (ws) => {
 
     console.log(`User connected: ${userId}`);
 
-    ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            relayFrame(ws, data);
+            return;
+        }
         try {
             const message = JSON.parse(data);
             handleMessage(ws, message);
@@ -75,10 +131,15 @@ function handleMessage(ws, message) {
         case 'file-info':
             broadcastToRoom(ws, message);
             break;
-        case 'file-request':
-        case 'file-chunk':
-        case 'file-complete':
-            relayToUser(ws, message);
+        case 'ice-servers':
+            // Renewal of the TURN credentials handed out on joining
+            if (ws.roomCode) ws.send(JSON.stringify({ type: 'ice-servers', ...issueIceServers() }));
+            break;
+        case 'relay-open':
+        case 'relay-accept':
+        case 'relay-ack':
+        case 'relay-close':
+            if (RELAY_ENABLED) relayToUser(ws, message);
             break;
     }
 }
@@ -91,6 +152,7 @@ function createRoom(ws, username) {
 
     rooms.set(roomCode, {
         code: roomCode,
+        hostId: ws.userId,
         users: new Map([[ws.userId, { ws, username, userId: ws.userId }]]),
         createdAt: Date.now()
     });
@@ -101,14 +163,16 @@ function createRoom(ws, username) {
     ws.send(JSON.stringify({
         type: 'room-created',
         roomCode: roomCode,
-        users: [{ id: ws.userId, username }]
+        hostId: ws.userId,
+        users: [{ id: ws.userId, username }],
+        ...issueIceServers()
     }));
 
     console.log(`Room created: ${roomCode} by ${username}`);
 }
 
 function joinRoom(ws, roomCode, username) {
-    const room = rooms.get(roomCode.toUpperCase());
+    const room = rooms.get(String(roomCode || '').toUpperCase());
 
     if (!room) {
         ws.send(JSON.stringify({
@@ -138,7 +202,9 @@ function joinRoom(ws, roomCode, username) {
     ws.send(JSON.stringify({
         type: 'room-joined',
         roomCode: roomCode.toUpperCase(),
-        users: userList
+        hostId: room.hostId,
+        users: userList,
+        ...issueIceServers()
     }));
 
     // Notify other users in the room
@@ -177,8 +243,11 @@ function leaveRoom(ws) {
         }));
     });
 
-    // Delete room if empty
-    if (room.users.size === 0) {
+    // Delete room if empty, or once its host is gone since joiners connect through the host
+    if (room.users.size === 0 || ws.userId === room.hostId) {
+        room.users.forEach((user) => {
+            user.ws.roomCode = null;
+        });
         rooms.delete(ws.roomCode);
         console.log(`Room deleted: ${ws.roomCode}`);
     }
@@ -228,6 +297,37 @@ function relayToUser(ws, message) {
     }
 }
 
+// Binary frames: length-prefixed target ID, length-prefixed connection ID, payload.
+// The target ID is swapped for the sender's before forwarding, so peers can't spoof each other.
+function relayFrame(ws, data) {
+    if (!RELAY_ENABLED) return;
+    const room = rooms.get(ws.roomCode);
+    if (!room || data.length < 2) return;
+
+    const targetEnd = 1 + data[0];
+    if (targetEnd + 1 > data.length) return;
+    const connectionEnd = targetEnd + 1 + data[targetEnd];
+    if (connectionEnd > data.length) return;
+
+    const targetId = data.toString('utf8', 1, targetEnd);
+    const targetUser = room.users.get(targetId);
+    if (!targetUser || targetId === ws.userId) return;
+
+    // Clients stop sending until the receiver acks, so a full buffer means one isn't listening
+    if (targetUser.ws.bufferedAmount > RELAY_MAX_BUFFERED) {
+        ws.send(JSON.stringify({
+            type: 'relay-error',
+            senderId: targetId,
+            connectionId: data.toString('utf8', targetEnd + 1, connectionEnd),
+            message: 'Relay buffer full'
+        }));
+        return;
+    }
+
+    const senderId = Buffer.from(ws.userId);
+    targetUser.ws.send(Buffer.concat([Buffer.from([senderId.length]), senderId, data.subarray(targetEnd)]), { binary: true });
+}
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`